@@ -0,0 +1,41 @@
+// config/carriers/BaseCarrier.js
+
+// Estados normalizados de eventos de seguimiento
+const TRACKING_STATUSES = [
+  'label_created',
+  'picked_up',
+  'in_transit',
+  'out_for_delivery',
+  'delivered',
+  'exception',
+  'cancelled'
+];
+
+// Interfaz que debe implementar cada transportista.
+// Los eventos devueltos usan los estados de TRACKING_STATUSES.
+class BaseCarrier {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Generar la etiqueta de envío.
+  // Devuelve { tracking_number, label_url }
+  async createLabel(shipment) {
+    throw new Error(`${this.name}: createLabel no implementado`);
+  }
+
+  // Obtener los eventos de seguimiento.
+  // Devuelve [{ status, description, location, occurred_at }]
+  async getTrackingEvents(trackingNumber) {
+    throw new Error(`${this.name}: getTrackingEvents no implementado`);
+  }
+
+  // Cancelar un envío antes del retiro
+  async cancel(trackingNumber) {
+    throw new Error(`${this.name}: cancel no implementado`);
+  }
+}
+
+BaseCarrier.TRACKING_STATUSES = TRACKING_STATUSES;
+
+module.exports = BaseCarrier;
@@ -0,0 +1,23 @@
+// config/carriers/index.js
+const config = require('../config');
+const LocalCarrier = require('./LocalCarrier');
+
+// Transportistas disponibles. Para agregar uno nuevo, extender BaseCarrier y registrarlo aquí.
+const carriers = {
+  local: new LocalCarrier({ stepMinutes: config.shipping.localCarrierStepMinutes })
+};
+
+const getCarrier = (name = config.shipping.defaultCarrier) => {
+  const carrier = carriers[name];
+  if (!carrier) {
+    throw new Error(`Transportista no soportado: ${name}`);
+  }
+  return carrier;
+};
+
+const getCarrierNames = () => Object.keys(carriers);
+
+module.exports = {
+  getCarrier,
+  getCarrierNames
+};
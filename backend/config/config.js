@@ -0,0 +1,89 @@
+// config/config.js
+// Parámetros de negocio configurables por variables de entorno
+const path = require('path');
+
+module.exports = {
+  auth: {
+    // Vigencia del enlace de verificación de email
+    emailVerificationHours: parseInt(process.env.EMAIL_VERIFICATION_HOURS) || 48,
+    // Espera mínima entre reenvíos del enlace
+    verificationResendMinutes: parseInt(process.env.EMAIL_VERIFICATION_RESEND_MINUTES) || 2,
+    // Acciones que exigen el email verificado
+    requireVerifiedEmail: {
+      orders: process.env.REQUIRE_VERIFIED_EMAIL_FOR_ORDERS === 'true',
+      manualPayments: process.env.REQUIRE_VERIFIED_EMAIL_FOR_MANUAL_PAYMENTS === 'true'
+    }
+  },
+  orders: {
+    // Vigencia de la reserva de stock y de la preferencia de MercadoPago
+    reservationMinutes: parseInt(process.env.STOCK_RESERVATION_MINUTES) || 24 * 60,
+    // Cada cuánto se liberan las reservas vencidas
+    reservationSweepMinutes: parseInt(process.env.STOCK_RESERVATION_SWEEP_MINUTES) || 5,
+    // Cada cuánto se consulta en MercadoPago el estado de los reembolsos en proceso
+    refundSyncMinutes: parseInt(process.env.REFUND_SYNC_MINUTES) || 15
+  },
+  shipping: {
+    defaultCarrier: process.env.SHIPPING_CARRIER || 'local',
+    // Cada cuánto se consultan los eventos de los envíos activos
+    trackingSyncMinutes: parseInt(process.env.TRACKING_SYNC_MINUTES) || 15,
+    // Minutos entre cada evento del transportista simulado
+    localCarrierStepMinutes: parseInt(process.env.LOCAL_CARRIER_STEP_MINUTES) || 1
+  },
+  invoices: {
+    pointOfSale: parseInt(process.env.INVOICE_POINT_OF_SALE) || 1,
+    invoiceType: process.env.INVOICE_TYPE || 'B',
+    // Alícuota de IVA para productos sin alícuota propia y para el envío
+    defaultIvaRate: parseFloat(process.env.DEFAULT_IVA_RATE) || 21,
+    store: {
+      legalName: process.env.STORE_LEGAL_NAME || 'SlinkHard S.R.L.',
+      cuit: process.env.STORE_CUIT || '30-00000000-0',
+      ivaCondition: process.env.STORE_IVA_CONDITION || 'IVA Responsable Inscripto',
+      grossIncome: process.env.STORE_GROSS_INCOME || 'Convenio Multilateral',
+      activityStart: process.env.STORE_ACTIVITY_START || '01/01/2024',
+      address: process.env.STORE_ADDRESS || 'Av. Corrientes 1234, CABA'
+    }
+  },
+  catalog: {
+    // Límites de los rangos de precio para los filtros del listado
+    priceBuckets: (process.env.CATALOG_PRICE_BUCKETS || '50000,100000,250000,500000')
+      .split(',')
+      .map(Number),
+    defaultPageSize: 12,
+    // Tope de productos por página o por tanda de scroll infinito
+    maxPageSize: parseInt(process.env.CATALOG_MAX_PAGE_SIZE) || 48
+  },
+  images: {
+    // Lado máximo de cada tamaño generado; todos conservan la proporción original
+    sizes: {
+      thumbnail: 160,
+      card: 480,
+      detail: 1200
+    },
+    webpQuality: parseInt(process.env.IMAGE_WEBP_QUALITY) || 80,
+    jpegQuality: parseInt(process.env.IMAGE_JPEG_QUALITY) || 85
+  },
+  stockAlerts: {
+    // Cada cuánto se pasan a la cola de emails los avisos de reposición
+    dispatchMinutes: parseInt(process.env.STOCK_ALERT_DISPATCH_MINUTES) || 1
+  },
+  mail: {
+    // smtp envía por el servidor configurado; file guarda cada email como .eml en fileDir
+    transport: process.env.MAIL_TRANSPORT || 'file',
+    from: process.env.MAIL_FROM || 'SlinkHard <no-reply@slinkhard.com>',
+    // Base de los enlaces de los emails
+    storeUrl: process.env.FRONTEND_URL || 'http://localhost:3001',
+    fileDir: process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'storage', 'mail'),
+    smtp: {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    },
+    // Intentos antes de dar un email por fallido; la espera se duplica en cada reintento
+    maxAttempts: parseInt(process.env.MAIL_MAX_ATTEMPTS) || 5,
+    retryBaseMinutes: parseInt(process.env.MAIL_RETRY_BASE_MINUTES) || 1,
+    // Cada cuánto se envían los emails encolados
+    dispatchMinutes: parseInt(process.env.MAIL_DISPATCH_MINUTES) || 1
+  }
+};
@@ -1,5 +1,6 @@
 // config/mercadopago.js
-const { MercadoPagoConfig, Preference, Payment } = require('mercadopago');
+const { MercadoPagoConfig, Preference, Payment, PaymentRefund } = require('mercadopago');
+const config = require('./config');
 
 // Configurar MercadoPago
 const client = new MercadoPagoConfig({
@@ -12,20 +13,47 @@ const client = new MercadoPagoConfig({
 
 const preference = new Preference(client);
 const payment = new Payment(client);
+const paymentRefund = new PaymentRefund(client);
 
 class MercadoPagoService {
+  // Items de la preferencia con el descuento de cada línea ya aplicado.
+  // Si el importe con descuento no se divide exacto por la cantidad,
+  // la línea se parte en dos para que la suma coincida al centavo.
+  static buildItems(items) {
+    return items.flatMap(item => {
+      const base = {
+        id: item.product_id,
+        title: item.name,
+        currency_id: 'ARS',
+        picture_url: item.image_url ? `${process.env.FRONTEND_URL}${item.image_url}` : null
+      };
+
+      const totalCents = Math.round(
+        (parseFloat(item.total_price) - parseFloat(item.discount_amount || 0)) * 100
+      );
+      const unitCents = Math.floor(totalCents / item.quantity);
+      const remainderCents = totalCents - unitCents * item.quantity;
+
+      if (remainderCents === 0) {
+        return [{ ...base, quantity: item.quantity, unit_price: unitCents / 100 }];
+      }
+
+      const lines = [{ ...base, quantity: 1, unit_price: (unitCents + remainderCents) / 100 }];
+      if (item.quantity > 1) {
+        lines.unshift({ ...base, quantity: item.quantity - 1, unit_price: unitCents / 100 });
+      }
+      return lines;
+    });
+  }
+
   // Crear preferencia de pago
   static async createPreference(orderData) {
     try {
+      const expiresAt = orderData.expires_at ||
+        new Date(Date.now() + config.orders.reservationMinutes * 60 * 1000);
+
       const preferenceData = {
-        items: orderData.items.map(item => ({
-          id: item.product_id,
-          title: item.name,
-          quantity: item.quantity,
-          unit_price: parseFloat(item.unit_price),
-          currency_id: 'ARS',
-          picture_url: item.image_url ? `${process.env.FRONTEND_URL}${item.image_url}` : null
-        })),
+        items: MercadoPagoService.buildItems(orderData.items),
         payer: {
           name: orderData.user.name,
           email: orderData.user.email,
@@ -35,7 +63,7 @@ class MercadoPagoService {
           },
           address: {
             street_name: orderData.shipping_address,
-            zip_code: '1000'
+            zip_code: orderData.postal_code || '1000'
           }
         },
         payment_methods: {
@@ -44,7 +72,7 @@ class MercadoPagoService {
           installments: 12
         },
         shipments: {
-          cost: 0,
+          cost: parseFloat(orderData.shipping_cost || 0),
           mode: 'not_specified'
         },
         back_urls: {
@@ -58,7 +86,7 @@ class MercadoPagoService {
         statement_descriptor: 'SLINKHARD',
         expires: true,
         expiration_date_from: new Date().toISOString(),
-        expiration_date_to: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() // 24 horas
+        expiration_date_to: expiresAt.toISOString() // Coincide con la reserva de stock
       };
 
       const result = await preference.create({ body: preferenceData });
@@ -86,6 +114,48 @@ class MercadoPagoService {
     }
   }
 
+  // Reembolsar un pago. Sin monto se reembolsa el total.
+  // La clave de idempotencia evita reembolsos duplicados ante reintentos.
+  static async refundPayment(paymentId, amount = null, idempotencyKey) {
+    try {
+      const requestOptions = { idempotencyKey };
+      const result = amount === null
+        ? await paymentRefund.total({ payment_id: paymentId, requestOptions })
+        : await paymentRefund.create({
+          payment_id: paymentId,
+          body: { amount: parseFloat(amount) },
+          requestOptions
+        });
+
+      return {
+        refund_id: result.id,
+        status: result.status,
+        amount: result.amount,
+        date_created: result.date_created
+      };
+    } catch (error) {
+      console.error('Error reembolsando pago en MercadoPago:', error);
+      throw error;
+    }
+  }
+
+  // Consultar el estado de un reembolso
+  static async getRefund(paymentId, refundId) {
+    try {
+      const result = await paymentRefund.get({ payment_id: paymentId, refund_id: refundId });
+
+      return {
+        refund_id: result.id,
+        status: result.status,
+        amount: result.amount,
+        date_created: result.date_created
+      };
+    } catch (error) {
+      console.error('Error consultando reembolso de MercadoPago:', error);
+      throw error;
+    }
+  }
+
   // Procesar webhook de notificación
   static async processWebhook(notificationData) {
     try {
@@ -0,0 +1,223 @@
+// config/shipping.js
+
+// Zonas de envío por provincia
+const ZONES = {
+  amba: {
+    name: 'CABA y GBA',
+    provinces: ['Ciudad Autónoma de Buenos Aires'],
+    estimated_days: '1-2'
+  },
+  buenos_aires: {
+    name: 'Provincia de Buenos Aires',
+    provinces: ['Buenos Aires'],
+    estimated_days: '2-4'
+  },
+  centro: {
+    name: 'Región Centro',
+    provinces: ['Córdoba', 'Santa Fe', 'Entre Ríos', 'La Pampa'],
+    estimated_days: '3-5'
+  },
+  cuyo: {
+    name: 'Cuyo',
+    provinces: ['Mendoza', 'San Juan', 'San Luis'],
+    estimated_days: '4-6'
+  },
+  norte: {
+    name: 'Norte',
+    provinces: [
+      'Jujuy', 'Salta', 'Tucumán', 'Catamarca', 'La Rioja', 'Santiago del Estero',
+      'Misiones', 'Corrientes', 'Chaco', 'Formosa'
+    ],
+    estimated_days: '5-7'
+  },
+  patagonia: {
+    name: 'Patagonia',
+    provinces: ['Neuquén', 'Río Negro', 'Chubut', 'Santa Cruz', 'Tierra del Fuego'],
+    estimated_days: '5-8'
+  }
+};
+
+// Letra inicial del código postal argentino (CPA) por provincia
+const CPA_PROVINCES = {
+  C: 'Ciudad Autónoma de Buenos Aires',
+  B: 'Buenos Aires',
+  K: 'Catamarca',
+  H: 'Chaco',
+  U: 'Chubut',
+  X: 'Córdoba',
+  W: 'Corrientes',
+  E: 'Entre Ríos',
+  P: 'Formosa',
+  Y: 'Jujuy',
+  L: 'La Pampa',
+  F: 'La Rioja',
+  M: 'Mendoza',
+  N: 'Misiones',
+  Q: 'Neuquén',
+  R: 'Río Negro',
+  A: 'Salta',
+  J: 'San Juan',
+  D: 'San Luis',
+  Z: 'Santa Cruz',
+  S: 'Santa Fe',
+  G: 'Santiago del Estero',
+  V: 'Tierra del Fuego',
+  T: 'Tucumán'
+};
+
+// Tarifas por zona: precio por tramo de peso facturable (kg) y adicional por kg excedente
+const RATES = {
+  amba: { brackets: [[1, 3500], [5, 4800], [10, 6500], [20, 9000]], extraPerKg: 400 },
+  buenos_aires: { brackets: [[1, 4500], [5, 6200], [10, 8300], [20, 11500]], extraPerKg: 500 },
+  centro: { brackets: [[1, 5500], [5, 7500], [10, 10000], [20, 14000]], extraPerKg: 600 },
+  cuyo: { brackets: [[1, 6200], [5, 8500], [10, 11500], [20, 16000]], extraPerKg: 700 },
+  norte: { brackets: [[1, 6800], [5, 9300], [10, 12500], [20, 17500]], extraPerKg: 750 },
+  patagonia: { brackets: [[1, 7500], [5, 10500], [10, 14000], [20, 19500]], extraPerKg: 850 }
+};
+
+// Divisor estándar de peso volumétrico (cm³ / kg)
+const VOLUMETRIC_DIVISOR = 5000;
+
+// Peso asumido para productos sin peso cargado
+const DEFAULT_WEIGHT_KG = 0.5;
+
+const FREE_SHIPPING_THRESHOLD = parseFloat(process.env.FREE_SHIPPING_THRESHOLD) || 150000;
+
+const STORE_PICKUP = {
+  address: process.env.STORE_ADDRESS || 'Av. Corrientes 1234, CABA',
+  hours: process.env.STORE_HOURS || 'Lunes a viernes de 10 a 19 hs'
+};
+
+const normalize = (text) => text
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .trim()
+  .toLowerCase();
+
+class ShippingService {
+  // Lista de provincias válidas
+  static getProvinces() {
+    return Object.values(ZONES).flatMap(zone => zone.provinces);
+  }
+
+  // Resolver la provincia desde el nombre o desde el código postal
+  static resolveProvince({ province, postal_code }) {
+    if (province) {
+      const match = ShippingService.getProvinces()
+        .find(name => normalize(name) === normalize(province));
+      if (match) return match;
+    }
+
+    if (postal_code) {
+      const code = postal_code.trim().toUpperCase();
+
+      // CPA: letra de provincia + 4 dígitos + 3 letras
+      if (/^[A-Z]\d{4}/.test(code)) {
+        return CPA_PROVINCES[code[0]] || null;
+      }
+
+      // Código postal numérico: 1000-1499 CABA, 1500-1999 conurbano
+      const numeric = parseInt(code);
+      if (numeric >= 1000 && numeric < 1500) return 'Ciudad Autónoma de Buenos Aires';
+      if (numeric >= 1500 && numeric < 2000) return 'Buenos Aires';
+    }
+
+    return null;
+  }
+
+  // Zona de envío de una provincia. Los códigos postales del conurbano cuentan como AMBA.
+  static resolveZone(destination) {
+    const province = ShippingService.resolveProvince(destination);
+    if (!province) return null;
+
+    const numeric = parseInt(destination.postal_code);
+    if (province === 'Buenos Aires' && numeric >= 1500 && numeric < 2000) {
+      return { id: 'amba', ...ZONES.amba, province };
+    }
+
+    const zoneId = Object.keys(ZONES).find(id => ZONES[id].provinces.includes(province));
+    return { id: zoneId, ...ZONES[zoneId], province };
+  }
+
+  // Peso facturable de un item: el mayor entre peso real y volumétrico
+  static getBillableWeight(item) {
+    const weight = item.weight ? parseFloat(item.weight) : DEFAULT_WEIGHT_KG;
+    const dimensions = item.dimensions || {};
+    const { length, width, height } = dimensions;
+
+    const volumetric = length && width && height
+      ? (parseFloat(length) * parseFloat(width) * parseFloat(height)) / VOLUMETRIC_DIVISOR
+      : 0;
+
+    return Math.max(weight, volumetric) * item.quantity;
+  }
+
+  // Costo de envío para un peso facturable en una zona
+  static getRate(zoneId, billableWeight) {
+    const rate = RATES[zoneId];
+    const bracket = rate.brackets.find(([maxWeight]) => billableWeight <= maxWeight);
+
+    if (bracket) {
+      return bracket[1];
+    }
+
+    const [maxWeight, maxPrice] = rate.brackets[rate.brackets.length - 1];
+    return maxPrice + Math.ceil(billableWeight - maxWeight) * rate.extraPerKg;
+  }
+
+  // Cotizar las opciones de envío.
+  // items: [{ quantity, weight, dimensions }], subtotal: monto de productos
+  static quote(items, subtotal, destination = {}) {
+    const options = [
+      {
+        id: 'retiro',
+        name: 'Retiro en el local',
+        cost: 0,
+        free: true,
+        address: STORE_PICKUP.address,
+        hours: STORE_PICKUP.hours
+      }
+    ];
+
+    const zone = ShippingService.resolveZone(destination);
+    if (!zone) {
+      return { zone: null, options };
+    }
+
+    const billableWeight = Math.round(
+      items.reduce((sum, item) => sum + ShippingService.getBillableWeight(item), 0) * 100
+    ) / 100;
+    const free = subtotal >= FREE_SHIPPING_THRESHOLD;
+
+    options.unshift({
+      id: 'envio',
+      name: `Envío a domicilio (${zone.name})`,
+      cost: free ? 0 : ShippingService.getRate(zone.id, billableWeight),
+      free,
+      estimated_days: zone.estimated_days,
+      billable_weight: billableWeight
+    });
+
+    return {
+      zone: { id: zone.id, name: zone.name, province: zone.province },
+      free_shipping_threshold: FREE_SHIPPING_THRESHOLD,
+      options
+    };
+  }
+
+  // Opción elegida con su costo, o null si no aplica al destino
+  static getOption(method, items, subtotal, destination) {
+    const result = ShippingService.quote(items, subtotal, destination);
+    const option = result.options.find(candidate => candidate.id === method);
+
+    if (!option) {
+      return null;
+    }
+
+    return { ...option, zone: result.zone };
+  }
+}
+
+ShippingService.STORE_PICKUP = STORE_PICKUP;
+
+module.exports = ShippingService;
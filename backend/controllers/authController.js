@@ -1,8 +1,11 @@
 // controllers/authController.js
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
-const { query } = require('../config/database');
+const { query, transaction } = require('../config/database');
 const { body, validationResult } = require('express-validator');
+const Cart = require('../models/Cart');
+const User = require('../models/User');
+const { HttpError } = require('../utils/httpError');
 
 class AuthController {
   // Registrar nuevo usuario
@@ -18,7 +21,7 @@ class AuthController {
         });
       }
 
-      const { name, email, password, phone, address } = req.body;
+      const { name, email, password, phone, address, guest_cart } = req.body;
 
       // Verificar si el email ya existe
       const existingUser = await query(
@@ -37,14 +40,18 @@ class AuthController {
       const saltRounds = 12;
       const hashedPassword = await bcrypt.hash(password, saltRounds);
 
-      // Crear usuario
-      const result = await query(`
-        INSERT INTO users (name, email, password, phone, address)
-        VALUES ($1, $2, $3, $4, $5)
-        RETURNING id, name, email, phone, address, role, created_at
-      `, [name, email.toLowerCase(), hashedPassword, phone, address]);
+      // Crear usuario y encolar la bienvenida con el enlace de verificación
+      const user = await transaction(async (client) => {
+        const result = await client.query(`
+          INSERT INTO users (name, email, password, phone, address)
+          VALUES ($1, $2, $3, $4, $5)
+          RETURNING id, name, email, phone, address, role, email_verified, created_at
+        `, [name, email.toLowerCase(), hashedPassword, phone, address]);
 
-      const user = result.rows[0];
+        await User.sendVerificationEmail(client, result.rows[0], 'welcome');
+
+        return result.rows[0];
+      });
 
       // Generar JWT
       const token = jwt.sign(
@@ -63,6 +70,8 @@ class AuthController {
         [user.id, token, new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)]
       );
 
+      const cartMerge = await AuthController.mergeGuestCart(user.id, guest_cart);
+
       res.status(201).json({
         success: true,
         message: 'Usuario registrado exitosamente',
@@ -71,9 +80,11 @@ class AuthController {
             id: user.id,
             name: user.name,
             email: user.email,
-            role: user.role
+            role: user.role,
+            email_verified: user.email_verified
           },
-          token
+          token,
+          cart_merge: cartMerge
         }
       });
     } catch (error) {
@@ -97,7 +108,7 @@ class AuthController {
         });
       }
 
-      const { email, password } = req.body;
+      const { email, password, guest_cart } = req.body;
 
       // Buscar usuario
       const result = await query(
@@ -141,6 +152,8 @@ class AuthController {
         [user.id, token, new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)]
       );
 
+      const cartMerge = await AuthController.mergeGuestCart(user.id, guest_cart);
+
       res.json({
         success: true,
         message: 'Inicio de sesión exitoso',
@@ -149,9 +162,11 @@ class AuthController {
             id: user.id,
             name: user.name,
             email: user.email,
-            role: user.role
+            role: user.role,
+            email_verified: user.email_verified
           },
-          token
+          token,
+          cart_merge: cartMerge
         }
       });
     } catch (error) {
@@ -163,6 +178,21 @@ class AuthController {
     }
   }
 
+  // Fusionar el carrito de invitado enviado al iniciar sesión o registrarse.
+  // Un error al fusionar no debe impedir el acceso a la cuenta.
+  static async mergeGuestCart(userId, guestCart) {
+    if (!Array.isArray(guestCart) || guestCart.length === 0) {
+      return null;
+    }
+
+    try {
+      return await transaction((client) => Cart.merge(userId, guestCart, client));
+    } catch (error) {
+      console.error('Error fusionando carrito de invitado:', error);
+      return null;
+    }
+  }
+
   // Cerrar sesión
   static async logout(req, res) {
     try {
@@ -185,6 +215,67 @@ class AuthController {
     }
   }
 
+  // Verificar el email con el token del enlace enviado por correo.
+  // Es pública: el enlace puede abrirse en un navegador sin sesión.
+  static async verifyEmail(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const { alreadyVerified } = await User.verifyEmail(req.body.token);
+
+      res.json({
+        success: true,
+        message: alreadyVerified ? 'Tu email ya estaba verificado' : '¡Listo! Tu email quedó verificado',
+        data: { email_verified: true }
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Error verificando email:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Reenviar el enlace de verificación al email de la cuenta
+  static async resendVerification(req, res) {
+    try {
+      const user = await User.resendVerification(req.user.id);
+
+      res.json({
+        success: true,
+        message: `Te enviamos un nuevo enlace a ${user.email}`
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Error reenviando verificación:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
   // Obtener perfil del usuario
   static async getProfile(req, res) {
     try {
@@ -340,7 +431,8 @@ class AuthController {
       body('phone')
         .optional()
         .isMobilePhone('es-AR')
-        .withMessage('Número de teléfono inválido')
+        .withMessage('Número de teléfono inválido'),
+      ...AuthController.getGuestCartValidation()
     ];
   }
 
@@ -353,7 +445,33 @@ class AuthController {
         .withMessage('Email inválido'),
       body('password')
         .notEmpty()
-        .withMessage('La contraseña es requerida')
+        .withMessage('La contraseña es requerida'),
+      ...AuthController.getGuestCartValidation()
+    ];
+  }
+
+  // Validaciones para el carrito de invitado
+  static getGuestCartValidation() {
+    return [
+      body('guest_cart')
+        .optional()
+        .isArray({ max: 50 })
+        .withMessage('Carrito de invitado inválido'),
+      body('guest_cart.*.product_id')
+        .isUUID()
+        .withMessage('Producto inválido en el carrito'),
+      body('guest_cart.*.quantity')
+        .isInt({ min: 1, max: 99 })
+        .withMessage('Cantidad inválida en el carrito')
+    ];
+  }
+
+  // Validación del token de verificación de email
+  static getVerifyEmailValidation() {
+    return [
+      body('token')
+        .isJWT()
+        .withMessage('El enlace de verificación no es válido')
     ];
   }
 
@@ -0,0 +1,248 @@
+// controllers/cartController.js
+const { query, transaction } = require('../config/database');
+const { body, param, validationResult } = require('express-validator');
+const Cart = require('../models/Cart');
+const { HttpError } = require('../utils/httpError');
+
+class CartController {
+  // Obtener el carrito del usuario
+  static async getCart(req, res) {
+    try {
+      const cart = await Cart.getItems(req.user.id);
+
+      res.json({
+        success: true,
+        data: cart
+      });
+    } catch (error) {
+      console.error('Error obteniendo carrito:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Agregar producto al carrito (suma a la cantidad existente)
+  static async addItem(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const { product_id, quantity = 1 } = req.body;
+
+      const item = await Cart.setItem(req.user.id, product_id, parseInt(quantity), {
+        increment: true
+      });
+
+      res.json({
+        success: true,
+        message: item.capped
+          ? `Solo hay ${item.quantity} unidades disponibles`
+          : 'Producto agregado al carrito',
+        data: item
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Error agregando al carrito:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Actualizar la cantidad de un producto del carrito
+  static async updateItem(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const { product_id, quantity } = req.body;
+
+      const existing = await query(
+        'SELECT id FROM cart_items WHERE user_id = $1 AND product_id = $2',
+        [req.user.id, product_id]
+      );
+
+      if (existing.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'El producto no está en el carrito'
+        });
+      }
+
+      const item = await Cart.setItem(req.user.id, product_id, parseInt(quantity));
+
+      res.json({
+        success: true,
+        message: item.capped
+          ? `Solo hay ${item.quantity} unidades disponibles`
+          : 'Carrito actualizado',
+        data: item
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Error actualizando carrito:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Quitar un producto del carrito
+  static async removeItem(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const removed = await Cart.removeItem(req.user.id, req.params.product_id);
+
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          message: 'El producto no está en el carrito'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Producto eliminado del carrito'
+      });
+    } catch (error) {
+      console.error('Error eliminando del carrito:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Vaciar el carrito
+  static async clearCart(req, res) {
+    try {
+      await Cart.clear(req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Carrito vaciado'
+      });
+    } catch (error) {
+      console.error('Error vaciando carrito:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Fusionar un carrito de invitado que no pudo fusionarse al iniciar sesión
+  static async mergeItems(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const report = await transaction((client) => Cart.merge(req.user.id, req.body.items, client));
+
+      res.json({
+        success: true,
+        message: 'Carrito fusionado',
+        data: report
+      });
+    } catch (error) {
+      console.error('Error fusionando carrito:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Validaciones para agregar al carrito
+  static getAddItemValidation() {
+    return [
+      body('product_id')
+        .isUUID()
+        .withMessage('Producto inválido'),
+      body('quantity')
+        .optional()
+        .isInt({ min: 1, max: 99 })
+        .withMessage('La cantidad debe estar entre 1 y 99')
+    ];
+  }
+
+  // Validaciones para actualizar cantidad
+  static getUpdateItemValidation() {
+    return [
+      body('product_id')
+        .isUUID()
+        .withMessage('Producto inválido'),
+      body('quantity')
+        .isInt({ min: 1, max: 99 })
+        .withMessage('La cantidad debe estar entre 1 y 99')
+    ];
+  }
+
+  // Validaciones del carrito de invitado a fusionar
+  static getMergeItemsValidation() {
+    return [
+      body('items')
+        .isArray({ min: 1, max: 50 })
+        .withMessage('Carrito de invitado inválido'),
+      body('items.*.product_id')
+        .isUUID()
+        .withMessage('Producto inválido en el carrito'),
+      body('items.*.quantity')
+        .isInt({ min: 1, max: 99 })
+        .withMessage('Cantidad inválida en el carrito')
+    ];
+  }
+
+  // Validación del producto a eliminar
+  static getRemoveItemValidation() {
+    return [
+      param('product_id')
+        .isUUID()
+        .withMessage('Producto inválido')
+    ];
+  }
+}
+
+module.exports = CartController;
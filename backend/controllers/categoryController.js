@@ -0,0 +1,481 @@
+// controllers/categoryController.js
+const { transaction } = require('../config/database');
+const { body, param, validationResult } = require('express-validator');
+const Category = require('../models/Category');
+const Attribute = require('../models/Attribute');
+const { HttpError } = require('../utils/httpError');
+
+class CategoryController {
+  // Listar categorías en el orden del menú
+  static async getCategories(req, res) {
+    try {
+      const categories = await Category.list();
+
+      res.json({
+        success: true,
+        data: categories
+      });
+    } catch (error) {
+      console.error('Error obteniendo categorías:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Árbol de categorías para el menú de navegación
+  static async getCategoryTree(req, res) {
+    try {
+      const tree = await Category.getTree();
+
+      res.json({
+        success: true,
+        data: tree
+      });
+    } catch (error) {
+      console.error('Error obteniendo árbol de categorías:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Crear categoría (solo admin)
+  static async createCategory(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const category = await transaction((client) => Category.create(client, req.body));
+
+      res.status(201).json({
+        success: true,
+        message: 'Categoría creada exitosamente',
+        data: category
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          message: 'Ya existe una categoría con ese nombre o slug'
+        });
+      }
+
+      console.error('Error creando categoría:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Actualizar categoría o moverla a otro padre (solo admin)
+  static async updateCategory(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const category = await transaction((client) =>
+        Category.update(client, req.params.id, req.body)
+      );
+
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          message: 'Categoría no encontrada'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Categoría actualizada exitosamente',
+        data: category
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          message: 'Ya existe una categoría con ese nombre o slug'
+        });
+      }
+
+      console.error('Error actualizando categoría:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Reordenar las categorías de un nivel (solo admin)
+  static async reorderCategories(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      await transaction((client) =>
+        Category.reorder(client, req.body.parent_id || null, req.body.category_ids)
+      );
+
+      res.json({
+        success: true,
+        message: 'Orden actualizado',
+        data: await Category.getTree()
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Error reordenando categorías:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Eliminar categoría (solo admin). Subcategorías y productos pasan al padre.
+  static async deleteCategory(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const category = await transaction((client) => Category.remove(client, req.params.id));
+
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          message: 'Categoría no encontrada'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Categoría eliminada exitosamente'
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Error eliminando categoría:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Atributos de la ficha técnica de una categoría, incluidos los heredados
+  static async getAttributes(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const category = await Category.findById(req.params.id);
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          message: 'Categoría no encontrada'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: await Attribute.listForCategory(category.id)
+      });
+    } catch (error) {
+      console.error('Error obteniendo atributos:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Crear atributo de ficha técnica (solo admin)
+  static async createAttribute(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const attribute = await transaction((client) =>
+        Attribute.create(client, req.params.id, req.body)
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Atributo creado exitosamente',
+        data: attribute
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          message: 'Ya existe un atributo con esa clave'
+        });
+      }
+
+      console.error('Error creando atributo:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Actualizar atributo de ficha técnica (solo admin)
+  static async updateAttribute(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const attribute = await transaction((client) =>
+        Attribute.update(client, req.params.id, req.params.attributeId, req.body)
+      );
+
+      if (!attribute) {
+        return res.status(404).json({
+          success: false,
+          message: 'Atributo no encontrado'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Atributo actualizado exitosamente',
+        data: attribute
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Error actualizando atributo:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Eliminar atributo y los valores cargados en los productos (solo admin)
+  static async deleteAttribute(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const deleted = await Attribute.remove(req.params.id, req.params.attributeId);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Atributo no encontrado'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Atributo eliminado exitosamente'
+      });
+    } catch (error) {
+      console.error('Error eliminando atributo:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Validaciones de una categoría. En la edición todos los campos son opcionales.
+  static getCategoryValidation(partial = false) {
+    const field = (name) => (partial ? body(name).optional() : body(name));
+
+    return [
+      ...(partial ? [param('id').isUUID().withMessage('Categoría inválida')] : []),
+      field('name')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('El nombre debe tener entre 2 y 100 caracteres'),
+      body('slug')
+        .optional()
+        .trim()
+        .matches(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+        .withMessage('El slug solo puede tener minúsculas, números y guiones')
+        .isLength({ max: 100 })
+        .withMessage('El slug no puede superar los 100 caracteres'),
+      body('description')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('La descripción no puede superar los 500 caracteres'),
+      body('parent_id')
+        .optional({ nullable: true })
+        .isUUID()
+        .withMessage('Categoría padre inválida')
+    ];
+  }
+
+  // Validaciones para reordenar
+  static getReorderValidation() {
+    return [
+      body('parent_id')
+        .optional({ nullable: true })
+        .isUUID()
+        .withMessage('Categoría padre inválida'),
+      body('category_ids')
+        .isArray({ min: 1 })
+        .withMessage('Se requiere la lista de categorías'),
+      body('category_ids.*')
+        .isUUID()
+        .withMessage('Categoría inválida')
+    ];
+  }
+
+  // Validación del ID de categoría
+  static getCategoryIdValidation() {
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('Categoría inválida')
+    ];
+  }
+
+  // Validaciones de un atributo. La clave y el tipo no se editan.
+  static getAttributeValidation(partial = false) {
+    return [
+      param('id').isUUID().withMessage('Categoría inválida'),
+      ...(partial
+        ? [param('attributeId').isUUID().withMessage('Atributo inválido')]
+        : [
+          body('key')
+            .trim()
+            .matches(/^[a-z0-9_]{1,50}$/)
+            .withMessage('La clave solo puede tener minúsculas, números y guiones bajos'),
+          body('data_type')
+            .isIn(Attribute.DATA_TYPES)
+            .withMessage('Tipo de dato inválido')
+        ]),
+      (partial ? body('label').optional() : body('label'))
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('La etiqueta debe tener entre 1 y 100 caracteres'),
+      body('unit')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 20 })
+        .withMessage('La unidad no puede superar los 20 caracteres'),
+      body('options')
+        .optional({ nullable: true })
+        .isArray({ max: 50 })
+        .withMessage('Las opciones deben ser una lista'),
+      body('options.*')
+        .isString()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Cada opción debe tener entre 1 y 100 caracteres'),
+      body('is_filterable')
+        .optional()
+        .isBoolean()
+        .withMessage('is_filterable debe ser verdadero o falso'),
+      body('sort_order')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Orden inválido')
+    ];
+  }
+
+  // Validación de categoría y atributo
+  static getAttributeIdValidation() {
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('Categoría inválida'),
+      param('attributeId')
+        .isUUID()
+        .withMessage('Atributo inválido')
+    ];
+  }
+}
+
+module.exports = CategoryController;
@@ -0,0 +1,393 @@
+// controllers/couponController.js
+const { transaction } = require('../config/database');
+const { body, param, query: queryParam, validationResult } = require('express-validator');
+const Coupon = require('../models/Coupon');
+const Order = require('../models/Order');
+const { HttpError } = require('../utils/httpError');
+
+class CouponController {
+  // Previsualizar el descuento de un cupón para los items enviados o el carrito
+  static async validateCoupon(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const { code, items } = req.body;
+
+      const result = await transaction(async (client) => {
+        const requestedItems = items && items.length > 0
+          ? items
+          : await Order.getCartItems(client, req.user.id);
+
+        if (requestedItems.length === 0) {
+          throw new HttpError(400, 'No hay productos para aplicar el cupón');
+        }
+
+        const lines = await Order.priceItems(client, requestedItems);
+        const subtotal = lines.reduce((sum, line) => sum + line.total_price, 0);
+        const applied = await Coupon.apply(client, code, { userId: req.user.id, lines, subtotal });
+
+        return {
+          code: applied.coupon.code,
+          description: applied.coupon.description,
+          subtotal: Math.round(subtotal * 100) / 100,
+          discount: applied.discount,
+          total: Math.round((subtotal - applied.discount) * 100) / 100,
+          eligible_product_ids: Array.from(applied.allocations.keys())
+        };
+      });
+
+      res.json({
+        success: true,
+        message: 'Cupón aplicado',
+        data: result
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          errors: error.details
+        });
+      }
+
+      console.error('Error validando cupón:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Listar cupones (solo admin)
+  static async getCoupons(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const { active } = req.query;
+      const coupons = await Coupon.list({
+        active: active === undefined ? undefined : active === 'true'
+      });
+
+      res.json({
+        success: true,
+        data: coupons
+      });
+    } catch (error) {
+      console.error('Error obteniendo cupones:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Crear cupón (solo admin)
+  static async createCoupon(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      if (await Coupon.findByCode(req.body.code)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Ya existe un cupón con ese código'
+        });
+      }
+
+      const coupon = await Coupon.create(req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Cupón creado exitosamente',
+        data: coupon
+      });
+    } catch (error) {
+      console.error('Error creando cupón:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Generar un lote de códigos de un solo uso (solo admin)
+  static async generateCoupons(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const coupons = await transaction((client) => Coupon.generateSingleUse(client, {
+        ...req.body,
+        count: parseInt(req.body.count)
+      }));
+
+      res.status(201).json({
+        success: true,
+        message: `${coupons.length} cupones generados`,
+        data: coupons
+      });
+    } catch (error) {
+      console.error('Error generando cupones:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Actualizar cupón (solo admin)
+  static async updateCoupon(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      if (req.body.code) {
+        const existing = await Coupon.findByCode(req.body.code);
+        if (existing && existing.id !== req.params.id) {
+          return res.status(409).json({
+            success: false,
+            message: 'Ya existe un cupón con ese código'
+          });
+        }
+      }
+
+      const coupon = await Coupon.update(req.params.id, req.body);
+
+      if (!coupon) {
+        return res.status(404).json({
+          success: false,
+          message: 'Cupón no encontrado'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Cupón actualizado exitosamente',
+        data: coupon
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Error actualizando cupón:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Desactivar cupón (solo admin). Se conserva por los usos registrados.
+  static async deleteCoupon(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const coupon = await Coupon.update(req.params.id, { is_active: false });
+
+      if (!coupon) {
+        return res.status(404).json({
+          success: false,
+          message: 'Cupón no encontrado'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Cupón desactivado exitosamente'
+      });
+    } catch (error) {
+      console.error('Error desactivando cupón:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Validaciones para previsualizar un cupón
+  static getValidateCouponValidation() {
+    return [
+      body('code')
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Código de cupón inválido'),
+      body('items')
+        .optional()
+        .isArray({ max: 50 })
+        .withMessage('Los items deben ser una lista'),
+      body('items.*.product_id')
+        .isUUID()
+        .withMessage('Producto inválido'),
+      body('items.*.quantity')
+        .isInt({ min: 1, max: 99 })
+        .withMessage('Cantidad inválida')
+    ];
+  }
+
+  // Validaciones de las condiciones de un cupón. En la edición todos los campos son opcionales.
+  static getConditionsValidation(partial) {
+    const field = (name) => (partial ? body(name).optional() : body(name));
+    const optionalField = (name) => body(name).optional({ nullable: true });
+
+    return [
+      field('discount_type')
+        .isIn(['percentage', 'fixed'])
+        .withMessage('Tipo de descuento inválido'),
+      field('discount_value')
+        .isFloat({ gt: 0 })
+        .withMessage('El valor del descuento debe ser mayor a 0')
+        .custom((value, { req }) => req.body.discount_type !== 'percentage' || parseFloat(value) <= 100)
+        .withMessage('El porcentaje no puede superar 100'),
+      optionalField('description')
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('La descripción no puede superar los 500 caracteres'),
+      optionalField('max_discount')
+        .isFloat({ gt: 0 })
+        .withMessage('El tope de descuento debe ser mayor a 0'),
+      body('min_order_amount')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Monto mínimo inválido'),
+      optionalField('category_ids')
+        .isArray()
+        .withMessage('Las categorías deben ser una lista'),
+      body('category_ids.*')
+        .isUUID()
+        .withMessage('Categoría inválida'),
+      optionalField('product_ids')
+        .isArray()
+        .withMessage('Los productos deben ser una lista'),
+      body('product_ids.*')
+        .isUUID()
+        .withMessage('Producto inválido'),
+      optionalField('starts_at')
+        .isISO8601()
+        .withMessage('Fecha de inicio inválida'),
+      optionalField('expires_at')
+        .isISO8601()
+        .withMessage('Fecha de vencimiento inválida')
+        .custom((value, { req }) => !req.body.starts_at || new Date(value) > new Date(req.body.starts_at))
+        .withMessage('El vencimiento debe ser posterior al inicio'),
+      optionalField('usage_limit')
+        .isInt({ min: 1 })
+        .withMessage('El límite de usos debe ser al menos 1'),
+      optionalField('usage_limit_per_user')
+        .isInt({ min: 1 })
+        .withMessage('El límite de usos por usuario debe ser al menos 1'),
+      body('is_single_use')
+        .optional()
+        .isBoolean()
+        .withMessage('Valor inválido para un solo uso'),
+      body('is_active')
+        .optional()
+        .isBoolean()
+        .withMessage('Valor inválido para activo')
+    ];
+  }
+
+  // Validaciones para crear cupón
+  static getCreateCouponValidation() {
+    return [
+      body('code')
+        .trim()
+        .matches(/^[A-Za-z0-9_-]{3,50}$/)
+        .withMessage('El código debe tener entre 3 y 50 letras, números, guiones o guiones bajos'),
+      ...CouponController.getConditionsValidation(false)
+    ];
+  }
+
+  // Validaciones para actualizar cupón
+  static getUpdateCouponValidation() {
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('Cupón inválido'),
+      body('code')
+        .optional()
+        .trim()
+        .matches(/^[A-Za-z0-9_-]{3,50}$/)
+        .withMessage('El código debe tener entre 3 y 50 letras, números, guiones o guiones bajos'),
+      ...CouponController.getConditionsValidation(true)
+    ];
+  }
+
+  // Validaciones para generar códigos de un solo uso
+  static getGenerateCouponsValidation() {
+    return [
+      body('count')
+        .isInt({ min: 1, max: 500 })
+        .withMessage('La cantidad debe estar entre 1 y 500'),
+      body('prefix')
+        .optional()
+        .trim()
+        .matches(/^[A-Za-z0-9_-]{0,20}$/)
+        .withMessage('Prefijo inválido'),
+      ...CouponController.getConditionsValidation(false)
+    ];
+  }
+
+  // Validación del ID de cupón
+  static getCouponIdValidation() {
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('Cupón inválido')
+    ];
+  }
+
+  // Validaciones para listar cupones
+  static getListCouponsValidation() {
+    return [
+      queryParam('active')
+        .optional()
+        .isIn(['true', 'false'])
+        .withMessage('Filtro de estado inválido')
+    ];
+  }
+}
+
+module.exports = CouponController;
@@ -0,0 +1,798 @@
+// controllers/orderController.js
+const { query, transaction } = require('../config/database');
+const { body, param, query: queryParam, validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const Invoice = require('../models/Invoice');
+const Refund = require('../models/Refund');
+const Shipment = require('../models/Shipment');
+const { HttpError } = require('../utils/httpError');
+const { renderInvoicePdf } = require('../utils/invoicePdf');
+
+class OrderController {
+  // Crear orden desde los items enviados o desde el carrito
+  static async createOrder(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const userId = req.user.id;
+      const {
+        items,
+        shipping_address,
+        payment_method = 'mercadopago',
+        notes,
+        shipping_method,
+        province,
+        postal_code,
+        coupon_code
+      } = req.body;
+
+      // Los precios se toman de la base de datos, nunca del cliente
+      const order = await transaction(async (client) => {
+        return Order.create(client, {
+          userId,
+          items,
+          shippingAddress: shipping_address,
+          paymentMethod: payment_method,
+          notes,
+          shipping: {
+            method: shipping_method,
+            province,
+            postalCode: postal_code
+          },
+          couponCode: coupon_code
+        });
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Orden creada exitosamente',
+        data: order
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          errors: error.details
+        });
+      }
+
+      console.error('Error creando orden:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Obtener órdenes del usuario autenticado
+  static async getMyOrders(req, res) {
+    try {
+      const userId = req.user.id;
+
+      const result = await query(`
+        SELECT
+          o.id, o.status, o.total, o.shipping_address, o.payment_method,
+          o.tracking_number, o.created_at, o.updated_at,
+          COUNT(oi.id)::int as items_count
+        FROM orders o
+        LEFT JOIN order_items oi ON o.id = oi.order_id
+        WHERE o.user_id = $1
+        GROUP BY o.id
+        ORDER BY o.created_at DESC
+      `, [userId]);
+
+      res.json({
+        success: true,
+        data: result.rows
+      });
+    } catch (error) {
+      console.error('Error obteniendo órdenes:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Obtener detalle de una orden (propia, o cualquiera si es admin)
+  static async getOrderById(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const order = await Order.findById(req.params.id);
+
+      if (!order || (order.user_id !== req.user.id && req.user.role !== 'admin')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Orden no encontrada'
+        });
+      }
+
+      order.status_history = await Order.getStatusHistory(order.id);
+      order.allowed_transitions = Order.getAllowedTransitions(order.status);
+      order.refunds = await Refund.findByOrder(order.id);
+
+      const invoice = await Invoice.findByOrder(order.id);
+      order.invoice_number = invoice ? Invoice.formatNumber(invoice) : null;
+
+      res.json({
+        success: true,
+        data: order
+      });
+    } catch (error) {
+      console.error('Error obteniendo orden:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Listar todas las órdenes con filtros (solo admin)
+  static async getAllOrders(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const {
+        status,
+        user_id,
+        search,
+        date_from,
+        date_to,
+        page = 1,
+        limit = 20
+      } = req.query;
+
+      const whereConditions = [];
+      const queryParams = [];
+
+      if (status) {
+        queryParams.push(status);
+        whereConditions.push(`o.status = $${queryParams.length}`);
+      }
+
+      if (user_id) {
+        queryParams.push(user_id);
+        whereConditions.push(`o.user_id = $${queryParams.length}`);
+      }
+
+      // Búsqueda por nombre o email del cliente
+      if (search) {
+        queryParams.push(`%${search}%`);
+        whereConditions.push(`(u.name ILIKE $${queryParams.length} OR u.email ILIKE $${queryParams.length})`);
+      }
+
+      if (date_from) {
+        queryParams.push(date_from);
+        whereConditions.push(`o.created_at >= $${queryParams.length}`);
+      }
+
+      if (date_to) {
+        queryParams.push(date_to);
+        whereConditions.push(`o.created_at <= $${queryParams.length}`);
+      }
+
+      const whereClause = whereConditions.length > 0
+        ? `WHERE ${whereConditions.join(' AND ')}`
+        : '';
+
+      const countResult = await query(`
+        SELECT COUNT(*) as total
+        FROM orders o
+        JOIN users u ON o.user_id = u.id
+        ${whereClause}
+      `, queryParams);
+
+      const total = parseInt(countResult.rows[0].total);
+      const currentPage = parseInt(page);
+      const pageSize = parseInt(limit);
+
+      const result = await query(`
+        SELECT
+          o.id, o.status, o.total, o.shipping_address, o.payment_method,
+          o.payment_id, o.tracking_number, o.created_at, o.updated_at,
+          u.id as user_id, u.name as user_name, u.email as user_email
+        FROM orders o
+        JOIN users u ON o.user_id = u.id
+        ${whereClause}
+        ORDER BY o.created_at DESC
+        LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}
+      `, [...queryParams, pageSize, (currentPage - 1) * pageSize]);
+
+      res.json({
+        success: true,
+        data: {
+          orders: result.rows,
+          pagination: {
+            currentPage,
+            totalPages: Math.ceil(total / pageSize),
+            totalOrders: total,
+            hasNext: (currentPage * pageSize) < total,
+            hasPrev: currentPage > 1
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error listando órdenes:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Cambiar el estado de una orden (solo admin)
+  static async updateOrderStatus(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+      const { status, reason, tracking_number } = req.body;
+
+      // Una orden pagada se cancela con un reembolso total: al aprobarse
+      // devuelve el pago, cancela la orden y repone el stock. Antes se anula
+      // su envío; si el paquete ya salió la orden no se puede cancelar.
+      if (status === 'cancelado') {
+        const current = await query('SELECT status FROM orders WHERE id = $1', [id]);
+
+        if (current.rows.length > 0 && current.rows[0].status === 'pagado') {
+          if (await Shipment.findActiveByOrder(id)) {
+            await Shipment.cancel(id);
+          }
+
+          const refund = await Refund.process({
+            orderId: id,
+            reason: reason || 'Orden cancelada por la administración',
+            actorType: 'admin',
+            actorId: req.user.id
+          });
+
+          return res.json({
+            success: true,
+            message: refund.status === 'approved'
+              ? 'Orden cancelada y pago reembolsado'
+              : 'Reembolso en proceso. La orden se cancelará cuando se apruebe',
+            data: {
+              ...(await Order.findById(id)),
+              refund
+            }
+          });
+        }
+      }
+
+      const order = await transaction(async (client) => {
+        const result = await Order.transition(client, id, status, {
+          actorType: 'admin',
+          actorId: req.user.id,
+          reason,
+          trackingNumber: tracking_number
+        });
+
+        if (!result.changed) {
+          throw new HttpError(409, `La orden ya está en estado ${status}`);
+        }
+
+        return Order.findById(id, client);
+      });
+
+      res.json({
+        success: true,
+        message: 'Estado de la orden actualizado',
+        data: order
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Error actualizando estado de orden:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Cancelar una orden propia mientras siga pendiente de pago
+  static async cancelOrder(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+      const { reason } = req.body;
+
+      const order = await transaction(async (client) => {
+        const ownerResult = await client.query(
+          'SELECT status FROM orders WHERE id = $1 AND user_id = $2',
+          [id, req.user.id]
+        );
+
+        if (ownerResult.rows.length === 0) {
+          throw new HttpError(404, 'Orden no encontrada');
+        }
+
+        if (ownerResult.rows[0].status !== 'pendiente') {
+          throw new HttpError(409, 'Solo se pueden cancelar órdenes pendientes de pago');
+        }
+
+        await Order.transition(client, id, 'cancelado', {
+          actorType: 'customer',
+          actorId: req.user.id,
+          reason: reason || 'Cancelada por el cliente'
+        });
+
+        // Los pagos iniciados quedan anulados
+        await client.query(
+          "UPDATE payments SET status = 'cancelled' WHERE order_id = $1 AND status = 'pending'",
+          [id]
+        );
+
+        return Order.findById(id, client);
+      });
+
+      res.json({
+        success: true,
+        message: 'Orden cancelada exitosamente',
+        data: order
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Error cancelando orden:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Reembolsar total o parcialmente una orden (solo admin)
+  static async refundOrder(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const { amount, items, reason } = req.body;
+
+      const refund = await Refund.process({
+        orderId: req.params.id,
+        amount,
+        items,
+        reason,
+        actorType: 'admin',
+        actorId: req.user.id
+      });
+
+      res.status(201).json({
+        success: true,
+        message: refund.status === 'approved'
+          ? 'Reembolso procesado exitosamente'
+          : 'Reembolso en proceso',
+        data: refund
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Error reembolsando orden:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Generar el envío de una orden pagada con el transportista (solo admin)
+  static async createShipment(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const shipment = await Shipment.create(req.params.id, req.body.carrier);
+
+      res.status(201).json({
+        success: true,
+        message: 'Envío generado exitosamente',
+        data: shipment
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Error generando envío:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Cancelar el envío de una orden antes del despacho (solo admin)
+  static async cancelShipment(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      await Shipment.cancel(req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Envío cancelado exitosamente'
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Error cancelando envío:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Seguimiento del envío de una orden (propia, o cualquiera si es admin)
+  static async getTracking(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const orderResult = await query(
+        'SELECT id, user_id, status, shipping_method FROM orders WHERE id = $1',
+        [req.params.id]
+      );
+      const order = orderResult.rows[0];
+
+      if (!order || (order.user_id !== req.user.id && req.user.role !== 'admin')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Orden no encontrada'
+        });
+      }
+
+      let shipment = await Shipment.findActiveByOrder(order.id);
+
+      // Refrescar con el transportista si la última consulta es antigua
+      const staleMs = 5 * 60 * 1000;
+      if (shipment && ['created', 'in_transit', 'exception'].includes(shipment.status) &&
+        (!shipment.last_synced_at || Date.now() - new Date(shipment.last_synced_at) > staleMs)) {
+        try {
+          shipment = await Shipment.sync(shipment);
+        } catch (syncError) {
+          console.error('Error actualizando seguimiento:', syncError);
+        }
+      }
+
+      const currentOrder = await query('SELECT status FROM orders WHERE id = $1', [order.id]);
+
+      res.json({
+        success: true,
+        data: {
+          order_id: order.id,
+          order_status: currentOrder.rows[0].status,
+          shipping_method: order.shipping_method,
+          shipment: shipment
+            ? {
+                carrier: shipment.carrier,
+                tracking_number: shipment.tracking_number,
+                status: shipment.status,
+                delivered_at: shipment.delivered_at,
+                last_synced_at: shipment.last_synced_at
+              }
+            : null,
+          events: shipment ? await Shipment.getEvents(shipment.id) : []
+        }
+      });
+    } catch (error) {
+      console.error('Error obteniendo seguimiento:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Descargar el comprobante PDF de una orden pagada (propia, o cualquiera si es admin)
+  static async getInvoice(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const orderResult = await query(
+        'SELECT id, user_id, status FROM orders WHERE id = $1',
+        [req.params.id]
+      );
+      const order = orderResult.rows[0];
+
+      if (!order || (order.user_id !== req.user.id && req.user.role !== 'admin')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Orden no encontrada'
+        });
+      }
+
+      let invoice = await Invoice.findByOrder(order.id);
+
+      // Órdenes pagadas antes de emitir comprobantes automáticamente
+      if (!invoice) {
+        if (!Invoice.isInvoiceable(order.status)) {
+          return res.status(409).json({
+            success: false,
+            message: 'La orden todavía no tiene un pago acreditado'
+          });
+        }
+
+        invoice = await transaction((client) => Invoice.issue(client, order.id));
+      }
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="comprobante-${Invoice.formatNumber(invoice)}.pdf"`
+      );
+
+      renderInvoicePdf(invoice, res);
+    } catch (error) {
+      console.error('Error generando comprobante:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Validaciones para crear orden
+  static getCreateOrderValidation() {
+    return [
+      body('items')
+        .optional()
+        .isArray()
+        .withMessage('Los items deben ser una lista'),
+      body('items.*.product_id')
+        .isUUID()
+        .withMessage('Producto inválido'),
+      body('items.*.quantity')
+        .isInt({ min: 1 })
+        .withMessage('La cantidad debe ser al menos 1'),
+      body('shipping_method')
+        .optional()
+        .isIn(['envio', 'retiro'])
+        .withMessage('Método de envío inválido'),
+      body('shipping_address')
+        .if(body('shipping_method').not().equals('retiro'))
+        .trim()
+        .isLength({ min: 5, max: 500 })
+        .withMessage('La dirección de envío es requerida'),
+      body('province')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Provincia inválida'),
+      body('postal_code')
+        .optional()
+        .trim()
+        .matches(/^([A-Za-z]\d{4}[A-Za-z]{3}|\d{4})$/)
+        .withMessage('Código postal inválido'),
+      body('payment_method')
+        .optional()
+        .isIn(['mercadopago', 'transferencia', 'efectivo'])
+        .withMessage('Método de pago inválido'),
+      body('coupon_code')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ max: 50 })
+        .withMessage('Código de cupón inválido'),
+      body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Las notas no pueden superar los 1000 caracteres')
+    ];
+  }
+
+  // Validación del ID de orden
+  static getOrderIdValidation() {
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('ID de orden inválido')
+    ];
+  }
+
+  // Validaciones para cambio de estado
+  static getUpdateStatusValidation() {
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('ID de orden inválido'),
+      body('status')
+        .isIn(['pendiente', 'pagado', 'enviado', 'entregado', 'cancelado'])
+        .withMessage('Estado inválido'),
+      body('reason')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('El motivo no puede superar los 500 caracteres'),
+      body('tracking_number')
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Número de seguimiento inválido')
+    ];
+  }
+
+  // Validaciones para generar envío
+  static getCreateShipmentValidation() {
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('ID de orden inválido'),
+      body('carrier')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Transportista inválido')
+    ];
+  }
+
+  // Validaciones para cancelación por el cliente
+  static getCancelOrderValidation() {
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('ID de orden inválido'),
+      body('reason')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('El motivo no puede superar los 500 caracteres')
+    ];
+  }
+
+  // Validaciones para reembolsos
+  static getRefundValidation() {
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('ID de orden inválido'),
+      body('amount')
+        .optional()
+        .isFloat({ gt: 0 })
+        .withMessage('El monto debe ser mayor a 0'),
+      body('items')
+        .optional()
+        .isArray({ min: 1 })
+        .withMessage('Los items deben ser una lista'),
+      body('items.*.product_id')
+        .isUUID()
+        .withMessage('Producto inválido'),
+      body('items.*.quantity')
+        .isInt({ min: 1 })
+        .withMessage('La cantidad debe ser al menos 1'),
+      body('reason')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('El motivo no puede superar los 500 caracteres')
+    ];
+  }
+
+  // Validaciones para el listado de administración
+  static getListOrdersValidation() {
+    return [
+      queryParam('status')
+        .optional()
+        .isIn(['pendiente', 'pagado', 'enviado', 'entregado', 'cancelado'])
+        .withMessage('Estado inválido'),
+      queryParam('user_id')
+        .optional()
+        .isUUID()
+        .withMessage('Usuario inválido'),
+      queryParam('date_from')
+        .optional()
+        .isISO8601()
+        .withMessage('Fecha desde inválida'),
+      queryParam('date_to')
+        .optional()
+        .isISO8601()
+        .withMessage('Fecha hasta inválida'),
+      queryParam('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Página inválida'),
+      queryParam('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Límite inválido')
+    ];
+  }
+}
+
+module.exports = OrderController;
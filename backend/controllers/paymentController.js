@@ -1,6 +1,10 @@
 // controllers/paymentController.js
 const { query, transaction } = require('../config/database');
 const MercadoPagoService = require('../config/mercadopago');
+const Order = require('../models/Order');
+const StockReservation = require('../models/StockReservation');
+const Refund = require('../models/Refund');
+const { HttpError } = require('../utils/httpError');
 
 class PaymentController {
   // Crear una preferencia de pago
@@ -19,6 +23,8 @@ class PaymentController {
               'name', p.name,
               'quantity', oi.quantity,
               'unit_price', oi.unit_price,
+              'total_price', oi.total_price,
+              'discount_amount', oi.discount_amount,
               'image_url', p.image_url
             )
           ) as items
@@ -52,11 +58,18 @@ class PaymentController {
         [userId]
       );
 
+      // Extender la reserva de stock hasta el vencimiento de la preferencia
+      const expiresAt = StockReservation.getExpirationDate();
+      await transaction((client) => StockReservation.renew(client, order.id, expiresAt));
+
       const orderData = {
         order_id: order.id,
         items: order.items,
         user: userResult.rows[0],
-        shipping_address: order.shipping_address
+        shipping_address: order.shipping_address,
+        shipping_cost: order.shipping_cost,
+        postal_code: order.shipping_postal_code,
+        expires_at: expiresAt
       };
 
       // Crear preferencia en MercadoPago
@@ -73,10 +86,19 @@ class PaymentController {
         data: {
           preference_id: preference.preference_id,
           init_point: preference.init_point,
-          sandbox_init_point: preference.sandbox_init_point
+          sandbox_init_point: preference.sandbox_init_point,
+          expires_at: expiresAt
         }
       });
     } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          errors: error.details
+        });
+      }
+
       console.error('Error creando preferencia de pago:', error);
       res.status(500).json({
         success: false,
@@ -98,8 +120,9 @@ class PaymentController {
         return res.status(200).send('OK');
       }
 
-      // Actualizar estado del pago en la base de datos
-      await transaction(async (client) => {
+      // Actualizar estado del pago en la base de datos. Devuelve el motivo
+      // del reembolso si el pago aprobado no puede aplicarse a la orden.
+      const orphanPayment = await transaction(async (client) => {
         // Actualizar pago
         await client.query(`
           UPDATE payments 
@@ -115,52 +138,95 @@ class PaymentController {
           paymentData.external_reference
         ]);
 
-        // Actualizar estado de la orden según el estado del pago
-        let orderStatus = 'pendiente';
-        
+        // Guardar referencia del pago en la orden
+        await client.query(
+          'UPDATE orders SET payment_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+          [paymentData.payment_id, paymentData.external_reference]
+        );
+
+        // Actualizar estado de la orden según el estado del pago.
+        // Un pago pendiente no modifica la orden y un rechazo solo cancela órdenes pendientes.
+        let targetStatus = null;
+        let onlyFrom = null;
         if (MercadoPagoService.isPaymentApproved(paymentData.status)) {
-          orderStatus = 'pagado';
-          
-          // Reducir stock de productos
-          const orderItems = await client.query(`
-            SELECT oi.product_id, oi.quantity, p.stock, p.product_type
-            FROM order_items oi
-            JOIN products p ON oi.product_id = p.id
-            WHERE oi.order_id = $1
-          `, [paymentData.external_reference]);
-
-          for (const item of orderItems.rows) {
-            if (item.product_type === 'unico') {
-              // Productos únicos se marcan como agotados
-              await client.query(
-                'UPDATE products SET status = $1, stock = 0 WHERE id = $2',
-                ['agotado', item.product_id]
-              );
-            } else {
-              // Reducir stock de productos normales
-              const newStock = Math.max(0, item.stock - item.quantity);
-              const newStatus = newStock === 0 ? 'agotado' : 'disponible';
-              
-              await client.query(
-                'UPDATE products SET stock = $1, status = $2 WHERE id = $3',
-                [newStock, newStatus, item.product_id]
-              );
-            }
-          }
+          targetStatus = 'pagado';
         } else if (MercadoPagoService.isPaymentRejected(paymentData.status)) {
-          orderStatus = 'cancelado';
+          targetStatus = 'cancelado';
+          onlyFrom = ['pendiente'];
         }
 
-        await client.query(`
-          UPDATE orders 
-          SET 
-            status = $1,
-            payment_id = $2,
-            updated_at = CURRENT_TIMESTAMP
-          WHERE id = $3
-        `, [orderStatus, paymentData.payment_id, paymentData.external_reference]);
+        if (!targetStatus) {
+          return null;
+        }
+
+        try {
+          // La transición a pagado descuenta el stock una única vez
+          const { changed } = await Order.transition(client, paymentData.external_reference, targetStatus, {
+            actorType: 'mercadopago',
+            reason: `Pago ${paymentData.payment_id}: ${paymentData.status} (${paymentData.status_detail})`,
+            onlyFrom
+          });
+
+          // Un webhook repetido no vuelve a avisar al cliente
+          if (changed) {
+            await Order.notify(
+              client,
+              paymentData.external_reference,
+              targetStatus === 'pagado' ? 'payment_approved' : 'payment_rejected',
+              { paymentId: paymentData.payment_id }
+            );
+          }
+        } catch (error) {
+          if (!(error instanceof HttpError)) {
+            throw error;
+          }
+
+          console.warn(`Transición ignorada para la orden ${paymentData.external_reference}:`, error.message);
+
+          if (targetStatus !== 'pagado') {
+            return null;
+          }
+
+          // Si la reserva venció y el stock ya se vendió (el error trae los productos
+          // faltantes), la orden se cancela y el pago se devuelve
+          if (error.details) {
+            await Order.transition(client, paymentData.external_reference, 'cancelado', {
+              actorType: 'mercadopago',
+              reason: error.message,
+              onlyFrom: ['pendiente']
+            });
+            return 'Pago aprobado sin stock disponible para la orden';
+          }
+
+          // Solo se devuelve el pago si la orden está cancelada. Un aviso repetido
+          // para una orden ya enviada o entregada, o una orden inexistente, se ignoran.
+          const current = await client.query(
+            'SELECT status FROM orders WHERE id = $1 FOR UPDATE',
+            [paymentData.external_reference]
+          );
+
+          if (current.rows.length > 0 && current.rows[0].status === 'cancelado') {
+            return 'Pago aprobado para una orden cancelada';
+          }
+
+          return null;
+        }
+
+        return null;
       });
 
+      if (orphanPayment) {
+        try {
+          await Refund.process({
+            orderId: paymentData.external_reference,
+            reason: orphanPayment,
+            actorType: 'system'
+          });
+        } catch (error) {
+          console.error(`Error reembolsando pago ${paymentData.payment_id} no aplicado a la orden:`, error);
+        }
+      }
+
       console.log(`Pago procesado: ${paymentData.payment_id} - Estado: ${paymentData.status}`);
       
       res.status(200).send('OK');
@@ -284,29 +350,35 @@ class PaymentController {
 
       const order = orderResult.rows[0];
 
-      // Crear registro de pago manual
-      const paymentResult = await query(`
-        INSERT INTO payments (order_id, payment_method, amount, currency, status, gateway_response)
-        VALUES ($1, $2, $3, $4, $5, $6)
-        RETURNING *
-      `, [
-        order_id,
-        payment_method,
-        order.total,
-        'ARS',
-        'pending',
-        JSON.stringify({ 
-          type: 'manual', 
-          proof: payment_proof,
-          submitted_at: new Date().toISOString()
-        })
-      ]);
+      // Crear registro de pago manual y confirmar la recepción al cliente
+      const payment = await transaction(async (client) => {
+        const paymentResult = await client.query(`
+          INSERT INTO payments (order_id, payment_method, amount, currency, status, gateway_response)
+          VALUES ($1, $2, $3, $4, $5, $6)
+          RETURNING *
+        `, [
+          order_id,
+          payment_method,
+          order.total,
+          'ARS',
+          'pending',
+          JSON.stringify({ 
+            type: 'manual', 
+            proof: payment_proof,
+            submitted_at: new Date().toISOString()
+          })
+        ]);
+
+        await Order.notify(client, order_id, 'manual_payment_received', { paymentMethod: payment_method });
+
+        return paymentResult.rows[0];
+      });
 
       res.json({
         success: true,
         message: 'Comprobante de pago enviado. Será verificado en las próximas 24 horas.',
         data: {
-          payment_id: paymentResult.rows[0].id,
+          payment_id: payment.id,
           status: 'pending'
         }
       });
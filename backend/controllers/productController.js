@@ -1,8 +1,19 @@
 // controllers/productController.js
 const { query, transaction } = require('../config/database');
+const { body, param, query: queryParam, validationResult } = require('express-validator');
+const StockReservation = require('../models/StockReservation');
+const Bundle = require('../models/Bundle');
+const Variant = require('../models/Variant');
+const ProductImage = require('../models/ProductImage');
+const ProductSearch = require('../models/ProductSearch');
+const ProductFilters = require('../models/ProductFilters');
+const ProductListing = require('../models/ProductListing');
+const Category = require('../models/Category');
+const Attribute = require('../models/Attribute');
+const Review = require('../models/Review');
+const { HttpError } = require('../utils/httpError');
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs').promises;
 
 // Configuración de multer para subida de imágenes
 const storage = multer.diskStorage({
@@ -20,6 +31,7 @@ const upload = multer({
   limits: {
     fileSize: 5 * 1024 * 1024 // 5MB max
   },
+  // Filtro rápido por tipo declarado; el contenido se valida en processProductImages
   fileFilter: (req, file, cb) => {
     if (file.mimetype.startsWith('image/')) {
       cb(null, true);
@@ -29,101 +41,69 @@ const upload = multer({
   }
 });
 
-class ProductController {
-  // Obtener todos los productos con filtros
-  static async getProducts(req, res) {
-    try {
-      const {
-        category,
-        type,
-        status = 'disponible',
-        featured,
-        search,
-        page = 1,
-        limit = 12,
-        sortBy = 'created_at',
-        sortOrder = 'DESC'
-      } = req.query;
-
-      let whereConditions = ['p.status = $1'];
-      let queryParams = [status];
-      let paramCount = 1;
+// Valores permitidos por el CHECK de products.product_type
+const PRODUCT_TYPES = ['normal', 'oferta', 'nuevo', 'usado', 'unico'];
 
-      // Filtrar por categoría
-      if (category) {
-        paramCount++;
-        whereConditions.push(`c.slug = $${paramCount}`);
-        queryParams.push(category);
-      }
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
-      // Filtrar por tipo de producto
-      if (type) {
-        paramCount++;
-        whereConditions.push(`p.product_type = $${paramCount}`);
-        queryParams.push(type);
-      }
-
-      // Filtrar productos destacados
-      if (featured) {
-        paramCount++;
-        whereConditions.push(`p.is_featured = $${paramCount}`);
-        queryParams.push(featured === 'true');
-      }
+// IDs separados por coma en la query string
+const parseList = (value) => [].concat(value || [])
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
 
-      // Búsqueda por texto
-      if (search) {
-        paramCount++;
-        whereConditions.push(`(p.name ILIKE $${paramCount} OR p.description ILIKE $${paramCount})`);
-        queryParams.push(`%${search}%`);
+class ProductController {
+  // Obtener todos los productos con filtros y conteos por faceta.
+  // Admite paginación por página (page) o por cursor (cursor) para scroll infinito.
+  static async getProducts(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
       }
 
-      // Calcular offset para paginación
-      const offset = (page - 1) * limit;
-      paramCount++;
-      queryParams.push(limit);
-      paramCount++;
-      queryParams.push(offset);
+      // Los filtros se interpretan antes de lanzar las consultas: un filtro
+      // inválido corta acá y no deja una consulta en curso sin esperar
+      const filters = ProductFilters.fromQuery(req.query);
 
-      const sql = `
-        SELECT 
-          p.id, p.name, p.description, p.price, p.image_url,
-          p.status, p.product_type, p.stock, p.sku, p.is_featured,
-          p.created_at, p.updated_at,
-          c.name as category_name, c.slug as category_slug
-        FROM products p
-        LEFT JOIN categories c ON p.category_id = c.id
-        WHERE ${whereConditions.join(' AND ')}
-        ORDER BY p.${sortBy} ${sortOrder}
-        LIMIT $${paramCount - 1} OFFSET $${paramCount}
-      `;
+      const [listing, facets] = await Promise.all([
+        ProductListing.list(req.query),
+        ProductFilters.getFacets(filters)
+      ]);
 
-      const result = await query(sql, queryParams);
-
-      // Obtener el total de productos para paginación
-      const countSql = `
-        SELECT COUNT(*) as total
-        FROM products p
-        LEFT JOIN categories c ON p.category_id = c.id
-        WHERE ${whereConditions.slice(0, -2).join(' AND ')}
-      `;
-      
-      const countResult = await query(countSql, queryParams.slice(0, -2));
-      const total = parseInt(countResult.rows[0].total);
+      const { products, total, page, limit, sort, nextCursor } = listing;
 
       res.json({
         success: true,
         data: {
-          products: result.rows,
+          products,
+          facets,
+          sort,
           pagination: {
-            currentPage: parseInt(page),
+            currentPage: page,
             totalPages: Math.ceil(total / limit),
             totalProducts: total,
             hasNext: (page * limit) < total,
             hasPrev: page > 1
+          },
+          cursor: {
+            next: nextCursor,
+            hasNext: nextCursor !== null
           }
         }
       });
     } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       console.error('Error obteniendo productos:', error);
       res.status(500).json({
         success: false,
@@ -132,18 +112,62 @@ class ProductController {
     }
   }
 
+  // Sugerencias de búsqueda mientras se tipea
+  static async suggestProducts(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const suggestions = await ProductSearch.suggest(req.query.q, parseInt(req.query.limit) || 5);
+
+      res.json({
+        success: true,
+        data: suggestions
+      });
+    } catch (error) {
+      console.error('Error obteniendo sugerencias:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
   // Obtener un producto por ID
   static async getProductById(req, res) {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
       const { id } = req.params;
 
       const sql = `
         SELECT 
-          p.*, 
+          ${ProductSearch.columnsSql('p')}, 
+          CASE WHEN pv.variant_count > 0 THEN pv.available_stock
+            ELSE ${StockReservation.AVAILABLE_STOCK_SQL} END as available_stock,
+          ${Bundle.COMPONENTS_PRICE_SQL} as components_price,
+          pv.variant_count, pv.min_price, pv.max_price,
+          pr.average_rating, COALESCE(pr.review_count, 0) as review_count,
           c.name as category_name, 
           c.slug as category_slug
         FROM products p
         LEFT JOIN categories c ON p.category_id = c.id
+        ${StockReservation.RESERVED_STOCK_JOIN}
+        ${Variant.VARIANTS_SUMMARY_JOIN}
+        ${Review.RATINGS_JOIN}
         WHERE p.id = $1
       `;
 
@@ -156,9 +180,31 @@ class ProductController {
         });
       }
 
+      const product = result.rows[0];
+
+      product.images = await ProductImage.listByProduct(product.parent_id || product.id);
+
+      const specs = await Attribute.getProductSpecs([product.id]);
+      product.specs = specs.get(product.id) || [];
+
+      // Las variantes se eligen en el detalle del producto
+      if (product.variant_count > 0) {
+        product.variants = await Variant.listByParent(product.id);
+      }
+
+      // Los combos muestran sus componentes y el ahorro frente a comprarlos por separado
+      if (product.is_bundle) {
+        const components = await Bundle.getComponents([product.id]);
+        product.components = components.get(product.id) || [];
+        product.bundle_savings = Math.max(
+          Math.round((parseFloat(product.components_price) - parseFloat(product.price)) * 100) / 100,
+          0
+        );
+      }
+
       res.json({
         success: true,
-        data: result.rows[0]
+        data: product
       });
     } catch (error) {
       console.error('Error obteniendo producto:', error);
@@ -181,8 +227,10 @@ class ProductController {
         product_type = 'normal',
         stock = 0,
         sku,
+        brand,
         weight,
         dimensions,
+        variant_options,
         is_featured = false
       } = req.body;
 
@@ -201,17 +249,17 @@ class ProductController {
         });
       }
 
-      let image_url = null;
-      if (req.file) {
-        image_url = `/uploads/products/${req.file.filename}`;
-      }
+      // La imagen ya fue validada y redimensionada por processProductImages.
+      // El producto usa el tamaño de tarjeta, igual que ProductImage.syncPrimary.
+      const image = req.file ? req.file.image : null;
+      const image_url = image ? image.variants.card.fallback : null;
 
       const sql = `
         INSERT INTO products (
           name, description, price, category_id, image_url,
-          status, product_type, stock, sku, weight, dimensions, is_featured
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
-        RETURNING *
+          status, product_type, stock, sku, weight, dimensions, is_featured, variant_options, brand
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+        RETURNING ${ProductSearch.columnsSql()}
       `;
 
       const values = [
@@ -219,18 +267,31 @@ class ProductController {
         status, product_type, parseInt(stock), sku, 
         weight ? parseFloat(weight) : null,
         dimensions ? JSON.stringify(dimensions) : null,
-        is_featured
+        is_featured,
+        variant_options ? JSON.stringify(variant_options) : null,
+        brand || null
       ];
 
-      const result = await query(sql, values);
+      // La imagen subida con el producto inicia su galería
+      const product = await transaction(async (client) => {
+        const result = await client.query(sql, values);
+        if (image) {
+          await ProductImage.add(client, result.rows[0].id, [{ ...image, alt_text: name }]);
+        }
+        return result.rows[0];
+      });
 
       res.status(201).json({
         success: true,
         message: 'Producto creado exitosamente',
-        data: result.rows[0]
+        data: product
       });
     } catch (error) {
       console.error('Error creando producto:', error);
+
+      if (req.file) {
+        await ProductImage.deleteFiles(ProductImage.getImageFiles(req.file.image));
+      }
       
       // Manejar error de SKU duplicado
       if (error.code === '23505' && error.constraint === 'products_sku_key') {
@@ -267,7 +328,7 @@ class ProductController {
             values.push(parseFloat(updates[key]));
           } else if (key === 'stock') {
             values.push(parseInt(updates[key]));
-          } else if (key === 'dimensions') {
+          } else if (key === 'dimensions' || key === 'variant_options') {
             values.push(JSON.stringify(updates[key]));
           } else {
             values.push(updates[key]);
@@ -277,18 +338,17 @@ class ProductController {
         }
       });
 
-      if (fields.length === 0) {
+      if (fields.length === 0 && !req.file) {
         return res.status(400).json({
           success: false,
           message: 'No hay campos para actualizar'
         });
       }
 
-      // Agregar imagen si se subió una nueva
-      if (req.file) {
-        fields.push(`image_url = $${paramCount}`);
-        values.push(`/uploads/products/${req.file.filename}`);
-        paramCount++;
+      // Al reponer stock un producto agotado vuelve a estar disponible,
+      // lo que dispara los avisos de reposición (queue_stock_notifications)
+      if (updates.stock !== undefined && updates.status === undefined && parseInt(updates.stock) > 0) {
+        fields.push(`status = CASE WHEN status = 'agotado' THEN 'disponible' ELSE status END`);
       }
 
       fields.push(`updated_at = $${paramCount}`);
@@ -301,7 +361,7 @@ class ProductController {
         UPDATE products 
         SET ${fields.join(', ')}
         WHERE id = $${paramCount}
-        RETURNING *
+        RETURNING ${ProductSearch.columnsSql()}
       `;
 
       const result = await query(sql, values);
@@ -313,6 +373,15 @@ class ProductController {
         });
       }
 
+      // Nombre, precio y datos heredados se propagan a las variantes.
+      // Una imagen nueva pasa a ser la principal de la galería.
+      await transaction(async (client) => {
+        await Variant.syncFromParent(client, id);
+        if (req.file) {
+          await ProductImage.add(client, id, [req.file.image], { asPrimary: true });
+        }
+      });
+
       res.json({
         success: true,
         message: 'Producto actualizado exitosamente',
@@ -332,8 +401,10 @@ class ProductController {
     try {
       const { id } = req.params;
 
+      const files = await ProductImage.getProductFiles(id);
+
       const result = await query(
-        'DELETE FROM products WHERE id = $1 RETURNING image_url',
+        'DELETE FROM products WHERE id = $1 RETURNING id',
         [id]
       );
 
@@ -344,20 +415,21 @@ class ProductController {
         });
       }
 
-      // Eliminar imagen del servidor si existe
-      if (result.rows[0].image_url) {
-        try {
-          await fs.unlink(path.join(__dirname, '..', result.rows[0].image_url));
-        } catch (unlinkError) {
-          console.error('Error eliminando imagen:', unlinkError);
-        }
-      }
+      // Eliminar del servidor las imágenes de la galería y de las variantes
+      await ProductImage.deleteFiles(files);
 
       res.json({
         success: true,
         message: 'Producto eliminado exitosamente'
       });
     } catch (error) {
+      if (error.code === '23503' && error.constraint === 'bundle_items_component_id_fkey') {
+        return res.status(409).json({
+          success: false,
+          message: 'El producto es componente de un combo'
+        });
+      }
+
       console.error('Error eliminando producto:', error);
       res.status(500).json({
         success: false,
@@ -366,16 +438,454 @@ class ProductController {
     }
   }
 
-  // Obtener categorías
-  static async getCategories(req, res) {
+  // Obtener la galería de un producto
+  static async getProductImages(req, res) {
     try {
-      const result = await query(
-        'SELECT * FROM categories ORDER BY name ASC'
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const images = await ProductImage.listByProduct(req.params.id);
+
+      res.json({
+        success: true,
+        data: images
+      });
+    } catch (error) {
+      console.error('Error obteniendo imágenes:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Subir varias imágenes a la galería de un producto (solo admin)
+  static async uploadProductImages(req, res) {
+    const images = (req.files || []).map(file => file.image);
+    const uploaded = images.flatMap(ProductImage.getImageFiles);
+
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        await ProductImage.deleteFiles(uploaded);
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      if (images.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No se recibieron imágenes'
+        });
+      }
+
+      // alt_texts puede ser un texto único o uno por archivo
+      const altTexts = [].concat(req.body.alt_texts || []);
+
+      const created = await transaction((client) => ProductImage.add(
+        client,
+        req.params.id,
+        images.map((image, index) => ({ ...image, alt_text: altTexts[index] || altTexts[0] || null }))
+      ));
+
+      res.status(201).json({
+        success: true,
+        message: `${created.length} imágenes agregadas`,
+        data: created
+      });
+    } catch (error) {
+      await ProductImage.deleteFiles(uploaded);
+
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Error subiendo imágenes:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Reordenar la galería; la primera imagen pasa a ser la principal (solo admin)
+  static async reorderProductImages(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const images = await transaction((client) =>
+        ProductImage.reorder(client, req.params.id, req.body.image_ids)
+      );
+
+      res.json({
+        success: true,
+        message: 'Galería reordenada',
+        data: images
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Error reordenando imágenes:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Actualizar el texto alternativo de una imagen (solo admin)
+  static async updateProductImage(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const image = await ProductImage.updateAltText(req.params.id, req.params.imageId, req.body.alt_text);
+
+      if (!image) {
+        return res.status(404).json({
+          success: false,
+          message: 'Imagen no encontrada'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Imagen actualizada',
+        data: image
+      });
+    } catch (error) {
+      console.error('Error actualizando imagen:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Eliminar una imagen de la galería y su archivo (solo admin)
+  static async deleteProductImage(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const image = await transaction((client) =>
+        ProductImage.remove(client, req.params.id, req.params.imageId)
+      );
+
+      if (!image) {
+        return res.status(404).json({
+          success: false,
+          message: 'Imagen no encontrada'
+        });
+      }
+
+      await ProductImage.deleteFiles(ProductImage.getImageFiles(image));
+
+      res.json({
+        success: true,
+        message: 'Imagen eliminada'
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Error eliminando imagen:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Crear una variante de un producto (solo admin)
+  static async createVariant(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const variant = await transaction((client) => Variant.create(client, req.params.id, req.body));
+
+      res.status(201).json({
+        success: true,
+        message: 'Variante creada exitosamente',
+        data: variant
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.code === '23505' && error.constraint === 'products_sku_key') {
+        return res.status(400).json({
+          success: false,
+          message: 'El SKU ya existe'
+        });
+      }
+
+      console.error('Error creando variante:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Actualizar una variante (solo admin)
+  static async updateVariant(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const variant = await transaction((client) =>
+        Variant.update(client, req.params.id, req.params.variantId, req.body)
+      );
+
+      res.json({
+        success: true,
+        message: 'Variante actualizada exitosamente',
+        data: variant
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.code === '23505' && error.constraint === 'products_sku_key') {
+        return res.status(400).json({
+          success: false,
+          message: 'El SKU ya existe'
+        });
+      }
+
+      console.error('Error actualizando variante:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Eliminar una variante (solo admin). Las variantes vendidas se discontinúan.
+  static async deleteVariant(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const result = await transaction((client) =>
+        Variant.remove(client, req.params.id, req.params.variantId)
+      );
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Variante no encontrada'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: result === 'deleted'
+          ? 'Variante eliminada exitosamente'
+          : 'La variante tiene ventas registradas y fue discontinuada'
+      });
+    } catch (error) {
+      if (error.code === '23503' && error.constraint === 'bundle_items_component_id_fkey') {
+        return res.status(409).json({
+          success: false,
+          message: 'La variante es componente de un combo'
+        });
+      }
+
+      console.error('Error eliminando variante:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Definir los componentes de un combo (solo admin)
+  static async setBundleComponents(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const components = await transaction((client) =>
+        Bundle.setComponents(client, req.params.id, req.body.components)
       );
 
       res.json({
         success: true,
-        data: result.rows
+        message: components.length > 0
+          ? 'Componentes del combo actualizados'
+          : 'El producto ya no es un combo',
+        data: components
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Error actualizando combo:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Cargar la ficha técnica de un producto (solo admin)
+  static async setProductSpecs(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const specs = await transaction((client) =>
+        Attribute.setProductSpecs(client, req.params.id, req.body.specs)
+      );
+
+      res.json({
+        success: true,
+        message: 'Ficha técnica actualizada',
+        data: specs
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Error actualizando ficha técnica:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Comparar de 2 a 4 productos lado a lado
+  static async compareProducts(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const comparison = await Attribute.compare(parseList(req.query.ids));
+
+      res.json({
+        success: true,
+        data: comparison
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Error comparando productos:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Obtener categorías (el árbol está en /api/categories/tree)
+  static async getCategories(req, res) {
+    try {
+      const categories = await Category.list();
+
+      res.json({
+        success: true,
+        data: categories
       });
     } catch (error) {
       console.error('Error obteniendo categorías:', error);
@@ -385,6 +895,236 @@ class ProductController {
       });
     }
   }
+
+  // Validaciones de los filtros del listado
+  static getListProductsValidation() {
+    return [
+      queryParam('sortBy')
+        .optional()
+        .isIn(ProductListing.getSortKeys())
+        .withMessage('Orden inválido'),
+      queryParam('sortOrder')
+        .optional()
+        .isIn(['asc', 'desc', 'ASC', 'DESC'])
+        .withMessage('Dirección de orden inválida'),
+      queryParam('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Página inválida')
+        .custom((value, { req }) => req.query.cursor === undefined)
+        .withMessage('No se puede usar page junto con cursor'),
+      queryParam('limit')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Límite inválido'),
+      queryParam('cursor')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Cursor inválido'),
+      queryParam('min_price')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Precio mínimo inválido'),
+      queryParam('max_price')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Precio máximo inválido')
+        .custom((value, { req }) => req.query.min_price === undefined || parseFloat(value) >= parseFloat(req.query.min_price))
+        .withMessage('El precio máximo debe ser mayor al mínimo'),
+      queryParam('in_stock')
+        .optional()
+        .isIn(['true', 'false'])
+        .withMessage('Filtro de stock inválido'),
+      queryParam('type')
+        .optional()
+        .custom(value => String(value).split(',').every(type => PRODUCT_TYPES.includes(type.trim())))
+        .withMessage('Tipo de producto inválido'),
+      queryParam('brand')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Marca inválida'),
+      queryParam('spec')
+        .optional()
+        .custom(value => [].concat(value).length <= 10 && Attribute.parseFilters(value).length > 0)
+        .withMessage('Filtro de especificación inválido (ej: vram>=12)')
+    ];
+  }
+
+  // Validaciones de la ficha técnica: { specs: { clave: valor } }
+  static getSpecsValidation() {
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('Producto inválido'),
+      body('specs')
+        .isObject()
+        .withMessage('La ficha técnica debe ser un objeto')
+        .custom(value => Object.values(value).every(spec =>
+          spec === null || ['string', 'number', 'boolean'].includes(typeof spec)))
+        .withMessage('Los valores deben ser texto, número, verdadero/falso o null')
+    ];
+  }
+
+  // Validación de los productos a comparar
+  static getCompareValidation() {
+    return [
+      queryParam('ids')
+        .custom(value => {
+          const ids = parseList(value);
+          return ids.length >= 2 && ids.length <= 4 && new Set(ids).size === ids.length &&
+            ids.every(id => UUID_PATTERN.test(id));
+        })
+        .withMessage('Indicá entre 2 y 4 productos distintos')
+    ];
+  }
+
+  // Validaciones para autocompletar la búsqueda
+  static getSuggestValidation() {
+    return [
+      queryParam('q')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('La búsqueda debe tener entre 1 y 100 caracteres'),
+      queryParam('limit')
+        .optional()
+        .isInt({ min: 1, max: 10 })
+        .withMessage('El límite debe estar entre 1 y 10')
+    ];
+  }
+
+  // Validación del id de producto (detalle y galería)
+  static getProductIdValidation() {
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('Producto inválido')
+    ];
+  }
+
+  // Validaciones para subir imágenes
+  static getUploadImagesValidation() {
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('Producto inválido'),
+      body('alt_texts')
+        .optional()
+        .custom(value => [].concat(value).every(text => typeof text === 'string' && text.length <= 200))
+        .withMessage('Los textos alternativos no pueden superar los 200 caracteres')
+    ];
+  }
+
+  // Validaciones para reordenar la galería
+  static getReorderImagesValidation() {
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('Producto inválido'),
+      body('image_ids')
+        .isArray({ min: 1 })
+        .withMessage('Indicá el nuevo orden de las imágenes'),
+      body('image_ids.*')
+        .isUUID()
+        .withMessage('Imagen inválida')
+    ];
+  }
+
+  // Validaciones para editar una imagen
+  static getUpdateImageValidation() {
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('Producto inválido'),
+      param('imageId')
+        .isUUID()
+        .withMessage('Imagen inválida'),
+      body('alt_text')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('El texto alternativo no puede superar los 200 caracteres')
+    ];
+  }
+
+  // Validación de producto e imagen
+  static getImageIdValidation() {
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('Producto inválido'),
+      param('imageId')
+        .isUUID()
+        .withMessage('Imagen inválida')
+    ];
+  }
+
+  // Validaciones de una variante. En la edición todos los campos son opcionales.
+  static getVariantValidation(partial = false) {
+    const field = (name) => (partial ? body(name).optional() : body(name));
+
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('Producto inválido'),
+      param('variantId')
+        .optional()
+        .isUUID()
+        .withMessage('Variante inválida'),
+      field('option_values')
+        .isObject()
+        .withMessage('Las opciones deben ser un objeto')
+        .custom(value => Object.keys(value).length > 0 &&
+          Object.values(value).every(option => typeof option === 'string' && option.length <= 50))
+        .withMessage('Indicá al menos una opción con valores de hasta 50 caracteres'),
+      body('sku')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 50 })
+        .withMessage('El SKU no puede superar los 50 caracteres'),
+      body('price_override')
+        .optional({ nullable: true })
+        .isFloat({ min: 0 })
+        .withMessage('El precio no puede ser negativo'),
+      body('stock')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('El stock no puede ser negativo'),
+      body('status')
+        .optional()
+        .isIn(['disponible', 'agotado', 'descontinuado'])
+        .withMessage('Estado inválido')
+    ];
+  }
+
+  // Validación de producto y variante
+  static getVariantIdValidation() {
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('Producto inválido'),
+      param('variantId')
+        .isUUID()
+        .withMessage('Variante inválida')
+    ];
+  }
+
+  // Validaciones para definir componentes de un combo
+  static getBundleComponentsValidation() {
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('Producto inválido'),
+      body('components')
+        .isArray({ max: 20 })
+        .withMessage('Los componentes deben ser una lista'),
+      body('components.*.product_id')
+        .isUUID()
+        .withMessage('Componente inválido'),
+      body('components.*.quantity')
+        .isInt({ min: 1, max: 99 })
+        .withMessage('La cantidad debe estar entre 1 y 99')
+    ];
+  }
 }
 
 module.exports = { ProductController, upload };
\ No newline at end of file
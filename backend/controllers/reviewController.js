@@ -0,0 +1,331 @@
+// controllers/reviewController.js
+const { transaction } = require('../config/database');
+const { body, param, query: queryParam, validationResult } = require('express-validator');
+const Review = require('../models/Review');
+const { HttpError } = require('../utils/httpError');
+
+class ReviewController {
+  // Reseñas aprobadas de un producto con su resumen de calificaciones
+  static async getProductReviews(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const reviews = await Review.listByProduct(req.params.id, {
+        sort: req.query.sort,
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10
+      });
+
+      if (!reviews) {
+        return res.status(404).json({
+          success: false,
+          message: 'Producto no encontrado'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: reviews
+      });
+    } catch (error) {
+      console.error('Error obteniendo reseñas:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Publicar una reseña. Requiere una compra pagada, enviada o entregada del producto.
+  static async createReview(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const review = await transaction((client) =>
+        Review.create(client, req.user.id, req.params.id, req.body)
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Gracias por tu opinión. La publicaremos después de revisarla.',
+        data: review
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          message: 'Ya publicaste una reseña de este producto'
+        });
+      }
+
+      console.error('Error creando reseña:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Marcar o desmarcar una reseña como útil
+  static async toggleHelpful(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const vote = await transaction((client) =>
+        Review.toggleHelpful(client, req.params.id, req.user.id)
+      );
+
+      res.json({
+        success: true,
+        data: vote
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Error votando reseña:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Reseñas por estado para moderar (solo admin)
+  static async getReviews(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const { reviews, total, page, limit } = await Review.listForModeration({
+        status: req.query.status,
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20
+      });
+
+      res.json({
+        success: true,
+        data: {
+          reviews,
+          pagination: {
+            currentPage: page,
+            totalPages: Math.ceil(total / limit),
+            totalReviews: total
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error obteniendo reseñas:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Aprobar u ocultar una reseña (solo admin)
+  static async updateReviewStatus(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const review = await Review.setStatus(req.params.id, req.body.status);
+
+      if (!review) {
+        return res.status(404).json({
+          success: false,
+          message: 'Reseña no encontrada'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Reseña actualizada',
+        data: review
+      });
+    } catch (error) {
+      console.error('Error moderando reseña:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Responder una reseña en nombre del comercio (solo admin)
+  static async replyToReview(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const review = await Review.reply(req.params.id, req.body.reply || null);
+
+      if (!review) {
+        return res.status(404).json({
+          success: false,
+          message: 'Reseña no encontrada'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: review.admin_reply ? 'Respuesta publicada' : 'Respuesta eliminada',
+        data: review
+      });
+    } catch (error) {
+      console.error('Error respondiendo reseña:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Validaciones del listado público
+  static getProductReviewsValidation() {
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('Producto inválido'),
+      queryParam('sort')
+        .optional()
+        .isIn(Object.keys(Review.REVIEW_SORTS))
+        .withMessage('Orden inválido'),
+      queryParam('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Página inválida'),
+      queryParam('limit')
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage('El límite debe estar entre 1 y 50')
+    ];
+  }
+
+  // Validaciones de una reseña nueva
+  static getCreateReviewValidation() {
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('Producto inválido'),
+      body('rating')
+        .isInt({ min: 1, max: 5 })
+        .withMessage('La calificación debe estar entre 1 y 5 estrellas'),
+      body('title')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('El título no puede superar los 100 caracteres'),
+      body('comment')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 2000 })
+        .withMessage('El comentario no puede superar los 2000 caracteres')
+    ];
+  }
+
+  // Validación del ID de reseña
+  static getReviewIdValidation() {
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('Reseña inválida')
+    ];
+  }
+
+  // Validaciones del listado de moderación
+  static getListReviewsValidation() {
+    return [
+      queryParam('status')
+        .optional()
+        .isIn(Review.REVIEW_STATUSES)
+        .withMessage('Estado inválido'),
+      queryParam('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Página inválida'),
+      queryParam('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('El límite debe estar entre 1 y 100')
+    ];
+  }
+
+  // Validaciones para moderar
+  static getReviewStatusValidation() {
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('Reseña inválida'),
+      body('status')
+        .isIn(Review.REVIEW_STATUSES)
+        .withMessage('Estado inválido')
+    ];
+  }
+
+  // Validaciones de la respuesta del comercio
+  static getReplyValidation() {
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('Reseña inválida'),
+      body('reply')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 2000 })
+        .withMessage('La respuesta no puede superar los 2000 caracteres')
+    ];
+  }
+}
+
+module.exports = ReviewController;
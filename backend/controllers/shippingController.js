@@ -0,0 +1,108 @@
+// controllers/shippingController.js
+const { query } = require('../config/database');
+const { body, validationResult } = require('express-validator');
+const ShippingService = require('../config/shipping');
+
+class ShippingController {
+  // Cotizar envío para los items enviados o para el carrito del usuario
+  static async quote(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const { items, province, postal_code, discount = 0 } = req.body;
+
+      let requestedItems = items || [];
+      if (requestedItems.length === 0 && req.user) {
+        const cartResult = await query(
+          'SELECT product_id, quantity FROM cart_items WHERE user_id = $1',
+          [req.user.id]
+        );
+        requestedItems = cartResult.rows;
+      }
+
+      if (requestedItems.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No hay productos para cotizar'
+        });
+      }
+
+      // Peso, medidas y precio se toman de la base de datos
+      const productsResult = await query(
+        'SELECT id, price, weight, dimensions FROM products WHERE id = ANY($1::uuid[])',
+        [requestedItems.map(item => item.product_id)]
+      );
+      const products = new Map(productsResult.rows.map(product => [product.id, product]));
+
+      const lines = requestedItems
+        .filter(item => products.has(item.product_id))
+        .map(item => ({ ...products.get(item.product_id), quantity: parseInt(item.quantity) }));
+
+      const subtotal = lines.reduce((sum, line) => sum + parseFloat(line.price) * line.quantity, 0);
+
+      // El descuento de un cupón ya validado cuenta para el envío gratis
+      const quote = ShippingService.quote(lines, Math.max(subtotal - parseFloat(discount), 0), { province, postal_code });
+
+      res.json({
+        success: true,
+        data: {
+          ...quote,
+          subtotal: Math.round(subtotal * 100) / 100
+        }
+      });
+    } catch (error) {
+      console.error('Error cotizando envío:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Obtener provincias disponibles para el formulario de checkout
+  static async getProvinces(req, res) {
+    res.json({
+      success: true,
+      data: ShippingService.getProvinces()
+    });
+  }
+
+  // Validaciones para cotizar
+  static getQuoteValidation() {
+    return [
+      body('items')
+        .optional()
+        .isArray({ max: 50 })
+        .withMessage('Los items deben ser una lista'),
+      body('items.*.product_id')
+        .isUUID()
+        .withMessage('Producto inválido'),
+      body('items.*.quantity')
+        .isInt({ min: 1, max: 99 })
+        .withMessage('Cantidad inválida'),
+      body('province')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Provincia inválida'),
+      body('discount')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Descuento inválido'),
+      body('postal_code')
+        .optional()
+        .trim()
+        .matches(/^([A-Za-z]\d{4}[A-Za-z]{3}|\d{4})$/)
+        .withMessage('Código postal inválido')
+    ];
+  }
+}
+
+module.exports = ShippingController;
@@ -0,0 +1,116 @@
+// controllers/stockAlertController.js
+const { transaction } = require('../config/database');
+const { body, param, validationResult } = require('express-validator');
+const StockAlert = require('../models/StockAlert');
+const { HttpError } = require('../utils/httpError');
+
+class StockAlertController {
+  // Suscribirse al aviso de reposición. Sin sesión se debe indicar el email.
+  static async subscribe(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const email = req.body.email || (req.user && req.user.email);
+      if (!email) {
+        return res.status(400).json({
+          success: false,
+          message: 'Indicá un email para recibir el aviso'
+        });
+      }
+
+      const { subscription, created } = await transaction((client) =>
+        StockAlert.subscribe(client, {
+          productId: req.body.product_id,
+          email,
+          userId: req.user ? req.user.id : null
+        })
+      );
+
+      res.status(created ? 201 : 200).json({
+        success: true,
+        message: `Te avisaremos a ${subscription.email} cuando vuelva a haber stock`,
+        data: subscription
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Error suscribiendo aviso de reposición:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Dar de baja una suscripción con el token del enlace del aviso
+  static async unsubscribe(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const subscription = await StockAlert.unsubscribe(req.params.token);
+
+      if (!subscription) {
+        return res.status(404).json({
+          success: false,
+          message: 'La suscripción no existe o ya fue dada de baja'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'No recibirás más avisos de este producto'
+      });
+    } catch (error) {
+      console.error('Error dando de baja aviso de reposición:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Validaciones de la suscripción
+  static getSubscribeValidation() {
+    return [
+      body('product_id')
+        .isUUID()
+        .withMessage('Producto inválido'),
+      body('email')
+        .optional()
+        .isEmail()
+        .withMessage('Email inválido')
+        .normalizeEmail()
+    ];
+  }
+
+  // Validación del token de baja
+  static getUnsubscribeValidation() {
+    return [
+      param('token')
+        .isHexadecimal()
+        .isLength({ min: 48, max: 48 })
+        .withMessage('Enlace de baja inválido')
+    ];
+  }
+}
+
+module.exports = StockAlertController;
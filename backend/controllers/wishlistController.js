@@ -0,0 +1,174 @@
+// controllers/wishlistController.js
+const { transaction } = require('../config/database');
+const { body, param, validationResult } = require('express-validator');
+const Wishlist = require('../models/Wishlist');
+const { HttpError } = require('../utils/httpError');
+
+class WishlistController {
+  // Obtener los favoritos con precio y stock actuales
+  static async getWishlist(req, res) {
+    try {
+      const items = await Wishlist.getItems(req.user.id);
+
+      res.json({
+        success: true,
+        data: items
+      });
+    } catch (error) {
+      console.error('Error obteniendo favoritos:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Guardar un producto en favoritos
+  static async addItem(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      await Wishlist.add(req.user.id, req.body.product_id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Producto guardado en favoritos'
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Error guardando favorito:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Quitar un producto de favoritos
+  static async removeItem(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const removed = await Wishlist.remove(req.user.id, req.params.product_id);
+
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          message: 'El producto no está en tus favoritos'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Producto eliminado de favoritos'
+      });
+    } catch (error) {
+      console.error('Error eliminando favorito:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Pasar un favorito al carrito. Si no hay stock queda en favoritos.
+  static async moveToCart(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datos inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const { quantity = 1, variant_id: variantId = null } = req.body;
+
+      const item = await transaction((client) =>
+        Wishlist.moveToCart(client, req.user.id, req.params.product_id, {
+          quantity: parseInt(quantity),
+          variantId
+        })
+      );
+
+      res.json({
+        success: true,
+        message: item.capped
+          ? `Solo hay ${item.quantity} unidades disponibles`
+          : 'Producto movido al carrito',
+        data: item
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Error moviendo favorito al carrito:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+
+  // Validación del producto a guardar
+  static getAddItemValidation() {
+    return [
+      body('product_id')
+        .isUUID()
+        .withMessage('Producto inválido')
+    ];
+  }
+
+  // Validación del producto a eliminar
+  static getRemoveItemValidation() {
+    return [
+      param('product_id')
+        .isUUID()
+        .withMessage('Producto inválido')
+    ];
+  }
+
+  // Validaciones para pasar al carrito
+  static getMoveToCartValidation() {
+    return [
+      param('product_id')
+        .isUUID()
+        .withMessage('Producto inválido'),
+      body('quantity')
+        .optional()
+        .isInt({ min: 1, max: 99 })
+        .withMessage('La cantidad debe estar entre 1 y 99'),
+      body('variant_id')
+        .optional({ nullable: true })
+        .isUUID()
+        .withMessage('Variante inválida')
+    ];
+  }
+}
+
+module.exports = WishlistController;
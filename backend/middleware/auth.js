@@ -1,6 +1,13 @@
 // middleware/auth.js
 const jwt = require('jsonwebtoken');
 const { query } = require('../config/database');
+const config = require('../config/config');
+
+// Mensajes para las acciones que pueden exigir email verificado
+const UNVERIFIED_EMAIL_MESSAGES = {
+  orders: 'Verificá tu email para poder realizar pedidos. Podés pedir un nuevo enlace desde tu cuenta',
+  manualPayments: 'Verificá tu email para informar pagos por transferencia o efectivo. Podés pedir un nuevo enlace desde tu cuenta'
+};
 
 // Middleware para verificar JWT
 const authenticateToken = async (req, res, next) => {
@@ -44,7 +51,7 @@ const authenticateToken = async (req, res, next) => {
 
     // Obtener datos del usuario
     const userResult = await query(
-      'SELECT id, name, email, role FROM users WHERE id = $1',
+      'SELECT id, name, email, role, email_verified FROM users WHERE id = $1',
       [decoded.userId]
     );
 
@@ -101,6 +108,18 @@ const requireAdmin = (req, res, next) => {
   next();
 };
 
+// Middleware para exigir el email verificado en una acción, según config.auth.requireVerifiedEmail
+const requireVerifiedEmail = (action) => (req, res, next) => {
+  if (config.auth.requireVerifiedEmail[action] && !req.user.email_verified) {
+    return res.status(403).json({
+      success: false,
+      message: UNVERIFIED_EMAIL_MESSAGES[action]
+    });
+  }
+
+  next();
+};
+
 // Middleware opcional de autenticación (no falla si no hay token)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -126,7 +145,7 @@ const optionalAuth = async (req, res, next) => {
     // Verificar JWT y obtener usuario
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     const userResult = await query(
-      'SELECT id, name, email, role FROM users WHERE id = $1',
+      'SELECT id, name, email, role, email_verified FROM users WHERE id = $1',
       [decoded.userId]
     );
 
@@ -141,5 +160,6 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
   authenticateToken,
   requireAdmin,
+  requireVerifiedEmail,
   optionalAuth
 };
\ No newline at end of file
@@ -0,0 +1,39 @@
+// middleware/upload.js
+const ProductImage = require('../models/ProductImage');
+const { processProductImage } = require('../utils/imageProcessor');
+const { HttpError } = require('../utils/httpError');
+
+// Procesar las imágenes de producto recibidas por multer. Cada archivo queda
+// con file.image = { url, variants } para guardarlo en la galería.
+const processProductImages = async (req, res, next) => {
+  const files = req.file ? [req.file] : (req.files || []);
+
+  try {
+    for (const file of files) {
+      file.image = await processProductImage(file.path, '/uploads/products');
+    }
+
+    next();
+  } catch (error) {
+    // Descartar los originales y los tamaños ya generados de toda la subida
+    await ProductImage.deleteFiles(files.flatMap(file => [
+      `/uploads/products/${file.filename}`,
+      ...ProductImage.getImageFiles(file.image)
+    ]));
+
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error procesando imágenes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+module.exports = { processProductImages };
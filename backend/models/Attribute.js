@@ -0,0 +1,335 @@
+// models/Attribute.js
+const database = require('../config/database');
+const { HttpError } = require('../utils/httpError');
+
+const DATA_TYPES = ['number', 'text', 'boolean', 'enum'];
+
+// Filtro por especificación: "vram>=12", "socket=AM5|AM4", "rgb=true"
+const SPEC_FILTER_PATTERN = /^([a-z0-9_]+)\s*(>=|<=|!=|=|>|<)\s*(.+)$/;
+
+// Categorías antecesoras de $1, incluida ella misma (depth 0)
+const ANCESTORS_CTE = `
+  WITH RECURSIVE ancestors AS (
+    SELECT id, parent_id, 0 as depth FROM categories WHERE id = $1
+    UNION ALL
+    SELECT c.id, c.parent_id, a.depth + 1
+    FROM categories c JOIN ancestors a ON c.id = a.parent_id
+  )
+`;
+
+const ATTRIBUTE_FIELDS = 'ca.id, ca.category_id, ca.key, ca.label, ca.data_type, ca.unit, ca.options, ca.is_filterable, ca.sort_order';
+
+class Attribute {
+  // Atributos de una categoría, incluidos los heredados de sus categorías padre.
+  // Primero los de la categoría más general.
+  static async listForCategory(categoryId, db = database) {
+    const result = await db.query(`
+      ${ANCESTORS_CTE}
+      SELECT ${ATTRIBUTE_FIELDS}, c.name as category_name
+      FROM category_attributes ca
+      JOIN ancestors a ON ca.category_id = a.id
+      JOIN categories c ON ca.category_id = c.id
+      ORDER BY a.depth DESC, ca.sort_order ASC, ca.label ASC
+    `, [categoryId]);
+
+    return result.rows;
+  }
+
+  // La clave no puede repetirse en la rama de la categoría (antecesoras ni subcategorías)
+  static async checkKeyAvailable(client, categoryId, key) {
+    const result = await client.query(`
+      ${ANCESTORS_CTE},
+      descendants AS (
+        SELECT id FROM categories WHERE id = $1
+        UNION
+        SELECT child.id FROM categories child JOIN descendants d ON child.parent_id = d.id
+      )
+      SELECT 1 FROM category_attributes
+      WHERE key = $2
+        AND (category_id IN (SELECT id FROM ancestors) OR category_id IN (SELECT id FROM descendants))
+      LIMIT 1
+    `, [categoryId, key]);
+
+    if (result.rows.length > 0) {
+      throw new HttpError(409, `El atributo ${key} ya existe en esta rama de categorías`);
+    }
+  }
+
+  // Validar las opciones según el tipo de dato
+  static validateOptions(dataType, options) {
+    if (dataType === 'enum' && (!Array.isArray(options) || options.length === 0)) {
+      throw new HttpError(400, 'Un atributo de lista necesita opciones');
+    }
+    return dataType === 'enum' ? options : null;
+  }
+
+  static async create(client, categoryId, { key, label, data_type: dataType, unit = null, options, is_filterable: isFilterable = true }) {
+    const category = await client.query('SELECT id FROM categories WHERE id = $1', [categoryId]);
+    if (category.rows.length === 0) {
+      throw new HttpError(404, 'Categoría no encontrada');
+    }
+
+    await Attribute.checkKeyAvailable(client, categoryId, key);
+    const validOptions = Attribute.validateOptions(dataType, options);
+
+    const result = await client.query(`
+      INSERT INTO category_attributes (category_id, key, label, data_type, unit, options, is_filterable, sort_order)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, (
+        SELECT COALESCE(MAX(sort_order), -1) + 1 FROM category_attributes WHERE category_id = $1
+      ))
+      RETURNING *
+    `, [categoryId, key, label, dataType, unit, validOptions ? JSON.stringify(validOptions) : null, isFilterable]);
+
+    return result.rows[0];
+  }
+
+  // Actualizar un atributo. La clave y el tipo de dato no cambian para no invalidar los valores cargados.
+  static async update(client, categoryId, attributeId, data) {
+    const result = await client.query(
+      'SELECT * FROM category_attributes WHERE id = $1 AND category_id = $2 FOR UPDATE',
+      [attributeId, categoryId]
+    );
+    const attribute = result.rows[0];
+
+    if (!attribute) {
+      return null;
+    }
+
+    const options = data.options !== undefined
+      ? Attribute.validateOptions(attribute.data_type, data.options)
+      : attribute.options;
+
+    const updated = await client.query(`
+      UPDATE category_attributes
+      SET label = $1, unit = $2, options = $3, is_filterable = $4, sort_order = $5
+      WHERE id = $6
+      RETURNING *
+    `, [
+      data.label !== undefined ? data.label : attribute.label,
+      data.unit !== undefined ? data.unit : attribute.unit,
+      options ? JSON.stringify(options) : null,
+      data.is_filterable !== undefined ? data.is_filterable : attribute.is_filterable,
+      data.sort_order !== undefined ? parseInt(data.sort_order) : attribute.sort_order,
+      attributeId
+    ]);
+
+    return updated.rows[0];
+  }
+
+  // Eliminar un atributo junto con sus valores cargados
+  static async remove(categoryId, attributeId, db = database) {
+    const result = await db.query(
+      'DELETE FROM category_attributes WHERE id = $1 AND category_id = $2 RETURNING id',
+      [attributeId, categoryId]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  // Convertir un valor recibido a la columna tipada que le corresponde
+  static parseValue(attribute, value) {
+    const invalid = () => new HttpError(400, `Valor inválido para ${attribute.label}`);
+
+    switch (attribute.data_type) {
+      case 'number': {
+        const number = typeof value === 'number' ? value : Number(String(value).trim() || NaN);
+        if (!Number.isFinite(number) || Math.abs(number) >= 1e10) throw invalid();
+        return { value_number: number, value_text: null, value_boolean: null };
+      }
+      case 'boolean':
+        if (![true, false, 'true', 'false'].includes(value)) throw invalid();
+        return { value_number: null, value_text: null, value_boolean: value === true || value === 'true' };
+      case 'enum':
+        if (!attribute.options.includes(value)) throw invalid();
+        return { value_number: null, value_text: value, value_boolean: null };
+      default: {
+        const text = String(value).trim();
+        if (text.length === 0 || text.length > 200) throw invalid();
+        return { value_number: null, value_text: text, value_boolean: null };
+      }
+    }
+  }
+
+  static formatValue(row) {
+    if (row.value_number !== null) return parseFloat(row.value_number);
+    if (row.value_boolean !== null) return row.value_boolean;
+    return row.value_text;
+  }
+
+  // Cargar la ficha técnica de un producto: { clave: valor }. null borra el valor.
+  static async setProductSpecs(client, productId, specs) {
+    const productResult = await client.query(
+      'SELECT id, category_id FROM products WHERE id = $1 FOR UPDATE',
+      [productId]
+    );
+    const product = productResult.rows[0];
+
+    if (!product) {
+      throw new HttpError(404, 'Producto no encontrado');
+    }
+
+    if (!product.category_id) {
+      throw new HttpError(400, 'El producto no tiene categoría');
+    }
+
+    const attributes = await Attribute.listForCategory(product.category_id, client);
+    const byKey = new Map(attributes.map(attribute => [attribute.key, attribute]));
+
+    const unknown = Object.keys(specs).find(key => !byKey.has(key));
+    if (unknown) {
+      throw new HttpError(400, `El atributo ${unknown} no corresponde a la categoría del producto`);
+    }
+
+    for (const [key, value] of Object.entries(specs)) {
+      const attribute = byKey.get(key);
+
+      if (value === null || value === '') {
+        await client.query(
+          'DELETE FROM product_specs WHERE product_id = $1 AND attribute_id = $2',
+          [productId, attribute.id]
+        );
+        continue;
+      }
+
+      const typed = Attribute.parseValue(attribute, value);
+      await client.query(`
+        INSERT INTO product_specs (product_id, attribute_id, value_number, value_text, value_boolean)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (product_id, attribute_id)
+        DO UPDATE SET value_number = $3, value_text = $4, value_boolean = $5
+      `, [productId, attribute.id, typed.value_number, typed.value_text, typed.value_boolean]);
+    }
+
+    return (await Attribute.getProductSpecs([productId], client)).get(productId) || [];
+  }
+
+  // Fichas técnicas: Map product_id -> [{ key, label, unit, data_type, value }].
+  // Las variantes heredan los valores del producto padre que no definan.
+  static async getProductSpecs(productIds, db = database) {
+    if (productIds.length === 0) {
+      return new Map();
+    }
+
+    const result = await db.query(`
+      SELECT p.id as product_id, ca.key, ca.label, ca.unit, ca.data_type,
+             ps.value_number, ps.value_text, ps.value_boolean,
+             ps.product_id <> p.id as inherited
+      FROM products p
+      JOIN product_specs ps ON ps.product_id = p.id OR ps.product_id = p.parent_id
+      JOIN category_attributes ca ON ps.attribute_id = ca.id
+      WHERE p.id = ANY($1::uuid[])
+      ORDER BY ca.sort_order ASC, ca.label ASC, inherited ASC
+    `, [productIds]);
+
+    const specs = new Map();
+    for (const row of result.rows) {
+      if (!specs.has(row.product_id)) specs.set(row.product_id, []);
+      const list = specs.get(row.product_id);
+
+      // Si el valor propio ya está cargado se descarta el heredado
+      if (list.some(spec => spec.key === row.key)) continue;
+
+      list.push({
+        key: row.key,
+        label: row.label,
+        unit: row.unit,
+        data_type: row.data_type,
+        value: Attribute.formatValue(row)
+      });
+    }
+
+    return specs;
+  }
+
+  // Interpretar filtros "clave operador valor". Los valores alternativos van separados por |.
+  static parseFilters(expressions) {
+    return [].concat(expressions || []).map(expression => {
+      const match = SPEC_FILTER_PATTERN.exec(String(expression).trim());
+      if (!match) {
+        throw new HttpError(400, `Filtro de especificación inválido: ${expression}`);
+      }
+
+      const [, key, operator, rawValue] = match;
+      const values = rawValue.split('|').map(value => value.trim()).filter(Boolean);
+
+      if (['>', '<', '>=', '<='].includes(operator) &&
+        (values.length !== 1 || !Number.isFinite(parseFloat(values[0])))) {
+        throw new HttpError(400, `El filtro ${key}${operator} requiere un número`);
+      }
+
+      return { key, operator, values };
+    });
+  }
+
+  // Condición SQL de un filtro sobre products p. Un producto con variantes
+  // cumple si él o alguna de sus variantes tiene el valor buscado.
+  static filterSql({ key, operator, values }, next) {
+    let condition;
+
+    if (['>', '<', '>=', '<='].includes(operator)) {
+      condition = `ps.value_number ${operator} ${next(parseFloat(values[0]))}`;
+    } else {
+      const numeric = values.every(value => Number.isFinite(Number(value)));
+      const equals = numeric
+        ? `ps.value_number = ANY(${next(values.map(Number))}::numeric[])`
+        : `lower(COALESCE(ps.value_text, ps.value_boolean::text)) = ANY(${next(values.map(value => value.toLowerCase()))}::text[])`;
+      condition = operator === '!=' ? `NOT (${equals})` : equals;
+    }
+
+    return `EXISTS (
+      SELECT 1
+      FROM product_specs ps
+      JOIN category_attributes ca ON ps.attribute_id = ca.id
+      JOIN products sp ON ps.product_id = sp.id
+      WHERE (sp.id = p.id OR sp.parent_id = p.id)
+        AND ca.key = ${next(key)}
+        AND ${condition}
+    )`;
+  }
+
+  // Tabla comparativa de 2 a 4 productos: una fila por atributo, una columna por producto
+  static async compare(productIds, db = database) {
+    const result = await db.query(`
+      SELECT p.id, p.name, p.price, p.image_url, p.brand, p.status, c.name as category_name
+      FROM products p
+      LEFT JOIN categories c ON p.category_id = c.id
+      WHERE p.id = ANY($1::uuid[])
+    `, [productIds]);
+
+    if (result.rows.length !== productIds.length) {
+      throw new HttpError(404, 'Algunos productos no existen');
+    }
+
+    // Mismo orden en que se pidieron
+    const products = productIds.map(id => result.rows.find(product => product.id === id));
+    const specs = await Attribute.getProductSpecs(productIds, db);
+
+    const rows = new Map();
+    products.forEach((product, index) => {
+      for (const spec of specs.get(product.id) || []) {
+        if (!rows.has(spec.key)) {
+          rows.set(spec.key, {
+            key: spec.key,
+            label: spec.label,
+            unit: spec.unit,
+            values: new Array(products.length).fill(null)
+          });
+        }
+        rows.get(spec.key).values[index] = spec.value;
+      }
+    });
+
+    return {
+      products,
+      attributes: Array.from(rows.values()).map(row => ({
+        ...row,
+        differs: new Set(row.values.map(value => JSON.stringify(value))).size > 1
+      }))
+    };
+  }
+}
+
+Attribute.DATA_TYPES = DATA_TYPES;
+Attribute.SPEC_FILTER_PATTERN = SPEC_FILTER_PATTERN;
+
+module.exports = Attribute;
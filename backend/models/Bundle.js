@@ -0,0 +1,140 @@
+// models/Bundle.js
+const database = require('../config/database');
+const { HttpError } = require('../utils/httpError');
+
+// Suma de los precios de los componentes de products p (NULL si no es combo)
+const COMPONENTS_PRICE_SQL = `(
+  SELECT SUM(c.price * bi.quantity)
+  FROM bundle_items bi
+  JOIN products c ON bi.component_id = c.id
+  WHERE bi.bundle_id = p.id
+)`;
+
+class Bundle {
+  // Componentes de los combos indicados: Map bundle_id -> [{ product_id, quantity, ... }]
+  static async getComponents(bundleIds, db = database) {
+    if (bundleIds.length === 0) {
+      return new Map();
+    }
+
+    const result = await db.query(`
+      SELECT bi.bundle_id, bi.component_id as product_id, bi.quantity,
+             c.name, c.price, c.image_url, c.status
+      FROM bundle_items bi
+      JOIN products c ON bi.component_id = c.id
+      WHERE bi.bundle_id = ANY($1::uuid[])
+      ORDER BY c.name
+    `, [bundleIds]);
+
+    const components = new Map();
+    for (const row of result.rows) {
+      const { bundle_id: bundleId, ...component } = row;
+      if (!components.has(bundleId)) components.set(bundleId, []);
+      components.get(bundleId).push(component);
+    }
+
+    return components;
+  }
+
+  // Convertir items de una orden en cantidades por producto físico.
+  // Los combos se reemplazan por la composición guardada en el item (components).
+  static expandItems(items) {
+    const quantities = new Map();
+
+    for (const item of items) {
+      const components = item.components || [{ product_id: item.product_id, quantity: 1 }];
+
+      for (const component of components) {
+        quantities.set(
+          component.product_id,
+          (quantities.get(component.product_id) || 0) + component.quantity * item.quantity
+        );
+      }
+    }
+
+    return Array.from(quantities, ([productId, quantity]) => ({ product_id: productId, quantity }));
+  }
+
+  // Reemplazar la composición de un combo. Sin componentes deja de ser combo.
+  static async setComponents(client, bundleId, components) {
+    const productResult = await client.query(`
+      SELECT p.id, p.parent_id, EXISTS (SELECT 1 FROM products v WHERE v.parent_id = p.id) as has_variants
+      FROM products p
+      WHERE p.id = $1
+      FOR UPDATE
+    `, [bundleId]);
+
+    if (productResult.rows.length === 0) {
+      throw new HttpError(404, 'Producto no encontrado');
+    }
+
+    if (productResult.rows[0].parent_id || productResult.rows[0].has_variants) {
+      throw new HttpError(400, 'Un producto con variantes no puede ser combo');
+    }
+
+    const componentIds = components.map(component => component.product_id);
+
+    if (componentIds.includes(bundleId)) {
+      throw new HttpError(400, 'Un combo no puede contenerse a sí mismo');
+    }
+
+    if (new Set(componentIds).size !== componentIds.length) {
+      throw new HttpError(400, 'Hay componentes repetidos');
+    }
+
+    if (componentIds.length > 0) {
+      const found = await client.query(
+        `SELECT p.id, p.name, p.is_bundle, EXISTS (SELECT 1 FROM products v WHERE v.parent_id = p.id) as has_variants
+         FROM products p
+         WHERE p.id = ANY($1::uuid[])`,
+        [componentIds]
+      );
+
+      if (found.rows.length !== componentIds.length) {
+        throw new HttpError(400, 'Algunos componentes no existen');
+      }
+
+      const nested = found.rows.find(product => product.is_bundle);
+      if (nested) {
+        throw new HttpError(400, `${nested.name} es un combo y no puede ser componente`);
+      }
+
+      const withVariants = found.rows.find(product => product.has_variants);
+      if (withVariants) {
+        throw new HttpError(400, `Elegí una variante de ${withVariants.name} como componente`);
+      }
+
+      // Un producto que ya forma parte de un combo no puede convertirse en combo
+      const usedAsComponent = await client.query(
+        'SELECT 1 FROM bundle_items WHERE component_id = $1 LIMIT 1',
+        [bundleId]
+      );
+      if (usedAsComponent.rows.length > 0) {
+        throw new HttpError(400, 'El producto es componente de otro combo');
+      }
+    }
+
+    await client.query('DELETE FROM bundle_items WHERE bundle_id = $1', [bundleId]);
+
+    for (const component of components) {
+      await client.query(`
+        INSERT INTO bundle_items (bundle_id, component_id, quantity)
+        VALUES ($1, $2, $3)
+      `, [bundleId, component.product_id, parseInt(component.quantity)]);
+    }
+
+    // El stock de un combo se deriva de sus componentes. Sin componentes el
+    // producto no es combo y conserva su stock propio.
+    await client.query(
+      'UPDATE products SET is_bundle = $1, stock = CASE WHEN $1 THEN 0 ELSE stock END WHERE id = $2',
+      [componentIds.length > 0, bundleId]
+    );
+
+    const result = await Bundle.getComponents([bundleId], client);
+    return result.get(bundleId) || [];
+  }
+}
+
+Bundle.COMPONENTS_PRICE_SQL = COMPONENTS_PRICE_SQL;
+
+module.exports = Bundle;
@@ -0,0 +1,170 @@
+// models/Cart.js
+const database = require('../config/database');
+const StockReservation = require('./StockReservation');
+const Variant = require('./Variant');
+const { HttpError } = require('../utils/httpError');
+
+class Cart {
+  // Obtener un producto con los datos necesarios para validar el carrito.
+  // El stock informado descuenta las reservas de órdenes pendientes.
+  static async getProduct(productId, db = database) {
+    const result = await db.query(`
+      SELECT
+        p.id, p.name, p.price, p.status, p.product_type,
+        ${StockReservation.AVAILABLE_STOCK_SQL} as stock,
+        ${Variant.HAS_VARIANTS_SQL} as has_variants
+      FROM products p
+      ${StockReservation.RESERVED_STOCK_JOIN}
+      WHERE p.id = $1
+    `, [productId]);
+
+    if (result.rows.length === 0) {
+      throw new HttpError(404, 'Producto no encontrado');
+    }
+
+    return result.rows[0];
+  }
+
+  // Calcular la cantidad permitida según el stock y el tipo de producto.
+  // Con strict = false los productos únicos se ajustan a una unidad en lugar de rechazarse.
+  static resolveQuantity(product, requested, { strict = true } = {}) {
+    if (product.has_variants) {
+      throw new HttpError(400, `Seleccioná una variante de ${product.name}`);
+    }
+
+    if (product.status !== 'disponible' || product.stock <= 0) {
+      throw new HttpError(409, `${product.name} no está disponible`);
+    }
+
+    if (product.product_type === 'unico' && requested > 1 && strict) {
+      throw new HttpError(400, `${product.name} es un producto único, solo se puede comprar una unidad`);
+    }
+
+    const limit = product.product_type === 'unico' ? 1 : product.stock;
+    const quantity = Math.min(requested, limit);
+
+    return { quantity, capped: quantity < requested };
+  }
+
+  // Guardar la cantidad de un producto en el carrito.
+  // Con increment = true suma a la cantidad existente.
+  static async setItem(userId, productId, quantity, { increment = false, strict = true, db = database } = {}) {
+    const product = await Cart.getProduct(productId, db);
+
+    let requested = quantity;
+    if (increment) {
+      const existing = await db.query(
+        'SELECT quantity FROM cart_items WHERE user_id = $1 AND product_id = $2',
+        [userId, productId]
+      );
+      requested += existing.rows.length > 0 ? existing.rows[0].quantity : 0;
+    }
+
+    const resolved = Cart.resolveQuantity(product, requested, { strict });
+
+    // El precio guardado se renueva en cada modificación del cliente
+    await db.query(`
+      INSERT INTO cart_items (user_id, product_id, quantity, unit_price)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (user_id, product_id)
+      DO UPDATE SET quantity = EXCLUDED.quantity, unit_price = EXCLUDED.unit_price
+    `, [userId, productId, resolved.quantity, product.price]);
+
+    return {
+      product_id: productId,
+      quantity: resolved.quantity,
+      capped: resolved.capped
+    };
+  }
+
+  // Fusionar un carrito de invitado con el carrito de la cuenta.
+  // Las cantidades se suman y se ajustan al stock; los productos no disponibles se omiten.
+  static async merge(userId, items, db = database) {
+    const report = { merged: [], adjusted: [], skipped: [] };
+
+    for (const item of items) {
+      try {
+        const result = await Cart.setItem(userId, item.product_id, parseInt(item.quantity), {
+          increment: true,
+          strict: false,
+          db
+        });
+
+        if (result.capped) {
+          report.adjusted.push(result);
+        } else {
+          report.merged.push(result);
+        }
+      } catch (error) {
+        if (!(error instanceof HttpError)) {
+          throw error;
+        }
+
+        report.skipped.push({ product_id: item.product_id, message: error.message });
+      }
+    }
+
+    return report;
+  }
+
+  // Quitar un producto del carrito
+  static async removeItem(userId, productId, db = database) {
+    const result = await db.query(
+      'DELETE FROM cart_items WHERE user_id = $1 AND product_id = $2',
+      [userId, productId]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  // Vaciar el carrito
+  static async clear(userId, db = database) {
+    await db.query('DELETE FROM cart_items WHERE user_id = $1', [userId]);
+  }
+
+  // Obtener los items del carrito con datos actuales del producto
+  static async getItems(userId, db = database) {
+    const result = await db.query(`
+      SELECT
+        ci.product_id, ci.quantity, ci.unit_price as added_price, ci.created_at,
+        p.name, COALESCE(p.image_url, parent.image_url) as image_url,
+        p.price as unit_price, p.status, p.product_type, p.parent_id, p.option_values,
+        ${StockReservation.AVAILABLE_STOCK_SQL} as stock
+      FROM cart_items ci
+      JOIN products p ON ci.product_id = p.id
+      LEFT JOIN products parent ON p.parent_id = parent.id
+      ${StockReservation.RESERVED_STOCK_JOIN}
+      WHERE ci.user_id = $1
+      ORDER BY ci.created_at ASC
+    `, [userId]);
+
+    const items = result.rows.map(row => {
+      const unitPrice = parseFloat(row.unit_price);
+      const addedPrice = row.added_price !== null ? parseFloat(row.added_price) : unitPrice;
+      const unavailable = row.status !== 'disponible' || row.stock <= 0;
+
+      return {
+        ...row,
+        unit_price: unitPrice,
+        added_price: addedPrice,
+        subtotal: Math.round(unitPrice * row.quantity * 100) / 100,
+        price_changed: addedPrice !== unitPrice,
+        unavailable,
+        exceeds_stock: !unavailable && row.quantity > row.stock
+      };
+    });
+
+    const purchasable = items.filter(item => !item.unavailable);
+
+    return {
+      items,
+      summary: {
+        items_count: items.reduce((sum, item) => sum + item.quantity, 0),
+        total: Math.round(purchasable.reduce((sum, item) => sum + item.subtotal, 0) * 100) / 100,
+        has_issues: items.some(item => item.price_changed || item.unavailable || item.exceeds_stock)
+      }
+    };
+  }
+}
+
+module.exports = Cart;
@@ -0,0 +1,226 @@
+// models/Category.js
+const database = require('../config/database');
+const { HttpError } = require('../utils/httpError');
+
+// IDs de la categoría con el slug indicado y de todas sus subcategorías
+const SUBTREE_BY_SLUG_SQL = (param) => `(
+  WITH RECURSIVE subtree AS (
+    SELECT id FROM categories WHERE slug = ${param}
+    UNION ALL
+    SELECT child.id FROM categories child JOIN subtree ON child.parent_id = subtree.id
+  )
+  SELECT id FROM subtree
+)`;
+
+class Category {
+  // Slug a partir del nombre: "Placas de Video" -> "placas-de-video"
+  static slugify(name) {
+    return name
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 100);
+  }
+
+  // Todas las categorías en el orden del menú
+  static async list(db = database) {
+    const result = await db.query(`
+      SELECT c.*, (
+        SELECT COUNT(*)::int FROM products p
+        WHERE p.category_id = c.id AND p.parent_id IS NULL AND p.status = 'disponible'
+      ) as product_count
+      FROM categories c
+      ORDER BY c.sort_order ASC, c.name ASC
+    `);
+
+    return result.rows;
+  }
+
+  // Árbol de categorías para el menú de navegación. total_products incluye
+  // los productos de las subcategorías.
+  static async getTree(db = database) {
+    const categories = await Category.list(db);
+    const nodes = new Map(categories.map(category => [category.id, { ...category, children: [] }]));
+    const roots = [];
+
+    for (const node of nodes.values()) {
+      const parent = node.parent_id ? nodes.get(node.parent_id) : null;
+      if (parent) {
+        parent.children.push(node);
+      } else {
+        roots.push(node);
+      }
+    }
+
+    const countProducts = (node) => {
+      node.total_products = node.product_count +
+        node.children.reduce((sum, child) => sum + countProducts(child), 0);
+      return node.total_products;
+    };
+    roots.forEach(countProducts);
+
+    return roots;
+  }
+
+  // IDs de las categorías indicadas y de todas sus subcategorías
+  static async getDescendantIds(categoryIds, db = database) {
+    if (categoryIds.length === 0) {
+      return [];
+    }
+
+    const result = await db.query(`
+      WITH RECURSIVE subtree AS (
+        SELECT id FROM categories WHERE id = ANY($1::uuid[])
+        UNION
+        SELECT child.id FROM categories child JOIN subtree ON child.parent_id = subtree.id
+      )
+      SELECT id FROM subtree
+    `, [categoryIds]);
+
+    return result.rows.map(row => row.id);
+  }
+
+  static async findById(categoryId, db = database) {
+    const result = await db.query('SELECT * FROM categories WHERE id = $1', [categoryId]);
+    return result.rows[0] || null;
+  }
+
+  // Verificar que la categoría padre exista y no genere un ciclo
+  static async validateParent(client, parentId, categoryId = null) {
+    if (!parentId) return;
+
+    const parent = await Category.findById(parentId, client);
+    if (!parent) {
+      throw new HttpError(400, 'La categoría padre no existe');
+    }
+
+    if (categoryId) {
+      const subtree = await Category.getDescendantIds([categoryId], client);
+      if (subtree.includes(parentId)) {
+        throw new HttpError(400, 'Una categoría no puede moverse dentro de sí misma');
+      }
+    }
+  }
+
+  // Crear una categoría al final de sus hermanas
+  static async create(client, { name, slug, description = null, parent_id: parentId = null }) {
+    await Category.validateParent(client, parentId);
+
+    const result = await client.query(`
+      INSERT INTO categories (name, slug, description, parent_id, sort_order)
+      VALUES ($1, $2, $3, $4, (
+        SELECT COALESCE(MAX(sort_order), -1) + 1 FROM categories
+        WHERE parent_id IS NOT DISTINCT FROM $4
+      ))
+      RETURNING *
+    `, [name, slug || Category.slugify(name), description, parentId]);
+
+    return result.rows[0];
+  }
+
+  // Actualizar nombre, slug, descripción o categoría padre.
+  // Al cambiar de padre pasa al final de sus nuevas hermanas.
+  static async update(client, categoryId, data) {
+    const result = await client.query('SELECT * FROM categories WHERE id = $1 FOR UPDATE', [categoryId]);
+    const category = result.rows[0];
+
+    if (!category) {
+      return null;
+    }
+
+    const parentId = data.parent_id !== undefined ? data.parent_id : category.parent_id;
+    const parentChanged = parentId !== category.parent_id;
+    if (parentChanged) {
+      await Category.validateParent(client, parentId, categoryId);
+    }
+
+    const updated = await client.query(`
+      UPDATE categories
+      SET name = $1, slug = $2, description = $3, parent_id = $4,
+          sort_order = CASE WHEN $5 THEN (
+            SELECT COALESCE(MAX(sort_order), -1) + 1 FROM categories
+            WHERE parent_id IS NOT DISTINCT FROM $4 AND id <> $6
+          ) ELSE sort_order END
+      WHERE id = $6
+      RETURNING *
+    `, [
+      data.name !== undefined ? data.name : category.name,
+      data.slug !== undefined ? data.slug : category.slug,
+      data.description !== undefined ? data.description : category.description,
+      parentId,
+      parentChanged,
+      categoryId
+    ]);
+
+    return updated.rows[0];
+  }
+
+  // Reordenar las subcategorías de un padre (null para las principales).
+  // Debe recibir todas las categorías de ese nivel.
+  static async reorder(client, parentId, categoryIds) {
+    const siblings = await client.query(
+      'SELECT id FROM categories WHERE parent_id IS NOT DISTINCT FROM $1 FOR UPDATE',
+      [parentId]
+    );
+    const currentIds = siblings.rows.map(row => row.id).sort();
+
+    if (categoryIds.length !== currentIds.length ||
+      [...categoryIds].sort().some((id, index) => id !== currentIds[index])) {
+      throw new HttpError(400, 'El orden debe incluir todas las categorías de ese nivel');
+    }
+
+    for (const [index, categoryId] of categoryIds.entries()) {
+      await client.query(
+        'UPDATE categories SET sort_order = $1 WHERE id = $2',
+        [index, categoryId]
+      );
+    }
+  }
+
+  // Eliminar una categoría. Sus subcategorías y productos pasan a la categoría padre.
+  // Si algún producto tiene cargados sus atributos no se elimina: se perdería la ficha técnica.
+  static async remove(client, categoryId) {
+    const result = await client.query('SELECT * FROM categories WHERE id = $1 FOR UPDATE', [categoryId]);
+    const category = result.rows[0];
+
+    if (!category) {
+      return null;
+    }
+
+    const specs = await client.query(`
+      SELECT 1 FROM product_specs ps
+      JOIN category_attributes ca ON ps.attribute_id = ca.id
+      WHERE ca.category_id = $1
+      LIMIT 1
+    `, [categoryId]);
+
+    if (specs.rows.length > 0) {
+      throw new HttpError(409, 'Hay productos con la ficha técnica de esta categoría cargada. Quitá esos valores antes de eliminarla');
+    }
+
+    await client.query(`
+      UPDATE categories
+      SET parent_id = $1,
+          sort_order = sort_order + (
+            SELECT COALESCE(MAX(sort_order), -1) + 1 FROM categories
+            WHERE parent_id IS NOT DISTINCT FROM $1
+          )
+      WHERE parent_id = $2
+    `, [category.parent_id, categoryId]);
+
+    await client.query(
+      'UPDATE products SET category_id = $1 WHERE category_id = $2',
+      [category.parent_id, categoryId]
+    );
+
+    await client.query('DELETE FROM categories WHERE id = $1', [categoryId]);
+
+    return category;
+  }
+}
+
+Category.SUBTREE_BY_SLUG_SQL = SUBTREE_BY_SLUG_SQL;
+
+module.exports = Category;
@@ -0,0 +1,239 @@
+// models/Coupon.js
+const crypto = require('crypto');
+const database = require('../config/database');
+const Category = require('./Category');
+const { HttpError } = require('../utils/httpError');
+
+// Campos editables desde el panel de administración
+const EDITABLE_FIELDS = [
+  'code', 'description', 'discount_type', 'discount_value', 'max_discount',
+  'min_order_amount', 'category_ids', 'product_ids', 'starts_at', 'expires_at',
+  'usage_limit', 'usage_limit_per_user', 'is_single_use', 'is_active'
+];
+
+// Caracteres sin ambigüedad visual para códigos generados
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Órdenes que mantienen el uso del cupón. Se liberan los usos de órdenes
+// canceladas y de órdenes pendientes cuya reserva venció sin pago; si el pago
+// llega igual, la orden vuelve a contar al pasar a pagada.
+const HOLDS_REDEMPTION_SQL = `(
+  o.status NOT IN ('pendiente', 'cancelado')
+  OR (o.status = 'pendiente' AND EXISTS (
+    SELECT 1 FROM stock_reservations sr
+    WHERE sr.order_id = o.id AND sr.status = 'active' AND sr.expires_at > CURRENT_TIMESTAMP
+  ))
+)`;
+
+const ACTIVE_REDEMPTIONS_SQL = `
+  SELECT COUNT(*) as total,
+         COUNT(*) FILTER (WHERE cr.user_id = $2) as by_user
+  FROM coupon_redemptions cr
+  JOIN orders o ON cr.order_id = o.id
+  WHERE cr.coupon_id = $1 AND ${HOLDS_REDEMPTION_SQL}
+`;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+class Coupon {
+  static normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  static async findByCode(code, db = database) {
+    const result = await db.query('SELECT * FROM coupons WHERE code = $1', [Coupon.normalizeCode(code)]);
+    return result.rows[0] || null;
+  }
+
+  static async findById(couponId, db = database) {
+    const result = await db.query('SELECT * FROM coupons WHERE id = $1', [couponId]);
+    return result.rows[0] || null;
+  }
+
+  // Líneas a las que aplica el cupón según sus restricciones.
+  // Un cupón de un producto con variantes aplica a cualquiera de sus variantes.
+  static getEligibleLines(coupon, lines) {
+    const categoryIds = coupon.category_ids || [];
+    const productIds = coupon.product_ids || [];
+
+    if (categoryIds.length === 0 && productIds.length === 0) {
+      return lines;
+    }
+
+    return lines.filter(line =>
+      productIds.includes(line.product_id) ||
+      (line.parent_id && productIds.includes(line.parent_id)) ||
+      categoryIds.includes(line.category_id)
+    );
+  }
+
+  // Monto de descuento sobre el subtotal elegible
+  static computeDiscount(coupon, eligibleSubtotal) {
+    const value = parseFloat(coupon.discount_value);
+    let discount = coupon.discount_type === 'percentage'
+      ? eligibleSubtotal * value / 100
+      : value;
+
+    if (coupon.max_discount !== null) {
+      discount = Math.min(discount, parseFloat(coupon.max_discount));
+    }
+
+    return roundAmount(Math.min(discount, eligibleSubtotal));
+  }
+
+  // Repartir el descuento entre las líneas elegibles en proporción a su importe.
+  // El redondeo sobrante se asigna a la última línea.
+  static allocate(eligibleLines, discount) {
+    const allocations = new Map();
+    const eligibleSubtotal = eligibleLines.reduce((sum, line) => sum + line.total_price, 0);
+    let remaining = discount;
+
+    eligibleLines.forEach((line, index) => {
+      const share = index === eligibleLines.length - 1
+        ? roundAmount(remaining)
+        : roundAmount(discount * line.total_price / eligibleSubtotal);
+      allocations.set(line.product_id, share);
+      remaining -= share;
+    });
+
+    return allocations;
+  }
+
+  // Validar un cupón para las líneas de una orden y calcular su descuento.
+  // Bloquea el cupón para que los límites de uso no se superen en paralelo.
+  static async apply(client, code, { userId, lines, subtotal }) {
+    const result = await client.query(
+      'SELECT * FROM coupons WHERE code = $1 FOR UPDATE',
+      [Coupon.normalizeCode(code)]
+    );
+    const coupon = result.rows[0];
+
+    if (!coupon || !coupon.is_active) {
+      throw new HttpError(400, 'El cupón no existe o no está activo');
+    }
+
+    const now = new Date();
+    if (coupon.starts_at && new Date(coupon.starts_at) > now) {
+      throw new HttpError(400, 'El cupón todavía no está vigente');
+    }
+    if (coupon.expires_at && new Date(coupon.expires_at) <= now) {
+      throw new HttpError(400, 'El cupón está vencido');
+    }
+
+    const minAmount = parseFloat(coupon.min_order_amount);
+    if (subtotal < minAmount) {
+      throw new HttpError(400, `El cupón requiere una compra mínima de $${minAmount}`);
+    }
+
+    const usage = await client.query(ACTIVE_REDEMPTIONS_SQL, [coupon.id, userId]);
+    const totalUses = parseInt(usage.rows[0].total);
+    const userUses = parseInt(usage.rows[0].by_user);
+    const usageLimit = coupon.is_single_use ? 1 : coupon.usage_limit;
+
+    if (usageLimit !== null && totalUses >= usageLimit) {
+      throw new HttpError(400, 'El cupón ya alcanzó su límite de usos');
+    }
+    if (coupon.usage_limit_per_user !== null && userUses >= coupon.usage_limit_per_user) {
+      throw new HttpError(400, 'Ya usaste este cupón la cantidad máxima de veces');
+    }
+
+    // Un cupón de una categoría también aplica a sus subcategorías
+    const categoryIds = await Category.getDescendantIds(coupon.category_ids || [], client);
+    const eligibleLines = Coupon.getEligibleLines({ ...coupon, category_ids: categoryIds }, lines);
+    if (eligibleLines.length === 0) {
+      throw new HttpError(400, 'El cupón no aplica a los productos de la orden');
+    }
+
+    const eligibleSubtotal = eligibleLines.reduce((sum, line) => sum + line.total_price, 0);
+    const discount = Coupon.computeDiscount(coupon, eligibleSubtotal);
+
+    return {
+      coupon,
+      discount,
+      allocations: Coupon.allocate(eligibleLines, discount)
+    };
+  }
+
+  // Registrar el uso del cupón en una orden
+  static async redeem(client, coupon, { orderId, userId, discount }) {
+    await client.query(`
+      INSERT INTO coupon_redemptions (coupon_id, order_id, user_id, discount_amount)
+      VALUES ($1, $2, $3, $4)
+    `, [coupon.id, orderId, userId, discount]);
+  }
+
+  // Listar cupones con su cantidad de usos vigentes
+  static async list({ active } = {}, db = database) {
+    const result = await db.query(`
+      SELECT c.*, COUNT(o.id) as times_used
+      FROM coupons c
+      LEFT JOIN coupon_redemptions cr ON cr.coupon_id = c.id
+      LEFT JOIN orders o ON cr.order_id = o.id AND ${HOLDS_REDEMPTION_SQL}
+      WHERE ($1::boolean IS NULL OR c.is_active = $1)
+      GROUP BY c.id
+      ORDER BY c.created_at DESC
+    `, [active === undefined ? null : active]);
+
+    return result.rows;
+  }
+
+  static async create(data, db = database) {
+    const fields = EDITABLE_FIELDS.filter(field => data[field] !== undefined);
+    const values = fields.map(field =>
+      field === 'code' ? Coupon.normalizeCode(data[field]) : data[field]
+    );
+
+    const result = await db.query(`
+      INSERT INTO coupons (${fields.join(', ')})
+      VALUES (${fields.map((field, index) => `$${index + 1}`).join(', ')})
+      RETURNING *
+    `, values);
+
+    return result.rows[0];
+  }
+
+  static async update(couponId, data, db = database) {
+    const fields = EDITABLE_FIELDS.filter(field => data[field] !== undefined);
+
+    if (fields.length === 0) {
+      throw new HttpError(400, 'No hay campos para actualizar');
+    }
+
+    const values = fields.map(field =>
+      field === 'code' ? Coupon.normalizeCode(data[field]) : data[field]
+    );
+
+    const result = await db.query(`
+      UPDATE coupons
+      SET ${fields.map((field, index) => `${field} = $${index + 1}`).join(', ')}
+      WHERE id = $${fields.length + 1}
+      RETURNING *
+    `, [...values, couponId]);
+
+    return result.rows[0] || null;
+  }
+
+  // Generar un lote de códigos de un solo uso con las mismas condiciones
+  static async generateSingleUse(client, { prefix = '', count, ...data }) {
+    const coupons = [];
+
+    for (let i = 0; i < count; i++) {
+      let code;
+      do {
+        const random = Array.from(crypto.randomBytes(8), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+        code = `${Coupon.normalizeCode(prefix)}${random}`;
+      } while (await Coupon.findByCode(code, client));
+
+      coupons.push(await Coupon.create({
+        ...data,
+        code,
+        is_single_use: true,
+        usage_limit: 1
+      }, client));
+    }
+
+    return coupons;
+  }
+}
+
+module.exports = Coupon;
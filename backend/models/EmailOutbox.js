@@ -0,0 +1,105 @@
+// models/EmailOutbox.js
+const database = require('../config/database');
+const config = require('../config/config');
+const { renderEmail } = require('../utils/emailTemplates');
+const { sendMail } = require('../utils/mailer');
+
+// Tiempo que un proceso retiene un email mientras lo envía.
+// Si se cae a mitad del envío, pasado este plazo otro lo vuelve a tomar.
+const SENDING_LOCK_MINUTES = 5;
+
+class EmailOutbox {
+  // Encolar un email dentro de la transacción que lo origina.
+  // Se arma al encolar para que refleje los datos de ese momento.
+  static async enqueue(client, template, recipient, data) {
+    const { subject, html, text } = renderEmail(template, data);
+
+    const result = await client.query(`
+      INSERT INTO email_outbox (template, recipient, subject, html, text)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING id
+    `, [template, recipient, subject, html, text]);
+
+    return result.rows[0];
+  }
+
+  // Tomar una tanda de emails listos para enviar (incluye envíos abandonados)
+  static async claimPending(limit, db = database) {
+    const result = await db.query(`
+      UPDATE email_outbox
+      SET status = 'sending',
+          attempts = attempts + 1,
+          locked_until = CURRENT_TIMESTAMP + make_interval(mins => $2)
+      WHERE id IN (
+        SELECT id FROM email_outbox
+        WHERE (status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP)
+          OR (status = 'sending' AND locked_until < CURRENT_TIMESTAMP)
+        ORDER BY created_at ASC
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id, template, recipient, subject, html, text, attempts
+    `, [limit, SENDING_LOCK_MINUTES]);
+
+    return result.rows;
+  }
+
+  static async markSent(id, messageId, db = database) {
+    await db.query(`
+      UPDATE email_outbox
+      SET status = 'sent', message_id = $2, sent_at = CURRENT_TIMESTAMP, locked_until = NULL, last_error = NULL
+      WHERE id = $1
+    `, [id, messageId]);
+  }
+
+  // Reprogramar un envío fallido duplicando la espera en cada intento.
+  // Agotados los intentos queda como fallido.
+  static async markFailed(email, error, db = database) {
+    const failed = email.attempts >= config.mail.maxAttempts;
+    const delayMinutes = config.mail.retryBaseMinutes * Math.pow(2, email.attempts - 1);
+
+    await db.query(`
+      UPDATE email_outbox
+      SET status = $2,
+          last_error = $3,
+          locked_until = NULL,
+          next_attempt_at = CURRENT_TIMESTAMP + make_interval(mins => $4)
+      WHERE id = $1
+    `, [email.id, failed ? 'failed' : 'pending', String(error.message || error).slice(0, 1000), delayMinutes]);
+
+    return failed;
+  }
+
+  // Enviar los emails encolados
+  static async dispatchPending(limit = 20) {
+    const emails = await EmailOutbox.claimPending(limit);
+    let sent = 0;
+    let failed = 0;
+
+    for (const email of emails) {
+      try {
+        const info = await sendMail({
+          to: email.recipient,
+          subject: email.subject,
+          html: email.html,
+          text: email.text
+        });
+        await EmailOutbox.markSent(email.id, info.messageId);
+        sent++;
+      } catch (error) {
+        const exhausted = await EmailOutbox.markFailed(email, error);
+        console.error(`Error enviando email ${email.template} a ${email.recipient} (intento ${email.attempts}):`, error.message);
+
+        if (exhausted) {
+          failed++;
+        }
+      }
+    }
+
+    return { sent, failed };
+  }
+}
+
+EmailOutbox.SENDING_LOCK_MINUTES = SENDING_LOCK_MINUTES;
+
+module.exports = EmailOutbox;
@@ -0,0 +1,151 @@
+// models/Invoice.js
+const database = require('../config/database');
+const config = require('../config/config');
+
+// Estados de orden que admiten comprobante
+const INVOICEABLE_STATUSES = ['pagado', 'enviado', 'entregado'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Separar el IVA contenido en un importe final
+const splitIva = (gross, rate) => {
+  const net = roundAmount(gross / (1 + rate / 100));
+  return { net, iva: roundAmount(gross - net) };
+};
+
+class Invoice {
+  static isInvoiceable(orderStatus) {
+    return INVOICEABLE_STATUSES.includes(orderStatus);
+  }
+
+  // Formato de número de comprobante: PPPPP-NNNNNNNN
+  static formatNumber(invoice) {
+    return `${String(invoice.point_of_sale).padStart(5, '0')}-${String(invoice.number).padStart(8, '0')}`;
+  }
+
+  // Emitir el comprobante de una orden pagada. Si ya existe lo devuelve.
+  // La numeración es correlativa por punto de venta y sin saltos.
+  static async issue(client, orderId) {
+    const existing = await client.query('SELECT * FROM invoices WHERE order_id = $1', [orderId]);
+    if (existing.rows.length > 0) {
+      return existing.rows[0];
+    }
+
+    const orderResult = await client.query(`
+      SELECT o.*, u.name as user_name, u.email as user_email
+      FROM orders o
+      JOIN users u ON o.user_id = u.id
+      WHERE o.id = $1
+    `, [orderId]);
+    const order = orderResult.rows[0];
+
+    const itemsResult = await client.query(`
+      SELECT oi.quantity, oi.unit_price, oi.total_price, oi.discount_amount, p.name, p.sku, p.iva_rate
+      FROM order_items oi
+      JOIN products p ON oi.product_id = p.id
+      WHERE oi.order_id = $1
+      ORDER BY oi.created_at
+    `, [orderId]);
+
+    // Los pagos manuales no tienen ID de MercadoPago: se usa el pago registrado
+    let paymentReference = order.payment_id;
+    if (!paymentReference) {
+      const paymentResult = await client.query(`
+        SELECT id FROM payments
+        WHERE order_id = $1
+        ORDER BY created_at DESC
+        LIMIT 1
+      `, [orderId]);
+      paymentReference = paymentResult.rows[0] ? paymentResult.rows[0].id : null;
+    }
+
+    const { pointOfSale, invoiceType, defaultIvaRate } = config.invoices;
+
+    const lines = itemsResult.rows.map(item => {
+      const ivaRate = item.iva_rate !== null ? parseFloat(item.iva_rate) : defaultIvaRate;
+      // El IVA se calcula sobre el importe cobrado, con el descuento del cupón aplicado
+      const discount = parseFloat(item.discount_amount);
+      const total = roundAmount(parseFloat(item.total_price) - discount);
+      return {
+        description: item.name,
+        sku: item.sku,
+        quantity: item.quantity,
+        unit_price: parseFloat(item.unit_price),
+        discount,
+        total,
+        iva_rate: ivaRate,
+        ...splitIva(total, ivaRate)
+      };
+    });
+
+    const shippingCost = parseFloat(order.shipping_cost || 0);
+    if (shippingCost > 0) {
+      lines.push({
+        description: 'Envío',
+        sku: null,
+        quantity: 1,
+        unit_price: shippingCost,
+        discount: 0,
+        total: shippingCost,
+        iva_rate: defaultIvaRate,
+        ...splitIva(shippingCost, defaultIvaRate)
+      });
+    }
+
+    // Bloquear el contador del punto de venta hasta el fin de la transacción
+    const sequenceResult = await client.query(`
+      INSERT INTO invoice_sequences (point_of_sale, last_number)
+      VALUES ($1, 1)
+      ON CONFLICT (point_of_sale)
+      DO UPDATE SET last_number = invoice_sequences.last_number + 1
+      RETURNING last_number
+    `, [pointOfSale]);
+
+    const result = await client.query(`
+      INSERT INTO invoices (
+        order_id, point_of_sale, number, invoice_type,
+        buyer_name, buyer_email, buyer_address, lines,
+        net_total, iva_total, total, payment_method, payment_reference
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      RETURNING *
+    `, [
+      orderId,
+      pointOfSale,
+      sequenceResult.rows[0].last_number,
+      invoiceType,
+      order.user_name,
+      order.user_email,
+      order.shipping_address,
+      JSON.stringify(lines),
+      roundAmount(lines.reduce((sum, line) => sum + line.net, 0)),
+      roundAmount(lines.reduce((sum, line) => sum + line.iva, 0)),
+      parseFloat(order.total),
+      order.payment_method,
+      paymentReference
+    ]);
+
+    return result.rows[0];
+  }
+
+  // Comprobante de una orden
+  static async findByOrder(orderId, db = database) {
+    const result = await db.query('SELECT * FROM invoices WHERE order_id = $1', [orderId]);
+    return result.rows[0] || null;
+  }
+
+  // Resumen de IVA agrupado por alícuota
+  static getIvaBreakdown(invoice) {
+    const byRate = new Map();
+
+    for (const line of invoice.lines) {
+      const current = byRate.get(line.iva_rate) || { iva_rate: line.iva_rate, net: 0, iva: 0 };
+      current.net = roundAmount(current.net + line.net);
+      current.iva = roundAmount(current.iva + line.iva);
+      byRate.set(line.iva_rate, current);
+    }
+
+    return Array.from(byRate.values()).sort((a, b) => b.iva_rate - a.iva_rate);
+  }
+}
+
+module.exports = Invoice;
@@ -0,0 +1,400 @@
+// models/Order.js
+const database = require('../config/database');
+const StockReservation = require('./StockReservation');
+const Product = require('./Product');
+const Invoice = require('./Invoice');
+const Coupon = require('./Coupon');
+const Bundle = require('./Bundle');
+const EmailOutbox = require('./EmailOutbox');
+const Payment = require('./Payment');
+const ShippingService = require('../config/shipping');
+const { HttpError } = require('../utils/httpError');
+
+// Transiciones de estado permitidas para una orden
+const STATUS_TRANSITIONS = {
+  pendiente: ['pagado', 'cancelado'],
+  pagado: ['enviado', 'cancelado'],
+  enviado: ['entregado'],
+  entregado: [],
+  cancelado: []
+};
+
+class Order {
+  // Estados a los que puede pasar una orden desde el estado actual
+  static getAllowedTransitions(status) {
+    return STATUS_TRANSITIONS[status] || [];
+  }
+
+  static canTransition(fromStatus, toStatus) {
+    return Order.getAllowedTransitions(fromStatus).includes(toStatus);
+  }
+
+  // Registrar un cambio de estado en el historial
+  static async recordStatusChange(client, orderId, fromStatus, toStatus, { actorType, actorId = null, reason = null }) {
+    await client.query(`
+      INSERT INTO order_status_history (order_id, from_status, to_status, actor_type, actor_id, reason)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [orderId, fromStatus, toStatus, actorType, actorId, reason]);
+  }
+
+  // Cambiar el estado de una orden validando la transición.
+  // Si la orden ya está en el estado destino no hace nada (webhooks repetidos).
+  // Con onlyFrom la transición solo se aplica si el estado actual está en esa lista.
+  static async transition(client, orderId, toStatus, { actorType, actorId = null, reason = null, trackingNumber = null, onlyFrom = null }) {
+    const result = await client.query(
+      'SELECT id, status FROM orders WHERE id = $1 FOR UPDATE',
+      [orderId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new HttpError(404, 'Orden no encontrada');
+    }
+
+    const fromStatus = result.rows[0].status;
+
+    if (fromStatus === toStatus || (onlyFrom && !onlyFrom.includes(fromStatus))) {
+      return { changed: false, from: fromStatus, to: toStatus };
+    }
+
+    if (!Order.canTransition(fromStatus, toStatus)) {
+      throw new HttpError(409, `No se puede pasar una orden de ${fromStatus} a ${toStatus}`);
+    }
+
+    // Un pago puede llegar con la reserva ya vencida (efectivo, ticket).
+    // Se renueva o se vuelve a reservar; sin stock la orden no pasa a pagada.
+    if (toStatus === 'pagado') {
+      await StockReservation.renew(client, orderId, StockReservation.getExpirationDate());
+    }
+
+    await client.query(`
+      UPDATE orders
+      SET status = $1, tracking_number = COALESCE($2, tracking_number), updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+    `, [toStatus, trackingNumber, orderId]);
+
+    await Order.recordStatusChange(client, orderId, fromStatus, toStatus, { actorType, actorId, reason });
+
+    // Al pagar se consume la reserva, se descuenta el stock, se aprueba el pago
+    // manual y se emite el comprobante.
+    // Al cancelar se libera la reserva y, si ya estaba pagada, se repone el stock.
+    if (toStatus === 'pagado') {
+      await StockReservation.consume(client, orderId);
+      await Product.decrementOrderStock(client, orderId);
+      await Payment.approveManual(client, orderId);
+      await Invoice.issue(client, orderId);
+    } else if (toStatus === 'cancelado') {
+      await StockReservation.release(client, orderId);
+
+      if (fromStatus !== 'pendiente') {
+        await Product.restockOrderItems(client, orderId);
+      }
+    }
+
+    if (toStatus === 'enviado') {
+      await Order.notify(client, orderId, 'order_shipped');
+    }
+
+    return { changed: true, from: fromStatus, to: toStatus };
+  }
+
+  // Encolar un email de la orden para su cliente
+  static async notify(client, orderId, template, data = {}) {
+    const order = await Order.findById(orderId, client);
+    await EmailOutbox.enqueue(client, template, order.user_email, { ...data, order });
+  }
+
+  // Obtener el historial de estados de una orden
+  static async getStatusHistory(orderId, db = database) {
+    const result = await db.query(`
+      SELECT
+        h.id, h.from_status, h.to_status, h.actor_type, h.reason, h.created_at,
+        u.name as actor_name
+      FROM order_status_history h
+      LEFT JOIN users u ON h.actor_id = u.id
+      WHERE h.order_id = $1
+      ORDER BY h.created_at ASC
+    `, [orderId]);
+
+    return result.rows;
+  }
+
+  // Agrupar items repetidos y normalizar cantidades
+  static normalizeItems(items) {
+    const quantities = new Map();
+
+    for (const item of items) {
+      const quantity = parseInt(item.quantity);
+      quantities.set(item.product_id, (quantities.get(item.product_id) || 0) + quantity);
+    }
+
+    return Array.from(quantities, ([product_id, quantity]) => ({ product_id, quantity }));
+  }
+
+  // Obtener los items del carrito del usuario
+  static async getCartItems(client, userId) {
+    const result = await client.query(
+      'SELECT product_id, quantity FROM cart_items WHERE user_id = $1',
+      [userId]
+    );
+
+    return result.rows;
+  }
+
+  // Calcular precios desde la base de datos y verificar disponibilidad.
+  // Bloquea las filas de productos (y de los componentes de combos) hasta el fin de la transacción.
+  static async priceItems(client, items) {
+    const normalized = Order.normalizeItems(items);
+
+    const productsResult = await client.query(`
+      SELECT id, name, price, stock, status, product_type, category_id, parent_id, weight, dimensions, is_bundle,
+        EXISTS (SELECT 1 FROM products v WHERE v.parent_id = products.id) as has_variants
+      FROM products
+      WHERE id = ANY($1::uuid[])
+      FOR UPDATE
+    `, [normalized.map(item => item.product_id)]);
+
+    const products = new Map(productsResult.rows.map(product => [product.id, product]));
+    const bundles = await Bundle.getComponents(
+      productsResult.rows.filter(product => product.is_bundle).map(product => product.id),
+      client
+    );
+
+    // Componentes que no fueron pedidos directamente
+    const componentIds = [...new Set(Array.from(bundles.values()).flat().map(component => component.product_id))]
+      .filter(id => !products.has(id));
+    if (componentIds.length > 0) {
+      const componentsResult = await client.query(
+        'SELECT id, name, stock, status FROM products WHERE id = ANY($1::uuid[]) FOR UPDATE',
+        [componentIds]
+      );
+      for (const component of componentsResult.rows) {
+        products.set(component.id, component);
+      }
+    }
+
+    const reserved = await StockReservation.getReservedQuantities(Array.from(products.keys()), { db: client });
+    const available = (productId) => {
+      const product = products.get(productId);
+      return Math.max(product.stock - (reserved.get(productId) || 0), 0);
+    };
+
+    // Unidades pedidas de cada producto físico, sumando las que aportan los combos
+    const demand = new Map();
+    for (const item of normalized) {
+      const components = bundles.get(item.product_id) || [{ product_id: item.product_id, quantity: 1 }];
+      for (const component of components) {
+        if (!products.has(component.product_id)) continue;
+        demand.set(component.product_id, (demand.get(component.product_id) || 0) + component.quantity * item.quantity);
+      }
+    }
+
+    const problems = [];
+    const lines = [];
+
+    for (const item of normalized) {
+      const product = products.get(item.product_id);
+
+      if (!product) {
+        problems.push({ product_id: item.product_id, message: 'Producto no encontrado' });
+        continue;
+      }
+
+      if (product.has_variants) {
+        problems.push({ product_id: product.id, message: `Seleccioná una variante de ${product.name}` });
+        continue;
+      }
+
+      if (product.status !== 'disponible') {
+        problems.push({ product_id: product.id, message: `${product.name} no está disponible` });
+        continue;
+      }
+
+      if (product.product_type === 'unico' && item.quantity > 1) {
+        problems.push({ product_id: product.id, message: `${product.name} es un producto único` });
+        continue;
+      }
+
+      const components = bundles.get(product.id);
+
+      if (components) {
+        const missing = components.find(component =>
+          products.get(component.product_id).status !== 'disponible' ||
+          available(component.product_id) < demand.get(component.product_id)
+        );
+
+        if (missing) {
+          problems.push({
+            product_id: product.id,
+            message: `Stock insuficiente para ${product.name} (sin stock de ${missing.name})`
+          });
+          continue;
+        }
+      } else if (available(product.id) < demand.get(product.id)) {
+        problems.push({
+          product_id: product.id,
+          message: `Stock insuficiente para ${product.name} (disponible: ${available(product.id)})`
+        });
+        continue;
+      }
+
+      const unitPrice = parseFloat(product.price);
+
+      lines.push({
+        product_id: product.id,
+        name: product.name,
+        category_id: product.category_id,
+        parent_id: product.parent_id,
+        quantity: item.quantity,
+        unit_price: unitPrice,
+        total_price: Math.round(unitPrice * item.quantity * 100) / 100,
+        weight: product.weight,
+        dimensions: product.dimensions,
+        // Composición del combo al momento de la compra
+        components: components
+          ? components.map(component => ({ product_id: component.product_id, quantity: component.quantity }))
+          : null
+      });
+    }
+
+    if (problems.length > 0) {
+      throw new HttpError(409, 'Algunos productos no están disponibles', problems);
+    }
+
+    return lines;
+  }
+
+  // Crear orden y sus items dentro de una transacción existente.
+  // shipping: { method, province, postalCode }; el costo se calcula en el servidor.
+  // couponCode: cupón opcional, validado y repartido entre las líneas elegibles.
+  static async create(client, { userId, items, shippingAddress, paymentMethod, notes, shipping = {}, couponCode = null }) {
+    const fromCart = !items || items.length === 0;
+    const requestedItems = fromCart ? await Order.getCartItems(client, userId) : items;
+
+    if (requestedItems.length === 0) {
+      throw new HttpError(400, 'La orden no tiene productos');
+    }
+
+    const lines = await Order.priceItems(client, requestedItems);
+    const subtotal = lines.reduce((sum, line) => sum + line.total_price, 0);
+
+    const applied = couponCode
+      ? await Coupon.apply(client, couponCode, { userId, lines, subtotal })
+      : null;
+    const discount = applied ? applied.discount : 0;
+
+    for (const line of lines) {
+      line.discount_amount = applied ? applied.allocations.get(line.product_id) || 0 : 0;
+    }
+
+    // El envío gratis se evalúa sobre el monto con descuento
+    const shippingMethod = shipping.method || 'envio';
+    const shippingOption = ShippingService.getOption(shippingMethod, lines, subtotal - discount, {
+      province: shipping.province,
+      postal_code: shipping.postalCode
+    });
+
+    if (!shippingOption) {
+      throw new HttpError(400, 'Indicá una provincia o código postal válido para el envío');
+    }
+
+    const address = shippingMethod === 'retiro'
+      ? `Retiro en el local: ${shippingOption.address}`
+      : shippingAddress;
+    const total = subtotal - discount + shippingOption.cost;
+
+    const orderResult = await client.query(`
+      INSERT INTO orders (
+        user_id, total, shipping_address, payment_method, notes,
+        shipping_method, shipping_cost, shipping_province, shipping_postal_code,
+        coupon_id, discount_amount
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING *
+    `, [
+      userId, Math.round(total * 100) / 100, address, paymentMethod, notes,
+      shippingMethod, shippingOption.cost,
+      shippingOption.zone ? shippingOption.zone.province : null,
+      shipping.postalCode || null,
+      applied ? applied.coupon.id : null,
+      discount
+    ]);
+
+    const order = orderResult.rows[0];
+
+    await Order.recordStatusChange(client, order.id, null, order.status, {
+      actorType: 'customer',
+      actorId: userId,
+      reason: 'Orden creada'
+    });
+
+    for (const line of lines) {
+      await client.query(`
+        INSERT INTO order_items (order_id, product_id, quantity, unit_price, total_price, discount_amount, components)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `, [
+        order.id, line.product_id, line.quantity, line.unit_price, line.total_price, line.discount_amount,
+        line.components ? JSON.stringify(line.components) : null
+      ]);
+    }
+
+    if (applied) {
+      await Coupon.redeem(client, applied.coupon, { orderId: order.id, userId, discount });
+    }
+
+    // Reservar el stock mientras la orden espera el pago
+    await StockReservation.reserve(client, order.id, lines);
+
+    // Quitar del carrito los productos comprados
+    await client.query(
+      'DELETE FROM cart_items WHERE user_id = $1 AND product_id = ANY($2::uuid[])',
+      [userId, lines.map(line => line.product_id)]
+    );
+
+    await Order.notify(client, order.id, 'order_created');
+
+    return {
+      ...order,
+      items: lines,
+      discount: applied ? { code: applied.coupon.code, amount: discount } : null
+    };
+  }
+
+  // Obtener una orden con sus items (acepta un cliente de transacción)
+  static async findById(orderId, db = database) {
+    const result = await db.query(`
+      SELECT
+        o.*,
+        u.name as user_name,
+        u.email as user_email,
+        c.code as coupon_code,
+        COALESCE(
+          json_agg(
+            json_build_object(
+              'id', oi.id,
+              'product_id', oi.product_id,
+              'name', p.name,
+              'image_url', COALESCE(p.image_url, pp.image_url),
+              'parent_id', p.parent_id,
+              'option_values', p.option_values,
+              'quantity', oi.quantity,
+              'unit_price', oi.unit_price,
+              'total_price', oi.total_price,
+              'discount_amount', oi.discount_amount
+            ) ORDER BY oi.created_at
+          ) FILTER (WHERE oi.id IS NOT NULL),
+          '[]'
+        ) as items
+      FROM orders o
+      JOIN users u ON o.user_id = u.id
+      LEFT JOIN coupons c ON o.coupon_id = c.id
+      LEFT JOIN order_items oi ON o.id = oi.order_id
+      LEFT JOIN products p ON oi.product_id = p.id
+      LEFT JOIN products pp ON p.parent_id = pp.id
+      WHERE o.id = $1
+      GROUP BY o.id, u.id, c.id
+    `, [orderId]);
+
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = Order;
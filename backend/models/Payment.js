@@ -0,0 +1,69 @@
+// models/Payment.js
+
+// Medios de pago que se verifican a mano desde la administración
+const MANUAL_PAYMENT_METHODS = ['transferencia', 'efectivo'];
+
+class Payment {
+  // Aprobar el pago de una orden manual que pasa a pagada, así queda
+  // disponible para reembolsos. Se aprueba el último comprobante informado
+  // y se anulan los anteriores; sin comprobante se registra el pago por el total.
+  static async approveManual(client, orderId) {
+    const orderResult = await client.query(
+      'SELECT payment_method, total FROM orders WHERE id = $1',
+      [orderId]
+    );
+    const order = orderResult.rows[0];
+
+    if (!order || !MANUAL_PAYMENT_METHODS.includes(order.payment_method)) {
+      return null;
+    }
+
+    const approved = await client.query(`
+      UPDATE payments
+      SET status = 'approved'
+      WHERE id = (
+        SELECT id FROM payments
+        WHERE order_id = $1 AND status = 'pending' AND payment_method = ANY($2::text[])
+        ORDER BY created_at DESC
+        LIMIT 1
+      )
+      RETURNING *
+    `, [orderId, MANUAL_PAYMENT_METHODS]);
+
+    if (approved.rows.length > 0) {
+      await client.query(`
+        UPDATE payments
+        SET status = 'cancelled'
+        WHERE order_id = $1 AND status = 'pending' AND id <> $2
+      `, [orderId, approved.rows[0].id]);
+
+      return approved.rows[0];
+    }
+
+    const existing = await client.query(
+      "SELECT id FROM payments WHERE order_id = $1 AND status IN ('approved', 'partially_refunded', 'refunded')",
+      [orderId]
+    );
+
+    if (existing.rows.length > 0) {
+      return null;
+    }
+
+    const result = await client.query(`
+      INSERT INTO payments (order_id, payment_method, amount, currency, status, gateway_response)
+      VALUES ($1, $2, $3, 'ARS', 'approved', $4)
+      RETURNING *
+    `, [
+      orderId,
+      order.payment_method,
+      order.total,
+      JSON.stringify({ type: 'manual', registered_at: new Date().toISOString() })
+    ]);
+
+    return result.rows[0];
+  }
+}
+
+Payment.MANUAL_PAYMENT_METHODS = MANUAL_PAYMENT_METHODS;
+
+module.exports = Payment;
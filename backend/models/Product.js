@@ -0,0 +1,93 @@
+// models/Product.js
+const Bundle = require('./Bundle');
+
+class Product {
+  // Descontar del stock los items de una orden pagada.
+  // Los combos descuentan sus componentes según la composición guardada en la orden.
+  static async decrementOrderStock(client, orderId) {
+    const orderItems = await client.query(
+      'SELECT product_id, quantity, components FROM order_items WHERE order_id = $1',
+      [orderId]
+    );
+    const items = Bundle.expandItems(orderItems.rows);
+
+    const productsResult = await client.query(
+      'SELECT id, stock, product_type FROM products WHERE id = ANY($1::uuid[]) FOR UPDATE',
+      [items.map(item => item.product_id)]
+    );
+    const products = new Map(productsResult.rows.map(product => [product.id, product]));
+
+    for (const item of items.map(item => ({ ...item, ...products.get(item.product_id) }))) {
+      if (item.product_type === 'unico') {
+        // Productos únicos se marcan como agotados
+        await client.query(
+          'UPDATE products SET status = $1, stock = 0 WHERE id = $2',
+          ['agotado', item.product_id]
+        );
+      } else {
+        // La reserva de la orden garantiza el stock; si falta se aborta la transacción
+        if (item.stock < item.quantity) {
+          throw new Error(`Stock insuficiente para descontar el producto ${item.product_id} de la orden ${orderId}`);
+        }
+
+        const newStock = item.stock - item.quantity;
+        const newStatus = newStock === 0 ? 'agotado' : 'disponible';
+
+        await client.query(
+          'UPDATE products SET stock = $1, status = $2 WHERE id = $3',
+          [newStock, newStatus, item.product_id]
+        );
+      }
+    }
+  }
+
+  // Devolver al stock items de una orden. Sin items se devuelve todo lo pendiente.
+  // Los productos agotados vuelven a estar disponibles. Los combos reponen sus componentes.
+  static async restockOrderItems(client, orderId, items = null) {
+    const orderItems = await client.query(`
+      SELECT id, product_id, quantity, restocked_quantity, components
+      FROM order_items
+      WHERE order_id = $1
+      FOR UPDATE
+    `, [orderId]);
+
+    const requested = items
+      ? new Map(items.map(item => [item.product_id, parseInt(item.quantity)]))
+      : null;
+    const restocked = [];
+
+    for (const item of orderItems.rows) {
+      const remaining = item.quantity - item.restocked_quantity;
+      const quantity = requested
+        ? Math.min(requested.get(item.product_id) || 0, remaining)
+        : remaining;
+
+      if (quantity <= 0) {
+        continue;
+      }
+
+      const targets = Bundle.expandItems([{ ...item, quantity }]);
+
+      for (const target of targets) {
+        await client.query(`
+          UPDATE products
+          SET
+            stock = stock + $1,
+            status = CASE WHEN status = 'agotado' THEN 'disponible' ELSE status END
+          WHERE id = $2
+        `, [target.quantity, target.product_id]);
+      }
+
+      await client.query(
+        'UPDATE order_items SET restocked_quantity = restocked_quantity + $1 WHERE id = $2',
+        [quantity, item.id]
+      );
+
+      restocked.push({ product_id: item.product_id, quantity });
+    }
+
+    return restocked;
+  }
+}
+
+module.exports = Product;
@@ -0,0 +1,162 @@
+// models/ProductFilters.js
+const database = require('../config/database');
+const config = require('../config/config');
+const StockReservation = require('./StockReservation');
+const Variant = require('./Variant');
+const ProductSearch = require('./ProductSearch');
+const Category = require('./Category');
+const Attribute = require('./Attribute');
+
+// FROM común del listado: categoría, reservas y resumen de variantes de products p
+const LISTING_FROM = `
+  FROM products p
+  LEFT JOIN categories c ON p.category_id = c.id
+  ${StockReservation.RESERVED_STOCK_JOIN}
+  ${Variant.VARIANTS_SUMMARY_JOIN}
+`;
+
+// Precio "desde" y stock disponible de la tarjeta, contemplando las variantes
+const LISTING_PRICE_SQL = 'CASE WHEN pv.variant_count > 0 THEN pv.min_price ELSE p.price END';
+const LISTING_STOCK_SQL = `CASE WHEN pv.variant_count > 0 THEN pv.available_stock
+  ELSE ${StockReservation.AVAILABLE_STOCK_SQL} END`;
+
+// Valores separados por coma en la query string: "oferta,nuevo"
+const parseList = (value) => [].concat(value || [])
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+class ProductFilters {
+  // Filtros del listado a partir de la query string. Cada filtro indica la
+  // faceta que controla, para poder excluirlo al contar las opciones de esa faceta.
+  static fromQuery({
+    category, type, brand, featured, search, min_price: minPrice, max_price: maxPrice, in_stock: inStock,
+    spec, status = 'disponible'
+  }) {
+    const filters = [
+      { facet: null, build: (next) => `p.status = ${next(status)}` },
+      // Las variantes se muestran dentro de la tarjeta de su producto padre
+      { facet: null, build: () => 'p.parent_id IS NULL' }
+    ];
+
+    // Una categoría incluye los productos de sus subcategorías
+    if (category) {
+      filters.push({ facet: 'category', build: (next) => `p.category_id IN ${Category.SUBTREE_BY_SLUG_SQL(next(category))}` });
+    }
+
+    const types = parseList(type);
+    if (types.length > 0) {
+      filters.push({ facet: 'type', build: (next) => `p.product_type = ANY(${next(types)}::text[])` });
+    }
+
+    const brands = parseList(brand).map(item => item.toLowerCase());
+    if (brands.length > 0) {
+      filters.push({ facet: 'brand', build: (next) => `lower(p.brand) = ANY(${next(brands)}::text[])` });
+    }
+
+    if (featured) {
+      filters.push({ facet: null, build: (next) => `p.is_featured = ${next(featured === 'true')}` });
+    }
+
+    if (minPrice !== undefined) {
+      filters.push({ facet: 'price', build: (next) => `${LISTING_PRICE_SQL} >= ${next(parseFloat(minPrice))}` });
+    }
+
+    if (maxPrice !== undefined) {
+      filters.push({ facet: 'price', build: (next) => `${LISTING_PRICE_SQL} <= ${next(parseFloat(maxPrice))}` });
+    }
+
+    if (inStock === 'true') {
+      filters.push({ facet: null, build: () => `${LISTING_STOCK_SQL} > 0` });
+    }
+
+    // Ficha técnica: spec=vram>=12&spec=socket=AM5|AM4
+    for (const specFilter of Attribute.parseFilters(spec)) {
+      filters.push({ facet: null, build: (next) => Attribute.filterSql(specFilter, next) });
+    }
+
+    // Búsqueda de texto completo con tolerancia a errores de tipeo
+    if (search) {
+      const term = search.trim();
+      filters.push({
+        facet: null,
+        build: (next) => ProductSearch.matchSql(next(term), next(ProductSearch.likeContains(term)))
+      });
+    }
+
+    return filters;
+  }
+
+  // Condición WHERE de los filtros, con parámetros numerados desde $1.
+  // excludeFacet omite los filtros de esa faceta.
+  static toWhere(filters, excludeFacet = null) {
+    const values = [];
+    const next = (value) => {
+      values.push(value);
+      return `$${values.length}`;
+    };
+
+    const conditions = filters
+      .filter(filter => !excludeFacet || filter.facet !== excludeFacet)
+      .map(filter => filter.build(next));
+
+    return { sql: conditions.join(' AND '), values };
+  }
+
+  // Rangos de precio configurados: [{ min, max }], el último sin máximo
+  static getPriceBuckets() {
+    const limits = config.catalog.priceBuckets;
+    return [0, ...limits].map((min, index) => ({
+      min,
+      max: index < limits.length ? limits[index] : null
+    }));
+  }
+
+  // Cantidad de productos por opción de cada faceta. Cada faceta se cuenta con
+  // los demás filtros aplicados pero sin el suyo, así se puede cambiar de opción.
+  static async getFacets(filters, db = database) {
+    const countBy = (facet, select, groupBy, orderBy, extraValues = []) => {
+      const where = ProductFilters.toWhere(filters, facet);
+      return db.query(`
+        SELECT ${select}, COUNT(*)::int as count
+        ${LISTING_FROM}
+        WHERE ${where.sql}
+        GROUP BY ${groupBy}
+        ORDER BY ${orderBy}
+      `, [...where.values, ...extraValues]);
+    };
+
+    const bucketParam = `$${ProductFilters.toWhere(filters, 'price').values.length + 1}`;
+
+    const [categories, types, brands, prices] = await Promise.all([
+      countBy('category', 'c.slug, c.name', 'c.slug, c.name', 'c.name ASC'),
+      countBy('type', 'p.product_type as value', 'p.product_type', 'count DESC'),
+      countBy('brand', 'p.brand as value', 'p.brand', 'p.brand ASC'),
+      countBy(
+        'price',
+        `width_bucket(${LISTING_PRICE_SQL}, ${bucketParam}::numeric[]) as bucket`,
+        'bucket',
+        'bucket ASC',
+        [config.catalog.priceBuckets]
+      )
+    ]);
+
+    const bucketCounts = new Map(prices.rows.map(row => [row.bucket, row.count]));
+
+    return {
+      categories: categories.rows.filter(row => row.slug !== null),
+      types: types.rows,
+      brands: brands.rows.filter(row => row.value !== null),
+      prices: ProductFilters.getPriceBuckets().map((bucket, index) => ({
+        ...bucket,
+        count: bucketCounts.get(index) || 0
+      }))
+    };
+  }
+}
+
+ProductFilters.LISTING_FROM = LISTING_FROM;
+ProductFilters.LISTING_PRICE_SQL = LISTING_PRICE_SQL;
+ProductFilters.LISTING_STOCK_SQL = LISTING_STOCK_SQL;
+
+module.exports = ProductFilters;
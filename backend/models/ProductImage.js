@@ -0,0 +1,199 @@
+// models/ProductImage.js
+const path = require('path');
+const fs = require('fs').promises;
+const database = require('../config/database');
+const { HttpError } = require('../utils/httpError');
+
+// Carpeta servida como /uploads
+const UPLOADS_ROOT = path.resolve(__dirname, '..', 'uploads');
+
+class ProductImage {
+  // Ruta en disco de una imagen servida desde /uploads.
+  // Devuelve null si la URL apunta fuera de la carpeta (por ejemplo con "..").
+  static getFilePath(url) {
+    if (!url || !url.startsWith('/uploads/')) return null;
+
+    const filePath = path.resolve(UPLOADS_ROOT, url.slice('/uploads/'.length));
+    return filePath.startsWith(UPLOADS_ROOT + path.sep) ? filePath : null;
+  }
+
+  // Borrar archivos del disco. Se llama después de confirmar la transacción.
+  static async deleteFiles(urls) {
+    for (const url of urls) {
+      const filePath = ProductImage.getFilePath(url);
+      if (!filePath) continue;
+
+      try {
+        await fs.unlink(filePath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error('Error eliminando imagen:', error);
+        }
+      }
+    }
+  }
+
+  // Todos los archivos de una imagen: el original y sus tamaños generados
+  static getImageFiles(image) {
+    if (!image) return [];
+
+    const sizes = Object.values(image.variants || {});
+    return [image.url, ...sizes.flatMap(size => [size.webp, size.fallback])];
+  }
+
+  // Atributos srcset de una imagen, de menor a mayor ancho (null si no tiene tamaños).
+  // Las imágenes chicas no se agrandan, así que se omiten los anchos repetidos.
+  static buildSrcset(variants) {
+    if (!variants) return null;
+
+    const sizes = Object.values(variants)
+      .sort((a, b) => a.width - b.width)
+      .filter((size, index, sorted) => index === 0 || size.width !== sorted[index - 1].width);
+    return {
+      webp: sizes.map(size => `${size.webp} ${size.width}w`).join(', '),
+      fallback: sizes.map(size => `${size.fallback} ${size.width}w`).join(', ')
+    };
+  }
+
+  static format(image) {
+    return { ...image, srcset: ProductImage.buildSrcset(image.variants) };
+  }
+
+  // Galería de un producto en orden; la primera es la principal
+  static async listByProduct(productId, db = database) {
+    const result = await db.query(`
+      SELECT id, url, variants, alt_text, sort_order, created_at
+      FROM product_images
+      WHERE product_id = $1
+      ORDER BY sort_order ASC, created_at ASC
+    `, [productId]);
+
+    return result.rows.map(ProductImage.format);
+  }
+
+  // Mantener products.image_url igual a la imagen principal de la galería,
+  // en el tamaño de tarjeta si fue procesada
+  static async syncPrimary(client, productId) {
+    await client.query(`
+      UPDATE products
+      SET image_url = (
+        SELECT COALESCE(variants->'card'->>'fallback', url) FROM product_images
+        WHERE product_id = $1
+        ORDER BY sort_order ASC, created_at ASC
+        LIMIT 1
+      )
+      WHERE id = $1
+    `, [productId]);
+  }
+
+  static async lockProduct(client, productId) {
+    const result = await client.query('SELECT id FROM products WHERE id = $1 FOR UPDATE', [productId]);
+
+    if (result.rows.length === 0) {
+      throw new HttpError(404, 'Producto no encontrado');
+    }
+  }
+
+  // Agregar imágenes al final de la galería, o al principio con asPrimary
+  static async add(client, productId, images, { asPrimary = false } = {}) {
+    await ProductImage.lockProduct(client, productId);
+
+    const bounds = await client.query(`
+      SELECT COALESCE(MIN(sort_order), 0) as min_order, COALESCE(MAX(sort_order), -1) as max_order
+      FROM product_images
+      WHERE product_id = $1
+    `, [productId]);
+
+    let position = asPrimary
+      ? bounds.rows[0].min_order - images.length
+      : bounds.rows[0].max_order + 1;
+
+    const created = [];
+    for (const image of images) {
+      const result = await client.query(`
+        INSERT INTO product_images (product_id, url, variants, alt_text, sort_order)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id, url, variants, alt_text, sort_order, created_at
+      `, [
+        productId,
+        image.url,
+        image.variants ? JSON.stringify(image.variants) : null,
+        image.alt_text || null,
+        position++
+      ]);
+      created.push(ProductImage.format(result.rows[0]));
+    }
+
+    await ProductImage.syncPrimary(client, productId);
+    return created;
+  }
+
+  // Reordenar la galería. Debe recibir todos los IDs de imágenes del producto.
+  static async reorder(client, productId, imageIds) {
+    await ProductImage.lockProduct(client, productId);
+
+    const current = await ProductImage.listByProduct(productId, client);
+    const currentIds = current.map(image => image.id).sort();
+
+    if (imageIds.length !== currentIds.length ||
+      [...imageIds].sort().some((id, index) => id !== currentIds[index])) {
+      throw new HttpError(400, 'El orden debe incluir todas las imágenes del producto');
+    }
+
+    for (const [index, imageId] of imageIds.entries()) {
+      await client.query(
+        'UPDATE product_images SET sort_order = $1 WHERE id = $2',
+        [index, imageId]
+      );
+    }
+
+    await ProductImage.syncPrimary(client, productId);
+    return ProductImage.listByProduct(productId, client);
+  }
+
+  // Actualizar el texto alternativo de una imagen
+  static async updateAltText(productId, imageId, altText, db = database) {
+    const result = await db.query(`
+      UPDATE product_images
+      SET alt_text = $1
+      WHERE id = $2 AND product_id = $3
+      RETURNING id, url, variants, alt_text, sort_order, created_at
+    `, [altText, imageId, productId]);
+
+    return result.rows[0] ? ProductImage.format(result.rows[0]) : null;
+  }
+
+  // Quitar una imagen de la galería. Devuelve la imagen para borrar sus archivos.
+  static async remove(client, productId, imageId) {
+    await ProductImage.lockProduct(client, productId);
+
+    const result = await client.query(
+      'DELETE FROM product_images WHERE id = $1 AND product_id = $2 RETURNING url, variants',
+      [imageId, productId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    await ProductImage.syncPrimary(client, productId);
+    return result.rows[0];
+  }
+
+  // Archivos de un producto y sus variantes, para borrarlos junto con el producto
+  static async getProductFiles(productId, db = database) {
+    const result = await db.query(`
+      SELECT pi.url, pi.variants
+      FROM product_images pi
+      JOIN products p ON pi.product_id = p.id
+      WHERE p.id = $1 OR p.parent_id = $1
+      UNION ALL
+      SELECT image_url, NULL FROM products
+      WHERE (id = $1 OR parent_id = $1) AND image_url IS NOT NULL
+    `, [productId]);
+
+    return [...new Set(result.rows.flatMap(ProductImage.getImageFiles))];
+  }
+}
+
+module.exports = ProductImage;
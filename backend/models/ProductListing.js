@@ -0,0 +1,171 @@
+// models/ProductListing.js
+const database = require('../config/database');
+const config = require('../config/config');
+const Bundle = require('./Bundle');
+const ProductFilters = require('./ProductFilters');
+const ProductImage = require('./ProductImage');
+const ProductSearch = require('./ProductSearch');
+const Review = require('./Review');
+const { HttpError } = require('../utils/httpError');
+
+// Unidades vendidas por producto en órdenes pagas. Las ventas de una variante
+// cuentan para su producto padre, que es el que aparece en el listado.
+const SALES_JOIN = `
+  LEFT JOIN (
+    SELECT COALESCE(sp.parent_id, oi.product_id) as product_id, SUM(oi.quantity)::int as units_sold
+    FROM order_items oi
+    JOIN orders o ON oi.order_id = o.id
+    JOIN products sp ON oi.product_id = sp.id
+    WHERE o.status IN ('pagado', 'enviado', 'entregado')
+    GROUP BY COALESCE(sp.parent_id, oi.product_id)
+  ) sales ON sales.product_id = p.id
+`;
+
+// Órdenes permitidas. type es el tipo SQL del valor guardado en el cursor.
+// relevance toma su expresión de la búsqueda (ProductSearch.rankSql).
+const SORTS = {
+  newest: { sql: 'p.created_at', type: 'timestamptz', direction: 'DESC' },
+  price: { sql: `COALESCE(${ProductFilters.LISTING_PRICE_SQL}, p.price)`, type: 'numeric', direction: 'ASC' },
+  name: { sql: 'p.name', type: 'text', direction: 'ASC' },
+  best_selling: { sql: 'COALESCE(sales.units_sold, 0)', type: 'int', direction: 'DESC', join: SALES_JOIN },
+  // Los productos sin reseñas quedan al final
+  rating: { sql: 'COALESCE(pr.average_rating, 0)', type: 'numeric', direction: 'DESC' },
+  relevance: { sql: null, type: 'real', direction: 'DESC' }
+};
+
+// Nombres anteriores de sortBy que siguen aceptándose
+const SORT_ALIASES = { created_at: 'newest' };
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class ProductListing {
+  static getSortKeys() {
+    return [...Object.keys(SORTS), ...Object.keys(SORT_ALIASES)];
+  }
+
+  // Orden a aplicar. Sin sortBy se ordena por relevancia si hay búsqueda y si no
+  // por más nuevos; relevance sin búsqueda también cae en más nuevos.
+  static resolveSort({ sortBy, sortOrder }, relevanceSql) {
+    let key = SORT_ALIASES[sortBy] || sortBy || (relevanceSql ? 'relevance' : 'newest');
+    if (key === 'relevance' && !relevanceSql) {
+      key = 'newest';
+    }
+
+    const sort = SORTS[key];
+    return {
+      ...sort,
+      key,
+      sql: key === 'relevance' ? relevanceSql : sort.sql,
+      direction: sortOrder ? sortOrder.toUpperCase() : sort.direction
+    };
+  }
+
+  // Tamaño de página pedido, acotado al máximo configurado
+  static getLimit(limit) {
+    return Math.min(parseInt(limit) || config.catalog.defaultPageSize, config.catalog.maxPageSize);
+  }
+
+  // El cursor apunta al último producto entregado: su valor de orden y su ID
+  static encodeCursor(sort, row) {
+    return Buffer.from(JSON.stringify({
+      sort: sort.key,
+      direction: sort.direction,
+      value: row.sort_value,
+      id: row.id
+    })).toString('base64url');
+  }
+
+  static decodeCursor(cursor, sort) {
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new HttpError(400, 'Cursor inválido');
+    }
+
+    if (!decoded || !UUID_PATTERN.test(decoded.id) || typeof decoded.value !== 'string') {
+      throw new HttpError(400, 'Cursor inválido');
+    }
+
+    if (decoded.sort !== sort.key || decoded.direction !== sort.direction) {
+      throw new HttpError(400, 'El cursor corresponde a otro orden');
+    }
+
+    return decoded;
+  }
+
+  // Página de productos del listado. Con cursor se continúa después del último
+  // producto entregado (keyset) en lugar de usar OFFSET, para scroll infinito.
+  static async list(params, db = database) {
+    const filters = ProductFilters.fromQuery(params);
+    const where = ProductFilters.toWhere(filters);
+    const values = [...where.values];
+    const next = (value) => {
+      values.push(value);
+      return `$${values.length}`;
+    };
+
+    const relevanceSql = params.search ? ProductSearch.rankSql(next(params.search.trim())) : null;
+    const sort = ProductListing.resolveSort(params, relevanceSql);
+    const limit = ProductListing.getLimit(params.limit);
+    const page = parseInt(params.page) || 1;
+
+    const conditions = [where.sql];
+    if (params.cursor) {
+      const cursor = ProductListing.decodeCursor(params.cursor, sort);
+      // El ID desempata productos con el mismo valor de orden
+      conditions.push(`(${sort.sql}, p.id) ${sort.direction === 'ASC' ? '>' : '<'} (${next(cursor.value)}::${sort.type}, ${next(cursor.id)}::uuid)`);
+    }
+
+    const offset = params.cursor ? 0 : (page - 1) * limit;
+
+    // Se pide un producto de más para saber si hay otra tanda
+    const sql = `
+      SELECT
+        p.id, p.name, p.description, p.price, p.image_url, p.brand,
+        p.status, p.product_type, p.stock, p.sku, p.is_featured, p.is_bundle,
+        p.created_at, p.updated_at,
+        ${ProductFilters.LISTING_STOCK_SQL} as available_stock,
+        ${Bundle.COMPONENTS_PRICE_SQL} as components_price,
+        pv.variant_count, pv.min_price, pv.max_price,
+        pr.average_rating, COALESCE(pr.review_count, 0) as review_count,
+        (
+          SELECT pi.variants FROM product_images pi
+          WHERE pi.product_id = p.id
+          ORDER BY pi.sort_order ASC, pi.created_at ASC
+          LIMIT 1
+        ) as image_variants,
+        ${relevanceSql || 'NULL'} as relevance,
+        (${sort.sql})::text as sort_value,
+        c.name as category_name, c.slug as category_slug
+      ${ProductFilters.LISTING_FROM}
+      ${Review.RATINGS_JOIN}
+      ${sort.join || ''}
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY ${sort.sql} ${sort.direction}, p.id ${sort.direction}
+      LIMIT ${next(limit + 1)} OFFSET ${next(offset)}
+    `;
+
+    const [result, countResult] = await Promise.all([
+      db.query(sql, values),
+      db.query(`SELECT COUNT(*) as total ${ProductFilters.LISTING_FROM} WHERE ${where.sql}`, where.values)
+    ]);
+
+    const rows = result.rows.slice(0, limit);
+    const hasMore = result.rows.length > limit;
+
+    return {
+      products: rows.map(({ image_variants: imageVariants, sort_value: sortValue, ...product }) => ({
+        ...product,
+        image_srcset: ProductImage.buildSrcset(imageVariants)
+      })),
+      total: parseInt(countResult.rows[0].total),
+      page,
+      limit,
+      sort: sort.key,
+      nextCursor: hasMore ? ProductListing.encodeCursor(sort, rows[rows.length - 1]) : null
+    };
+  }
+}
+
+module.exports = ProductListing;
@@ -0,0 +1,115 @@
+// models/ProductSearch.js
+const database = require('../config/database');
+
+// Fragmentos SQL de búsqueda de texto sobre products p. Reciben el placeholder
+// del término buscado (por ejemplo '$3').
+//
+// - search_vector: nombre, SKU y descripción con la configuración es_unaccent
+//   (español con stemming y sin acentos), indexado con GIN.
+// - Trigramas sobre el nombre sin acentos para tolerar errores de tipeo en
+//   modelos de hardware ("rtx 4090 gamming").
+const TS_QUERY = (param) => `websearch_to_tsquery('es_unaccent', ${param})`;
+const NORMALIZED_TERM = (param) => `f_unaccent(lower(${param}))`;
+const NORMALIZED_NAME = 'f_unaccent(lower(p.name))';
+
+// Columnas de products que se devuelven en las respuestas. search_vector queda
+// afuera: solo sirve para buscar.
+const PRODUCT_COLUMNS = [
+  'id', 'name', 'description', 'price', 'category_id', 'image_url', 'status',
+  'product_type', 'stock', 'sku', 'brand', 'weight', 'dimensions', 'iva_rate',
+  'is_bundle', 'parent_id', 'variant_options', 'option_values', 'price_override',
+  'is_featured', 'created_at', 'updated_at'
+];
+
+class ProductSearch {
+  // Condición de coincidencia: texto completo, nombre parecido o SKU de una variante.
+  // likeParam recibe el patrón armado con likeContains.
+  static matchSql(param, likeParam) {
+    return `(
+      p.search_vector @@ ${TS_QUERY(param)}
+      OR ${NORMALIZED_TERM(param)} <% ${NORMALIZED_NAME}
+      OR EXISTS (
+        SELECT 1 FROM products v
+        WHERE v.parent_id = p.id AND v.sku ILIKE ${likeParam} ESCAPE '\\'
+      )
+    )`;
+  }
+
+  // Lista de columnas para SELECT o RETURNING, con el alias de la tabla si se indica
+  static columnsSql(alias = null) {
+    return PRODUCT_COLUMNS.map(column => alias ? `${alias}.${column}` : column).join(', ');
+  }
+
+  // Relevancia: ranking de texto completo más la similitud del nombre
+  static rankSql(param) {
+    return `(
+      ts_rank_cd(p.search_vector, ${TS_QUERY(param)})
+      + word_similarity(${NORMALIZED_TERM(param)}, ${NORMALIZED_NAME})
+    )`;
+  }
+
+  // Consulta de prefijos para autocompletar: "teclado mec" -> 'teclado:* & mec:*'.
+  // Se descartan los signos para que to_tsquery no falle con lo que se va tipeando.
+  static buildPrefixQuery(term) {
+    return term
+      .split(/\s+/)
+      .map(word => word.replace(/[^\p{L}\p{N}]/gu, ''))
+      .filter(Boolean)
+      .map(word => `${word}:*`)
+      .join(' & ');
+  }
+
+  // Escapar los comodines de LIKE en el texto tipeado
+  static escapeLike(term) {
+    return term.replace(/[\\%_]/g, '\\$&');
+  }
+
+  // Patrón LIKE que busca el texto en cualquier posición
+  static likeContains(term) {
+    return `%${ProductSearch.escapeLike(term)}%`;
+  }
+
+  // Sugerencias mientras se tipea: nombres de productos, categorías y SKUs
+  static async suggest(term, limit, db = database) {
+    const prefixQuery = ProductSearch.buildPrefixQuery(term);
+    const likePrefix = `${ProductSearch.escapeLike(term)}%`;
+
+    const [products, categories, skus] = await Promise.all([
+      prefixQuery
+        ? db.query(`
+          SELECT p.id, p.name, p.price, p.image_url
+          FROM products p
+          WHERE p.parent_id IS NULL
+            AND p.status = 'disponible'
+            AND p.search_vector @@ to_tsquery('es_unaccent', $1)
+          ORDER BY ts_rank_cd(p.search_vector, to_tsquery('es_unaccent', $1)) DESC, p.name ASC
+          LIMIT $2
+        `, [prefixQuery, limit])
+        : { rows: [] },
+      db.query(`
+        SELECT c.name, c.slug
+        FROM categories c
+        WHERE f_unaccent(lower(c.name)) LIKE f_unaccent(lower($1)) ESCAPE '\\'
+        ORDER BY c.name ASC
+        LIMIT $2
+      `, [likePrefix, limit]),
+      db.query(`
+        SELECT p.sku, p.name, COALESCE(p.parent_id, p.id) as product_id
+        FROM products p
+        WHERE p.sku ILIKE $1 ESCAPE '\\' AND p.status <> 'descontinuado'
+        ORDER BY p.sku ASC
+        LIMIT $2
+      `, [likePrefix, limit])
+    ]);
+
+    return {
+      products: products.rows,
+      categories: categories.rows,
+      skus: skus.rows
+    };
+  }
+}
+
+ProductSearch.PRODUCT_COLUMNS = PRODUCT_COLUMNS;
+
+module.exports = ProductSearch;
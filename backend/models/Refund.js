@@ -0,0 +1,275 @@
+// models/Refund.js
+const database = require('../config/database');
+const MercadoPagoService = require('../config/mercadopago');
+const Order = require('./Order');
+const Product = require('./Product');
+const { HttpError } = require('../utils/httpError');
+
+// Estados de orden en los que el stock ya fue descontado
+const STOCK_DECREMENTED_STATUSES = ['pagado', 'enviado', 'entregado'];
+
+// Estado del reembolso según la respuesta de MercadoPago; el resto sigue en proceso
+const GATEWAY_REFUND_STATUSES = {
+  approved: 'approved',
+  rejected: 'rejected',
+  cancelled: 'cancelled'
+};
+
+// Espera antes de consultar un reembolso en curso, para no cruzarse con su alta
+const PENDING_GRACE_MINUTES = 2;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+class Refund {
+  // Registrar un reembolso pendiente validando los montos disponibles
+  static async createPending(client, { orderId, amount, items, reason, actorId }) {
+    const orderResult = await client.query(
+      'SELECT * FROM orders WHERE id = $1 FOR UPDATE',
+      [orderId]
+    );
+
+    if (orderResult.rows.length === 0) {
+      throw new HttpError(404, 'Orden no encontrada');
+    }
+
+    const order = orderResult.rows[0];
+
+    const paymentResult = await client.query(`
+      SELECT * FROM payments
+      WHERE order_id = $1 AND status IN ('approved', 'partially_refunded')
+      ORDER BY created_at DESC
+      LIMIT 1
+      FOR UPDATE
+    `, [orderId]);
+
+    if (paymentResult.rows.length === 0) {
+      throw new HttpError(409, 'La orden no tiene pagos aprobados para reembolsar');
+    }
+
+    const payment = paymentResult.rows[0];
+
+    // Los reembolsos en curso también reducen el saldo reembolsable
+    const pendingResult = await client.query(
+      "SELECT COALESCE(SUM(amount), 0) as pending FROM refunds WHERE payment_id = $1 AND status = 'pending'",
+      [payment.id]
+    );
+
+    const refundable = roundAmount(
+      parseFloat(payment.amount) - parseFloat(payment.refunded_amount) - parseFloat(pendingResult.rows[0].pending)
+    );
+
+    let refundAmount = amount !== null && amount !== undefined ? roundAmount(parseFloat(amount)) : null;
+
+    // Reembolso por items: el monto sale de los precios de la orden, descuento incluido
+    if (items && items.length > 0) {
+      const orderItems = await client.query(
+        'SELECT product_id, quantity, total_price, discount_amount FROM order_items WHERE order_id = $1',
+        [orderId]
+      );
+      const lines = new Map(orderItems.rows.map(line => [line.product_id, line]));
+      let itemsAmount = 0;
+
+      for (const item of items) {
+        const line = lines.get(item.product_id);
+        if (!line || parseInt(item.quantity) > line.quantity) {
+          throw new HttpError(400, 'Los items a reembolsar no coinciden con la orden');
+        }
+        const paidUnitPrice = (parseFloat(line.total_price) - parseFloat(line.discount_amount)) / line.quantity;
+        itemsAmount += paidUnitPrice * parseInt(item.quantity);
+      }
+
+      if (refundAmount === null) {
+        refundAmount = roundAmount(itemsAmount);
+      }
+    }
+
+    if (refundAmount === null) {
+      refundAmount = refundable;
+    }
+
+    if (refundAmount <= 0 || refundAmount > refundable) {
+      throw new HttpError(400, `El monto a reembolsar debe ser mayor a 0 y no superar ${refundable}`);
+    }
+
+    const result = await client.query(`
+      INSERT INTO refunds (order_id, payment_id, amount, is_total, items, reason, requested_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [
+      orderId,
+      payment.id,
+      refundAmount,
+      refundAmount === refundable,
+      items && items.length > 0 ? JSON.stringify(items) : null,
+      reason,
+      actorId
+    ]);
+
+    return { refund: result.rows[0], order, payment };
+  }
+
+  // Aplicar un reembolso aprobado: saldo del pago, stock y estado de la orden
+  static async applyApproved(client, refund, { actorType, actorId }) {
+    const paymentResult = await client.query(`
+      UPDATE payments
+      SET refunded_amount = refunded_amount + $1
+      WHERE id = $2
+      RETURNING amount, refunded_amount
+    `, [refund.amount, refund.payment_id]);
+
+    const payment = paymentResult.rows[0];
+    const fullyRefunded = parseFloat(payment.refunded_amount) >= parseFloat(payment.amount);
+
+    await client.query(
+      'UPDATE payments SET status = $1 WHERE id = $2',
+      [fullyRefunded ? 'refunded' : 'partially_refunded', refund.payment_id]
+    );
+
+    const orderResult = await client.query(
+      'SELECT status FROM orders WHERE id = $1 FOR UPDATE',
+      [refund.order_id]
+    );
+    const orderStatus = orderResult.rows[0].status;
+
+    if (!STOCK_DECREMENTED_STATUSES.includes(orderStatus)) {
+      return;
+    }
+
+    if (refund.is_total && orderStatus === 'pagado') {
+      // Cancelar la orden repone todo el stock pendiente
+      await Order.transition(client, refund.order_id, 'cancelado', {
+        actorType,
+        actorId,
+        reason: refund.reason || 'Reembolso total'
+      });
+    } else if (refund.is_total) {
+      await Product.restockOrderItems(client, refund.order_id);
+    } else if (refund.items) {
+      await Product.restockOrderItems(client, refund.order_id, refund.items);
+    }
+  }
+
+  // Procesar un reembolso completo: registro, pasarela y aplicación
+  static async process({ orderId, amount = null, items = null, reason = null, actorType, actorId = null }) {
+    const { refund, order, payment } = await database.transaction((client) =>
+      Refund.createPending(client, { orderId, amount, items, reason, actorId })
+    );
+
+    let status = 'approved';
+    let gatewayResponse = { type: 'manual' };
+
+    // Los pagos manuales se reembolsan fuera del sistema
+    if (payment.payment_method === 'mercadopago' && order.payment_id) {
+      try {
+        gatewayResponse = await MercadoPagoService.refundPayment(
+          order.payment_id,
+          refund.is_total ? null : refund.amount,
+          refund.id
+        );
+        status = gatewayResponse.status === 'approved' ? 'approved' : 'pending';
+      } catch (error) {
+        await database.query(
+          "UPDATE refunds SET status = 'rejected', gateway_response = $1 WHERE id = $2",
+          [JSON.stringify({ error: error.message }), refund.id]
+        );
+        throw new HttpError(502, 'MercadoPago no pudo procesar el reembolso');
+      }
+    }
+
+    return database.transaction((client) =>
+      Refund.resolve(client, refund.id, status, gatewayResponse, { actorType, actorId })
+    );
+  }
+
+  // Guardar la respuesta de la pasarela y, si quedó aprobado, aplicar el reembolso.
+  // Solo se resuelven reembolsos pendientes: si otro proceso ya lo resolvió se
+  // devuelve el registro tal como está.
+  static async resolve(client, refundId, status, gatewayResponse, { actorType, actorId = null }) {
+    const result = await client.query(`
+      UPDATE refunds
+      SET status = $1, external_id = COALESCE($2, external_id), gateway_response = $3
+      WHERE id = $4 AND status = 'pending'
+      RETURNING *
+    `, [status, gatewayResponse.refund_id || null, JSON.stringify(gatewayResponse), refundId]);
+
+    if (result.rows.length === 0) {
+      const current = await client.query('SELECT * FROM refunds WHERE id = $1', [refundId]);
+      return current.rows[0];
+    }
+
+    const updated = result.rows[0];
+
+    if (status === 'approved') {
+      await Refund.applyApproved(client, updated, { actorType, actorId });
+    }
+
+    return updated;
+  }
+
+  // Consultar en MercadoPago los reembolsos que quedaron en proceso y aplicar
+  // los aprobados. Los que no llegaron a crearse se reintentan con la misma
+  // clave de idempotencia, así la pasarela no los duplica.
+  static async reconcilePending(limit = 20) {
+    const result = await database.query(`
+      SELECT r.id, r.amount, r.is_total, r.external_id, o.payment_id as gateway_payment_id
+      FROM refunds r
+      JOIN payments p ON r.payment_id = p.id
+      JOIN orders o ON r.order_id = o.id
+      WHERE r.status = 'pending'
+        AND p.payment_method = 'mercadopago'
+        AND o.payment_id IS NOT NULL
+        AND r.updated_at < CURRENT_TIMESTAMP - make_interval(mins => $2)
+      ORDER BY r.created_at ASC
+      LIMIT $1
+    `, [limit, PENDING_GRACE_MINUTES]);
+
+    let resolved = 0;
+
+    for (const refund of result.rows) {
+      let gatewayResponse;
+      try {
+        gatewayResponse = refund.external_id
+          ? await MercadoPagoService.getRefund(refund.gateway_payment_id, refund.external_id)
+          : await MercadoPagoService.refundPayment(
+            refund.gateway_payment_id,
+            refund.is_total ? null : refund.amount,
+            refund.id
+          );
+      } catch (error) {
+        if (!refund.external_id) {
+          await database.query(
+            "UPDATE refunds SET status = 'rejected', gateway_response = $1 WHERE id = $2 AND status = 'pending'",
+            [JSON.stringify({ error: error.message }), refund.id]
+          );
+        }
+        continue;
+      }
+
+      const status = GATEWAY_REFUND_STATUSES[gatewayResponse.status] || 'pending';
+
+      const updated = await database.transaction((client) =>
+        Refund.resolve(client, refund.id, status, gatewayResponse, { actorType: 'mercadopago' })
+      );
+
+      if (updated.status !== 'pending') {
+        resolved++;
+      }
+    }
+
+    return resolved;
+  }
+
+  // Reembolsos registrados para una orden
+  static async findByOrder(orderId, db = database) {
+    const result = await db.query(`
+      SELECT id, payment_id, amount, is_total, items, status, reason, external_id, created_at, updated_at
+      FROM refunds
+      WHERE order_id = $1
+      ORDER BY created_at DESC
+    `, [orderId]);
+
+    return result.rows;
+  }
+}
+
+module.exports = Refund;
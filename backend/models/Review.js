@@ -0,0 +1,225 @@
+// models/Review.js
+const database = require('../config/database');
+const { HttpError } = require('../utils/httpError');
+
+const REVIEW_STATUSES = ['pending', 'approved', 'hidden'];
+
+// Solo puede opinar quien pagó el producto, aunque todavía no lo haya recibido
+const PURCHASE_STATUSES = ['pagado', 'enviado', 'entregado'];
+
+// Promedio y cantidad de reseñas aprobadas de products p. Las reseñas se guardan
+// en el producto padre, así que una variante muestra las de su padre.
+const RATINGS_JOIN = `
+  LEFT JOIN (
+    SELECT product_id, ROUND(AVG(rating), 2) as average_rating, COUNT(*)::int as review_count
+    FROM reviews
+    WHERE status = 'approved'
+    GROUP BY product_id
+  ) pr ON pr.product_id = COALESCE(p.parent_id, p.id)
+`;
+
+const REVIEW_SORTS = {
+  recent: 'r.created_at DESC',
+  helpful: 'r.helpful_count DESC, r.created_at DESC',
+  rating_desc: 'r.rating DESC, r.created_at DESC',
+  rating_asc: 'r.rating ASC, r.created_at DESC'
+};
+
+class Review {
+  // Producto al que se asignan las reseñas: el padre si es una variante
+  static async getReviewableProductId(productId, db = database) {
+    const result = await db.query(
+      'SELECT COALESCE(parent_id, id) as id FROM products WHERE id = $1',
+      [productId]
+    );
+
+    return result.rows.length > 0 ? result.rows[0].id : null;
+  }
+
+  // Orden más reciente del usuario que incluye el producto o alguna de sus variantes
+  static async findPurchaseOrderId(userId, productId, db = database) {
+    const result = await db.query(`
+      SELECT o.id
+      FROM orders o
+      JOIN order_items oi ON oi.order_id = o.id
+      JOIN products p ON oi.product_id = p.id
+      WHERE o.user_id = $1
+        AND COALESCE(p.parent_id, p.id) = $2
+        AND o.status = ANY($3::text[])
+      ORDER BY o.created_at DESC
+      LIMIT 1
+    `, [userId, productId, PURCHASE_STATUSES]);
+
+    return result.rows.length > 0 ? result.rows[0].id : null;
+  }
+
+  // Crear una reseña. Queda pendiente hasta que la apruebe un administrador.
+  static async create(client, userId, productId, { rating, title = null, comment = null }) {
+    const reviewableId = await Review.getReviewableProductId(productId, client);
+    if (!reviewableId) {
+      throw new HttpError(404, 'Producto no encontrado');
+    }
+
+    const orderId = await Review.findPurchaseOrderId(userId, reviewableId, client);
+    if (!orderId) {
+      throw new HttpError(403, 'Solo pueden opinar quienes compraron el producto');
+    }
+
+    const existing = await client.query(
+      'SELECT id FROM reviews WHERE product_id = $1 AND user_id = $2',
+      [reviewableId, userId]
+    );
+    if (existing.rows.length > 0) {
+      throw new HttpError(409, 'Ya publicaste una reseña de este producto');
+    }
+
+    const result = await client.query(`
+      INSERT INTO reviews (product_id, user_id, order_id, rating, title, comment)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [reviewableId, userId, orderId, rating, title, comment]);
+
+    return result.rows[0];
+  }
+
+  // Reseñas aprobadas de un producto, con el resumen de calificaciones
+  static async listByProduct(productId, { sort = 'recent', page = 1, limit = 10 } = {}, db = database) {
+    const reviewableId = await Review.getReviewableProductId(productId, db);
+    if (!reviewableId) {
+      return null;
+    }
+
+    const offset = (page - 1) * limit;
+
+    const [reviews, summary] = await Promise.all([
+      db.query(`
+        SELECT r.id, r.rating, r.title, r.comment, r.helpful_count,
+               r.admin_reply, r.replied_at, r.created_at, u.name as user_name
+        FROM reviews r
+        JOIN users u ON r.user_id = u.id
+        WHERE r.product_id = $1 AND r.status = 'approved'
+        ORDER BY ${REVIEW_SORTS[sort] || REVIEW_SORTS.recent}
+        LIMIT $2 OFFSET $3
+      `, [reviewableId, limit, offset]),
+      Review.getSummary(reviewableId, db)
+    ]);
+
+    return { reviews: reviews.rows, summary, page, limit };
+  }
+
+  // Promedio, cantidad y reseñas por cantidad de estrellas
+  static async getSummary(productId, db = database) {
+    const result = await db.query(`
+      SELECT rating, COUNT(*)::int as count
+      FROM reviews
+      WHERE product_id = $1 AND status = 'approved'
+      GROUP BY rating
+    `, [productId]);
+
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let total = 0;
+    let sum = 0;
+
+    for (const row of result.rows) {
+      distribution[row.rating] = row.count;
+      total += row.count;
+      sum += row.rating * row.count;
+    }
+
+    return {
+      average_rating: total > 0 ? Math.round((sum / total) * 100) / 100 : null,
+      review_count: total,
+      distribution
+    };
+  }
+
+  // Marcar o desmarcar una reseña como útil. No se puede votar la propia.
+  static async toggleHelpful(client, reviewId, userId) {
+    const result = await client.query(
+      'SELECT user_id, status FROM reviews WHERE id = $1 FOR UPDATE',
+      [reviewId]
+    );
+    const review = result.rows[0];
+
+    if (!review || review.status !== 'approved') {
+      throw new HttpError(404, 'Reseña no encontrada');
+    }
+
+    if (review.user_id === userId) {
+      throw new HttpError(400, 'No podés votar tu propia reseña');
+    }
+
+    const removed = await client.query(
+      'DELETE FROM review_votes WHERE review_id = $1 AND user_id = $2 RETURNING review_id',
+      [reviewId, userId]
+    );
+    const helpful = removed.rows.length === 0;
+
+    if (helpful) {
+      await client.query(
+        'INSERT INTO review_votes (review_id, user_id) VALUES ($1, $2)',
+        [reviewId, userId]
+      );
+    }
+
+    const updated = await client.query(`
+      UPDATE reviews
+      SET helpful_count = (SELECT COUNT(*) FROM review_votes WHERE review_id = $1)
+      WHERE id = $1
+      RETURNING helpful_count
+    `, [reviewId]);
+
+    return { helpful, helpful_count: updated.rows[0].helpful_count };
+  }
+
+  // Reseñas para moderar, las más antiguas primero
+  static async listForModeration({ status = 'pending', page = 1, limit = 20 } = {}, db = database) {
+    const offset = (page - 1) * limit;
+
+    const result = await db.query(`
+      SELECT r.*, u.name as user_name, u.email as user_email, p.name as product_name,
+             COUNT(*) OVER()::int as total
+      FROM reviews r
+      JOIN users u ON r.user_id = u.id
+      JOIN products p ON r.product_id = p.id
+      WHERE r.status = $1
+      ORDER BY r.created_at ASC
+      LIMIT $2 OFFSET $3
+    `, [status, limit, offset]);
+
+    return {
+      reviews: result.rows.map(({ total, ...review }) => review),
+      total: result.rows.length > 0 ? result.rows[0].total : 0,
+      page,
+      limit
+    };
+  }
+
+  static async setStatus(reviewId, status, db = database) {
+    const result = await db.query(
+      'UPDATE reviews SET status = $1 WHERE id = $2 RETURNING *',
+      [status, reviewId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Respuesta pública del comercio. null la elimina.
+  static async reply(reviewId, reply, db = database) {
+    const result = await db.query(`
+      UPDATE reviews
+      SET admin_reply = $1,
+          replied_at = CASE WHEN $1::text IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END
+      WHERE id = $2
+      RETURNING *
+    `, [reply, reviewId]);
+
+    return result.rows[0] || null;
+  }
+}
+
+Review.REVIEW_STATUSES = REVIEW_STATUSES;
+Review.REVIEW_SORTS = REVIEW_SORTS;
+Review.RATINGS_JOIN = RATINGS_JOIN;
+
+module.exports = Review;
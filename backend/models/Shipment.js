@@ -0,0 +1,191 @@
+// models/Shipment.js
+const database = require('../config/database');
+const { getCarrier } = require('../config/carriers');
+const Order = require('./Order');
+const { HttpError } = require('../utils/httpError');
+
+// Estado del envío según el último evento del transportista
+const SHIPMENT_STATUS_BY_EVENT = {
+  label_created: 'created',
+  picked_up: 'in_transit',
+  in_transit: 'in_transit',
+  out_for_delivery: 'in_transit',
+  delivered: 'delivered',
+  exception: 'exception',
+  cancelled: 'cancelled'
+};
+
+// Eventos que indican que el paquete ya salió del local
+const DISPATCHED_EVENTS = ['picked_up', 'in_transit', 'out_for_delivery', 'delivered'];
+
+class Shipment {
+  // Envío activo de una orden
+  static async findActiveByOrder(orderId, db = database) {
+    const result = await db.query(`
+      SELECT * FROM shipments
+      WHERE order_id = $1 AND status <> 'cancelled'
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [orderId]);
+
+    return result.rows[0] || null;
+  }
+
+  // Generar la etiqueta con el transportista y registrar el envío
+  static async create(orderId, carrierName) {
+    const orderResult = await database.query(
+      'SELECT id, status, shipping_method FROM orders WHERE id = $1',
+      [orderId]
+    );
+
+    if (orderResult.rows.length === 0) {
+      throw new HttpError(404, 'Orden no encontrada');
+    }
+
+    const order = orderResult.rows[0];
+
+    if (order.status !== 'pagado') {
+      throw new HttpError(409, 'Solo se pueden despachar órdenes pagadas');
+    }
+
+    if (order.shipping_method === 'retiro') {
+      throw new HttpError(409, 'La orden se retira en el local');
+    }
+
+    if (await Shipment.findActiveByOrder(orderId)) {
+      throw new HttpError(409, 'La orden ya tiene un envío activo');
+    }
+
+    let carrier;
+    try {
+      carrier = getCarrier(carrierName);
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+
+    const label = await carrier.createLabel({ order_id: orderId });
+
+    return database.transaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO shipments (order_id, carrier, tracking_number, label_url)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `, [orderId, carrier.name, label.tracking_number, label.label_url]);
+
+      await client.query(
+        'UPDATE orders SET tracking_number = $1 WHERE id = $2',
+        [label.tracking_number, orderId]
+      );
+
+      return result.rows[0];
+    });
+  }
+
+  // Cancelar el envío activo de una orden antes del despacho
+  static async cancel(orderId) {
+    const shipment = await Shipment.findActiveByOrder(orderId);
+
+    if (!shipment) {
+      throw new HttpError(404, 'La orden no tiene un envío activo');
+    }
+
+    if (shipment.status !== 'created') {
+      throw new HttpError(409, 'El envío ya fue despachado y no se puede cancelar');
+    }
+
+    await getCarrier(shipment.carrier).cancel(shipment.tracking_number);
+
+    await database.transaction(async (client) => {
+      await client.query(
+        "UPDATE shipments SET status = 'cancelled' WHERE id = $1",
+        [shipment.id]
+      );
+      await client.query(
+        'UPDATE orders SET tracking_number = NULL WHERE id = $1',
+        [orderId]
+      );
+    });
+  }
+
+  // Consultar eventos del transportista, guardarlos y avanzar la orden.
+  // Al despachar la orden pasa a enviado y al entregar a entregado.
+  static async sync(shipment) {
+    const events = await getCarrier(shipment.carrier).getTrackingEvents(shipment.tracking_number);
+
+    return database.transaction(async (client) => {
+      for (const event of events) {
+        await client.query(`
+          INSERT INTO tracking_events (shipment_id, status, description, location, occurred_at)
+          VALUES ($1, $2, $3, $4, $5)
+          ON CONFLICT (shipment_id, status, occurred_at) DO NOTHING
+        `, [shipment.id, event.status, event.description, event.location, event.occurred_at]);
+      }
+
+      const latest = events
+        .slice()
+        .sort((a, b) => new Date(a.occurred_at) - new Date(b.occurred_at))
+        .pop();
+
+      const status = latest ? SHIPMENT_STATUS_BY_EVENT[latest.status] || shipment.status : shipment.status;
+      const delivered = events.find(event => event.status === 'delivered');
+
+      const result = await client.query(`
+        UPDATE shipments
+        SET status = $1, delivered_at = $2, last_synced_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+        RETURNING *
+      `, [status, delivered ? delivered.occurred_at : null, shipment.id]);
+
+      if (events.some(event => DISPATCHED_EVENTS.includes(event.status))) {
+        await Order.transition(client, shipment.order_id, 'enviado', {
+          actorType: 'carrier',
+          reason: `Despachado con ${shipment.carrier} (${shipment.tracking_number})`,
+          onlyFrom: ['pagado']
+        });
+      }
+
+      if (delivered) {
+        await Order.transition(client, shipment.order_id, 'entregado', {
+          actorType: 'carrier',
+          reason: `Entregado por ${shipment.carrier}`,
+          onlyFrom: ['enviado']
+        });
+      }
+
+      return result.rows[0];
+    });
+  }
+
+  // Sincronizar todos los envíos en curso
+  static async syncActive() {
+    const result = await database.query(
+      "SELECT * FROM shipments WHERE status IN ('created', 'in_transit', 'exception')"
+    );
+
+    let synced = 0;
+    for (const shipment of result.rows) {
+      try {
+        await Shipment.sync(shipment);
+        synced++;
+      } catch (error) {
+        console.error(`Error sincronizando envío ${shipment.tracking_number}:`, error);
+      }
+    }
+
+    return synced;
+  }
+
+  // Eventos de seguimiento de un envío en orden cronológico
+  static async getEvents(shipmentId, db = database) {
+    const result = await db.query(`
+      SELECT status, description, location, occurred_at
+      FROM tracking_events
+      WHERE shipment_id = $1
+      ORDER BY occurred_at ASC
+    `, [shipmentId]);
+
+    return result.rows;
+  }
+}
+
+module.exports = Shipment;
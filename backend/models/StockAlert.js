@@ -0,0 +1,148 @@
+// models/StockAlert.js
+const crypto = require('crypto');
+const database = require('../config/database');
+const config = require('../config/config');
+const EmailOutbox = require('./EmailOutbox');
+const StockReservation = require('./StockReservation');
+const Variant = require('./Variant');
+const { HttpError } = require('../utils/httpError');
+
+class StockAlert {
+  // Suscribir un email al aviso de reposición de un producto sin stock.
+  // Si ya hay una suscripción activa para ese email se devuelve la misma.
+  static async subscribe(client, { productId, email, userId = null }) {
+    const productResult = await client.query(`
+      SELECT
+        p.id, p.name, p.status, p.parent_id,
+        CASE WHEN pv.variant_count > 0 THEN pv.available_stock
+          ELSE ${StockReservation.AVAILABLE_STOCK_SQL} END as available_stock
+      FROM products p
+      ${StockReservation.RESERVED_STOCK_JOIN}
+      ${Variant.VARIANTS_SUMMARY_JOIN}
+      WHERE p.id = $1
+    `, [productId]);
+    const product = productResult.rows[0];
+
+    if (!product) {
+      throw new HttpError(404, 'Producto no encontrado');
+    }
+
+    if (product.status === 'descontinuado') {
+      throw new HttpError(400, `${product.name} ya no se vende`);
+    }
+
+    if (product.status === 'disponible' && product.available_stock > 0) {
+      throw new HttpError(400, `${product.name} tiene stock disponible`);
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+
+    const existing = await client.query(`
+      SELECT id, product_id, email, status, created_at FROM stock_subscriptions
+      WHERE product_id = $1 AND email = $2 AND status = 'active'
+    `, [productId, normalizedEmail]);
+
+    if (existing.rows.length > 0) {
+      return { subscription: existing.rows[0], created: false };
+    }
+
+    const result = await client.query(`
+      INSERT INTO stock_subscriptions (product_id, user_id, email, unsubscribe_token)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id, product_id, email, status, created_at
+    `, [productId, userId, normalizedEmail, crypto.randomBytes(24).toString('hex')]);
+
+    return { subscription: result.rows[0], created: true };
+  }
+
+  // Dar de baja una suscripción desde el enlace del aviso.
+  // Un aviso encolado que todavía no salió se cancela.
+  static async unsubscribe(token, db = database) {
+    const result = await db.query(`
+      WITH unsubscribed AS (
+        UPDATE stock_subscriptions
+        SET status = 'unsubscribed'
+        WHERE unsubscribe_token = $1 AND status <> 'unsubscribed'
+        RETURNING id, product_id, email
+      ), cancelled AS (
+        UPDATE stock_notifications
+        SET status = 'cancelled'
+        WHERE status = 'pending' AND subscription_id IN (SELECT id FROM unsubscribed)
+      )
+      SELECT * FROM unsubscribed
+    `, [token]);
+
+    return result.rows[0] || null;
+  }
+
+  static getUnsubscribeUrl(token) {
+    return `${config.mail.storeUrl}/?unsubscribe=${token}`;
+  }
+
+  // Encolar avisos para suscripciones activas cuyo producto ya se puede comprar.
+  // El trigger de products solo ve el stock que pasa de 0 a positivo; esto cubre
+  // el stock que se libera cuando una reserva se cancela o vence.
+  static async queueAvailable(client) {
+    const result = await client.query(`
+      WITH available AS (
+        SELECT p.id
+        FROM products p
+        ${StockReservation.RESERVED_STOCK_JOIN}
+        ${Variant.VARIANTS_SUMMARY_JOIN}
+        WHERE p.id IN (SELECT product_id FROM stock_subscriptions WHERE status = 'active')
+          AND p.status = 'disponible'
+          AND CASE WHEN pv.variant_count > 0 THEN pv.available_stock
+            ELSE ${StockReservation.AVAILABLE_STOCK_SQL} END > 0
+      ), notified AS (
+        UPDATE stock_subscriptions
+        SET status = 'notified', notified_at = CURRENT_TIMESTAMP
+        WHERE status = 'active' AND product_id IN (SELECT id FROM available)
+        RETURNING id, product_id
+      )
+      INSERT INTO stock_notifications (subscription_id, product_id)
+      SELECT id, product_id FROM notified
+    `);
+
+    return result.rowCount;
+  }
+
+  // Pasar los avisos pendientes a la cola de emails y marcarlos como enviados
+  // con el email encolado. La fila se bloquea para que dos procesos no encolen
+  // el mismo aviso.
+  static async dispatchPending(limit = 50) {
+    let sent = 0;
+
+    await database.transaction(async (client) => {
+      await StockAlert.queueAvailable(client);
+
+      const result = await client.query(`
+        SELECT n.id, n.product_id, s.email, s.unsubscribe_token, p.name as product_name, p.price
+        FROM stock_notifications n
+        JOIN stock_subscriptions s ON n.subscription_id = s.id
+        JOIN products p ON n.product_id = p.id
+        WHERE n.status = 'pending'
+        ORDER BY n.created_at ASC
+        LIMIT $1
+        FOR UPDATE OF n SKIP LOCKED
+      `, [limit]);
+
+      for (const notification of result.rows) {
+        const email = await EmailOutbox.enqueue(client, 'back_in_stock', notification.email, {
+          productName: notification.product_name,
+          price: notification.price,
+          unsubscribeUrl: StockAlert.getUnsubscribeUrl(notification.unsubscribe_token)
+        });
+
+        await client.query(
+          "UPDATE stock_notifications SET status = 'sent', sent_at = CURRENT_TIMESTAMP, email_id = $2 WHERE id = $1",
+          [notification.id, email.id]
+        );
+        sent++;
+      }
+    });
+
+    return sent;
+  }
+}
+
+module.exports = StockAlert;
@@ -0,0 +1,143 @@
+// models/StockReservation.js
+const database = require('../config/database');
+const config = require('../config/config');
+const Bundle = require('./Bundle');
+const { HttpError } = require('../utils/httpError');
+
+// Subconsulta con el stock reservado por órdenes pendientes, para unir con products p
+const RESERVED_STOCK_JOIN = `
+  LEFT JOIN (
+    SELECT product_id, SUM(quantity)::int as reserved
+    FROM stock_reservations
+    WHERE status = 'active' AND expires_at > NOW()
+    GROUP BY product_id
+  ) sr ON sr.product_id = p.id
+`;
+
+// Stock disponible de products p descontando las reservas vigentes.
+// Para combos es la cantidad de unidades que alcanzan a armarse con sus componentes.
+const AVAILABLE_STOCK_SQL = `CASE WHEN p.is_bundle THEN (
+    SELECT COALESCE(MIN(
+      CASE WHEN c.status = 'disponible' THEN GREATEST(c.stock - COALESCE((
+        SELECT SUM(r.quantity)
+        FROM stock_reservations r
+        WHERE r.product_id = c.id AND r.status = 'active' AND r.expires_at > NOW()
+      ), 0), 0) ELSE 0 END / bi.quantity
+    ), 0)::int
+    FROM bundle_items bi
+    JOIN products c ON bi.component_id = c.id
+    WHERE bi.bundle_id = p.id
+  ) ELSE GREATEST(p.stock - COALESCE(sr.reserved, 0), 0) END`;
+
+class StockReservation {
+  // Fecha de vencimiento para una reserva creada ahora
+  static getExpirationDate() {
+    return new Date(Date.now() + config.orders.reservationMinutes * 60 * 1000);
+  }
+
+  // Cantidades reservadas por producto, excluyendo opcionalmente una orden
+  static async getReservedQuantities(productIds, { excludeOrderId = null, db = database } = {}) {
+    const result = await db.query(`
+      SELECT product_id, SUM(quantity)::int as reserved
+      FROM stock_reservations
+      WHERE product_id = ANY($1::uuid[])
+        AND status = 'active'
+        AND expires_at > NOW()
+        AND ($2::uuid IS NULL OR order_id <> $2)
+      GROUP BY product_id
+    `, [productIds, excludeOrderId]);
+
+    return new Map(result.rows.map(row => [row.product_id, row.reserved]));
+  }
+
+  // Reservar stock para los items de una orden. Los combos reservan sus componentes.
+  static async reserve(client, orderId, items, expiresAt = StockReservation.getExpirationDate()) {
+    for (const item of Bundle.expandItems(items)) {
+      await client.query(`
+        INSERT INTO stock_reservations (order_id, product_id, quantity, expires_at)
+        VALUES ($1, $2, $3, $4)
+      `, [orderId, item.product_id, item.quantity, expiresAt]);
+    }
+  }
+
+  // Renovar la reserva de una orden hasta la nueva fecha.
+  // Si la reserva venció, se vuelve a reservar verificando el stock disponible.
+  static async renew(client, orderId, expiresAt) {
+    const renewed = await client.query(`
+      UPDATE stock_reservations
+      SET expires_at = $2
+      WHERE order_id = $1 AND status = 'active' AND expires_at > NOW()
+    `, [orderId, expiresAt]);
+
+    if (renewed.rowCount > 0) {
+      return;
+    }
+
+    await StockReservation.release(client, orderId);
+
+    const orderItems = await client.query(
+      'SELECT product_id, quantity, components FROM order_items WHERE order_id = $1',
+      [orderId]
+    );
+    const items = Bundle.expandItems(orderItems.rows);
+
+    const productsResult = await client.query(`
+      SELECT id, name, stock, status
+      FROM products
+      WHERE id = ANY($1::uuid[])
+      FOR UPDATE
+    `, [items.map(item => item.product_id)]);
+    const products = new Map(productsResult.rows.map(product => [product.id, product]));
+
+    const reserved = await StockReservation.getReservedQuantities(
+      items.map(item => item.product_id),
+      { excludeOrderId: orderId, db: client }
+    );
+
+    const problems = items
+      .map(item => ({ ...item, ...products.get(item.product_id) }))
+      .filter(item => item.status !== 'disponible' ||
+        item.stock - (reserved.get(item.product_id) || 0) < item.quantity)
+      .map(item => ({ product_id: item.product_id, message: `${item.name} ya no tiene stock disponible` }));
+
+    if (problems.length > 0) {
+      throw new HttpError(409, 'La reserva de la orden venció y algunos productos ya no están disponibles', problems);
+    }
+
+    await StockReservation.reserve(client, orderId, items, expiresAt);
+  }
+
+  // Liberar las reservas activas de una orden
+  static async release(client, orderId) {
+    await client.query(`
+      UPDATE stock_reservations
+      SET status = 'released', released_at = CURRENT_TIMESTAMP
+      WHERE order_id = $1 AND status = 'active'
+    `, [orderId]);
+  }
+
+  // Marcar las reservas como consumidas cuando se descuenta el stock
+  static async consume(client, orderId) {
+    await client.query(`
+      UPDATE stock_reservations
+      SET status = 'consumed', released_at = CURRENT_TIMESTAMP
+      WHERE order_id = $1 AND status = 'active'
+    `, [orderId]);
+  }
+
+  // Liberar todas las reservas vencidas
+  static async releaseExpired(db = database) {
+    const result = await db.query(`
+      UPDATE stock_reservations
+      SET status = 'released', released_at = CURRENT_TIMESTAMP
+      WHERE status = 'active' AND expires_at <= NOW()
+    `);
+
+    return result.rowCount;
+  }
+}
+
+StockReservation.RESERVED_STOCK_JOIN = RESERVED_STOCK_JOIN;
+StockReservation.AVAILABLE_STOCK_SQL = AVAILABLE_STOCK_SQL;
+
+module.exports = StockReservation;
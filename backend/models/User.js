@@ -0,0 +1,107 @@
+// models/User.js
+const jwt = require('jsonwebtoken');
+const database = require('../config/database');
+const config = require('../config/config');
+const EmailOutbox = require('./EmailOutbox');
+const { HttpError } = require('../utils/httpError');
+
+// Propósito del token de verificación: un token de sesión no sirve para verificar
+const EMAIL_VERIFICATION_PURPOSE = 'email_verification';
+
+class User {
+  // Token firmado y con vencimiento para el enlace de verificación.
+  // Lleva el email para que deje de valer si la cuenta cambia de email.
+  static createVerificationToken(user) {
+    return jwt.sign(
+      { userId: user.id, email: user.email, purpose: EMAIL_VERIFICATION_PURPOSE },
+      process.env.JWT_SECRET,
+      { expiresIn: `${config.auth.emailVerificationHours}h` }
+    );
+  }
+
+  static getVerificationUrl(token) {
+    return `${config.mail.storeUrl}/?verify=${token}`;
+  }
+
+  // Encolar el email con el enlace de verificación (al registrarse va en la bienvenida)
+  static async sendVerificationEmail(client, user, template = 'email_verification') {
+    const token = User.createVerificationToken(user);
+
+    await EmailOutbox.enqueue(client, template, user.email, {
+      name: user.name,
+      verifyUrl: User.getVerificationUrl(token),
+      expiresHours: config.auth.emailVerificationHours
+    });
+  }
+
+  // Reenviar el enlace respetando una espera mínima entre pedidos
+  static async resendVerification(userId, db = database) {
+    const result = await db.query(
+      'SELECT id, name, email, email_verified FROM users WHERE id = $1',
+      [userId]
+    );
+    const user = result.rows[0];
+
+    if (!user) {
+      throw new HttpError(404, 'Usuario no encontrado');
+    }
+
+    if (user.email_verified) {
+      throw new HttpError(400, 'Tu email ya está verificado');
+    }
+
+    const recent = await db.query(`
+      SELECT 1 FROM email_outbox
+      WHERE recipient = $1
+        AND template IN ('welcome', 'email_verification')
+        AND created_at > CURRENT_TIMESTAMP - make_interval(mins => $2)
+      LIMIT 1
+    `, [user.email, config.auth.verificationResendMinutes]);
+
+    if (recent.rows.length > 0) {
+      throw new HttpError(429, 'Ya te enviamos un enlace hace instantes. Revisá tu correo o esperá unos minutos para pedir otro');
+    }
+
+    await User.sendVerificationEmail(db, user);
+
+    return user;
+  }
+
+  // Marcar el email como verificado con el token del enlace.
+  // Un enlace ya usado sigue respondiendo bien mientras no venza.
+  static async verifyEmail(token, db = database) {
+    let payload;
+    try {
+      payload = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new HttpError(400, 'El enlace de verificación venció. Pedí uno nuevo desde tu cuenta');
+      }
+      throw new HttpError(400, 'El enlace de verificación no es válido');
+    }
+
+    if (payload.purpose !== EMAIL_VERIFICATION_PURPOSE) {
+      throw new HttpError(400, 'El enlace de verificación no es válido');
+    }
+
+    const result = await db.query(`
+      WITH previous AS (
+        SELECT id, email_verified FROM users WHERE id = $1 AND email = $2
+      ), verified AS (
+        UPDATE users SET email_verified = TRUE
+        WHERE id IN (SELECT id FROM previous WHERE email_verified IS NOT TRUE)
+      )
+      SELECT id, COALESCE(email_verified, FALSE) as already_verified FROM previous
+    `, [payload.userId, payload.email]);
+
+    if (result.rows.length === 0) {
+      throw new HttpError(400, 'El enlace de verificación no es válido');
+    }
+
+    return { alreadyVerified: result.rows[0].already_verified };
+  }
+}
+
+User.EMAIL_VERIFICATION_PURPOSE = EMAIL_VERIFICATION_PURPOSE;
+
+module.exports = User;
@@ -0,0 +1,227 @@
+// models/Variant.js
+const database = require('../config/database');
+const StockReservation = require('./StockReservation');
+const ProductSearch = require('./ProductSearch');
+const { HttpError } = require('../utils/httpError');
+
+// Campos que las variantes heredan del producto padre
+const INHERITED_FIELDS = ['category_id', 'description', 'product_type', 'brand', 'weight', 'dimensions', 'iva_rate'];
+
+// Indica si products p tiene variantes (el padre no se vende directamente)
+const HAS_VARIANTS_SQL = 'EXISTS (SELECT 1 FROM products v WHERE v.parent_id = p.id)';
+
+// Resumen de variantes de products p para el listado: una tarjeta por producto padre
+const VARIANTS_SUMMARY_JOIN = `
+  LEFT JOIN LATERAL (
+    SELECT
+      COUNT(*)::int as variant_count,
+      MIN(v.price) FILTER (WHERE v.status = 'disponible') as min_price,
+      MAX(v.price) FILTER (WHERE v.status = 'disponible') as max_price,
+      COALESCE(SUM(GREATEST(v.stock - COALESCE((
+        SELECT SUM(r.quantity)
+        FROM stock_reservations r
+        WHERE r.product_id = v.id AND r.status = 'active' AND r.expires_at > NOW()
+      ), 0), 0)) FILTER (WHERE v.status = 'disponible'), 0)::int as available_stock
+    FROM products v
+    WHERE v.parent_id = p.id
+  ) pv ON TRUE
+`;
+
+class Variant {
+  // Nombre visible de una variante: "Producto - 16GB / Negro"
+  static buildName(parentName, optionValues) {
+    return `${parentName} - ${Object.values(optionValues).join(' / ')}`;
+  }
+
+  // Variantes de un producto con su stock disponible
+  static async listByParent(parentId, db = database) {
+    const result = await db.query(`
+      SELECT
+        p.id, p.name, p.sku, p.option_values, p.price, p.price_override,
+        p.stock, p.status, COALESCE(p.image_url, parent.image_url) as image_url,
+        ${StockReservation.AVAILABLE_STOCK_SQL} as available_stock
+      FROM products p
+      JOIN products parent ON p.parent_id = parent.id
+      ${StockReservation.RESERVED_STOCK_JOIN}
+      WHERE p.parent_id = $1
+      ORDER BY p.created_at ASC
+    `, [parentId]);
+
+    return result.rows;
+  }
+
+  // Validar las opciones de una variante contra las definidas en el padre
+  static async validateOptions(client, parent, optionValues, excludeVariantId = null) {
+    const definitions = parent.variant_options || [];
+
+    for (const definition of definitions) {
+      const value = optionValues[definition.name];
+      if (value === undefined || !definition.values.includes(value)) {
+        throw new HttpError(400, `Valor inválido para la opción ${definition.name}`);
+      }
+    }
+
+    const unknown = Object.keys(optionValues)
+      .find(name => definitions.length > 0 && !definitions.some(definition => definition.name === name));
+    if (unknown) {
+      throw new HttpError(400, `La opción ${unknown} no está definida en el producto`);
+    }
+
+    const duplicate = await client.query(`
+      SELECT id FROM products
+      WHERE parent_id = $1 AND option_values = $2::jsonb AND ($3::uuid IS NULL OR id <> $3)
+    `, [parent.id, JSON.stringify(optionValues), excludeVariantId]);
+
+    if (duplicate.rows.length > 0) {
+      throw new HttpError(409, 'Ya existe una variante con esas opciones');
+    }
+  }
+
+  static async getParent(client, parentId) {
+    const result = await client.query(
+      'SELECT * FROM products WHERE id = $1 FOR UPDATE',
+      [parentId]
+    );
+    const parent = result.rows[0];
+
+    if (!parent) {
+      throw new HttpError(404, 'Producto no encontrado');
+    }
+
+    if (parent.parent_id) {
+      throw new HttpError(400, 'Una variante no puede tener variantes');
+    }
+
+    return parent;
+  }
+
+  // Crear una variante. Sin precio propio toma el del producto padre.
+  static async create(client, parentId, { option_values, sku, price_override = null, stock = 0, image_url = null }) {
+    const parent = await Variant.getParent(client, parentId);
+
+    if (parent.is_bundle) {
+      throw new HttpError(400, 'Un combo no puede tener variantes');
+    }
+
+    await Variant.validateOptions(client, parent, option_values);
+
+    const price = price_override !== null ? price_override : parent.price;
+
+    const result = await client.query(`
+      INSERT INTO products (
+        parent_id, name, price, price_override, option_values, sku, stock, image_url,
+        ${INHERITED_FIELDS.join(', ')}
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, ${INHERITED_FIELDS.map((field, index) => `$${index + 9}`).join(', ')})
+      RETURNING ${ProductSearch.columnsSql()}
+    `, [
+      parent.id,
+      Variant.buildName(parent.name, option_values),
+      price,
+      price_override,
+      JSON.stringify(option_values),
+      sku,
+      stock,
+      image_url,
+      ...INHERITED_FIELDS.map(field => field === 'dimensions' && parent[field] ? JSON.stringify(parent[field]) : parent[field])
+    ]);
+
+    return result.rows[0];
+  }
+
+  // Actualizar opciones, SKU, precio propio, stock o estado de una variante
+  static async update(client, parentId, variantId, data) {
+    const parent = await Variant.getParent(client, parentId);
+
+    const variantResult = await client.query(
+      'SELECT * FROM products WHERE id = $1 AND parent_id = $2 FOR UPDATE',
+      [variantId, parent.id]
+    );
+    const variant = variantResult.rows[0];
+
+    if (!variant) {
+      throw new HttpError(404, 'Variante no encontrada');
+    }
+
+    const optionValues = data.option_values || variant.option_values;
+    if (data.option_values) {
+      await Variant.validateOptions(client, parent, optionValues, variant.id);
+    }
+
+    const priceOverride = data.price_override !== undefined ? data.price_override : variant.price_override;
+    const stock = data.stock !== undefined ? data.stock : variant.stock;
+
+    const result = await client.query(`
+      UPDATE products
+      SET name = $1, option_values = $2, sku = $3, price_override = $4, price = $5,
+          stock = $6, status = $7, image_url = $8
+      WHERE id = $9
+      RETURNING ${ProductSearch.columnsSql()}
+    `, [
+      Variant.buildName(parent.name, optionValues),
+      JSON.stringify(optionValues),
+      data.sku !== undefined ? data.sku : variant.sku,
+      priceOverride,
+      priceOverride !== null ? priceOverride : parent.price,
+      stock,
+      data.status || (variant.status === 'agotado' && stock > 0 ? 'disponible' : variant.status),
+      data.image_url !== undefined ? data.image_url : variant.image_url,
+      variant.id
+    ]);
+
+    return result.rows[0];
+  }
+
+  // Eliminar una variante. Si ya fue vendida se discontinúa para conservar las órdenes.
+  static async remove(client, parentId, variantId) {
+    const sold = await client.query(
+      'SELECT 1 FROM order_items WHERE product_id = $1 LIMIT 1',
+      [variantId]
+    );
+
+    if (sold.rows.length > 0) {
+      const result = await client.query(`
+        UPDATE products SET status = 'descontinuado'
+        WHERE id = $1 AND parent_id = $2
+        RETURNING id
+      `, [variantId, parentId]);
+      return result.rows.length > 0 ? 'discontinued' : null;
+    }
+
+    const result = await client.query(
+      'DELETE FROM products WHERE id = $1 AND parent_id = $2 RETURNING id',
+      [variantId, parentId]
+    );
+    return result.rows.length > 0 ? 'deleted' : null;
+  }
+
+  // Propagar a las variantes los cambios del producto padre
+  static async syncFromParent(client, parentId) {
+    const parentResult = await client.query('SELECT * FROM products WHERE id = $1', [parentId]);
+    const parent = parentResult.rows[0];
+    if (!parent) return;
+
+    const variants = await client.query(
+      'SELECT id, option_values FROM products WHERE parent_id = $1',
+      [parentId]
+    );
+
+    for (const variant of variants.rows) {
+      await client.query(`
+        UPDATE products
+        SET name = $1, price = COALESCE(price_override, $2),
+            ${INHERITED_FIELDS.map((field, index) => `${field} = $${index + 3}`).join(', ')}
+        WHERE id = $${INHERITED_FIELDS.length + 3}
+      `, [
+        Variant.buildName(parent.name, variant.option_values),
+        parent.price,
+        ...INHERITED_FIELDS.map(field => field === 'dimensions' && parent[field] ? JSON.stringify(parent[field]) : parent[field]),
+        variant.id
+      ]);
+    }
+  }
+}
+
+Variant.HAS_VARIANTS_SQL = HAS_VARIANTS_SQL;
+Variant.VARIANTS_SUMMARY_JOIN = VARIANTS_SUMMARY_JOIN;
+
+module.exports = Variant;
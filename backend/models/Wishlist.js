@@ -0,0 +1,117 @@
+// models/Wishlist.js
+const database = require('../config/database');
+const Cart = require('./Cart');
+const ProductFilters = require('./ProductFilters');
+const StockReservation = require('./StockReservation');
+const Variant = require('./Variant');
+const { HttpError } = require('../utils/httpError');
+
+class Wishlist {
+  // Guardar un producto en favoritos. Si ya estaba se conserva el precio original.
+  // Se guarda el mismo precio que se muestra (el "desde" si tiene variantes)
+  // para que la baja de precio compare valores equivalentes.
+  static async add(userId, productId, db = database) {
+    const product = await db.query(`
+      SELECT p.id, COALESCE(${ProductFilters.LISTING_PRICE_SQL}, p.price) as price
+      FROM products p
+      ${Variant.VARIANTS_SUMMARY_JOIN}
+      WHERE p.id = $1
+    `, [productId]);
+
+    if (product.rows.length === 0) {
+      throw new HttpError(404, 'Producto no encontrado');
+    }
+
+    await db.query(`
+      INSERT INTO wishlist_items (user_id, product_id, added_price)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (user_id, product_id) DO NOTHING
+    `, [userId, productId, product.rows[0].price]);
+  }
+
+  static async remove(userId, productId, db = database) {
+    const result = await db.query(
+      'DELETE FROM wishlist_items WHERE user_id = $1 AND product_id = $2',
+      [userId, productId]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  // Favoritos con precio y stock actuales. Los productos con variantes informan
+  // el precio "desde" y el stock sumado de sus variantes, como en el listado.
+  static async getItems(userId, db = database) {
+    const result = await db.query(`
+      SELECT
+        w.product_id, w.added_price, w.created_at as added_at,
+        p.name, p.image_url, p.status, p.product_type, p.brand,
+        COALESCE(${ProductFilters.LISTING_PRICE_SQL}, p.price) as price,
+        ${ProductFilters.LISTING_STOCK_SQL} as available_stock,
+        COALESCE(pv.variant_count, 0) as variant_count
+      FROM wishlist_items w
+      JOIN products p ON w.product_id = p.id
+      ${StockReservation.RESERVED_STOCK_JOIN}
+      ${Variant.VARIANTS_SUMMARY_JOIN}
+      WHERE w.user_id = $1
+      ORDER BY w.created_at DESC
+    `, [userId]);
+
+    return result.rows.map(row => {
+      const price = parseFloat(row.price);
+      const addedPrice = row.added_price !== null ? parseFloat(row.added_price) : price;
+
+      return {
+        ...row,
+        price,
+        added_price: addedPrice,
+        price_dropped: price < addedPrice,
+        available: row.status === 'disponible' && row.available_stock > 0
+      };
+    });
+  }
+
+  // IDs guardados, para marcar los corazones del catálogo
+  static async getProductIds(userId, db = database) {
+    const result = await db.query(
+      'SELECT product_id FROM wishlist_items WHERE user_id = $1',
+      [userId]
+    );
+
+    return result.rows.map(row => row.product_id);
+  }
+
+  // Pasar un favorito al carrito con las mismas reglas de stock del carrito.
+  // Un producto con variantes necesita la variante elegida.
+  static async moveToCart(client, userId, productId, { quantity = 1, variantId = null } = {}) {
+    const saved = await client.query(
+      'SELECT 1 FROM wishlist_items WHERE user_id = $1 AND product_id = $2 FOR UPDATE',
+      [userId, productId]
+    );
+
+    if (saved.rows.length === 0) {
+      throw new HttpError(404, 'El producto no está en tus favoritos');
+    }
+
+    if (variantId) {
+      const variant = await client.query(
+        'SELECT 1 FROM products WHERE id = $1 AND parent_id = $2',
+        [variantId, productId]
+      );
+
+      if (variant.rows.length === 0) {
+        throw new HttpError(400, 'La variante no corresponde al producto');
+      }
+    }
+
+    const item = await Cart.setItem(userId, variantId || productId, quantity, {
+      increment: true,
+      db: client
+    });
+
+    await Wishlist.remove(userId, productId, client);
+
+    return item;
+  }
+}
+
+module.exports = Wishlist;
@@ -0,0 +1,20 @@
+// routes/auth.js
+const express = require('express');
+const AuthController = require('../controllers/authController');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Rutas públicas
+router.post('/register', AuthController.getRegisterValidation(), AuthController.register);
+router.post('/login', AuthController.getLoginValidation(), AuthController.login);
+router.post('/verify-email', AuthController.getVerifyEmailValidation(), AuthController.verifyEmail);
+
+// Rutas protegidas
+router.post('/logout', authenticateToken, AuthController.logout);
+router.get('/profile', authenticateToken, AuthController.getProfile);
+router.put('/profile', authenticateToken, AuthController.getUpdateProfileValidation(), AuthController.updateProfile);
+router.post('/resend-verification', authenticateToken, AuthController.resendVerification);
+router.put('/change-password', authenticateToken, AuthController.getChangePasswordValidation(), AuthController.changePassword);
+
+module.exports = router;
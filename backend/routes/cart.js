@@ -0,0 +1,18 @@
+// routes/cart.js
+const express = require('express');
+const CartController = require('../controllers/cartController');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// El carrito del servidor requiere autenticación
+router.use(authenticateToken);
+
+router.get('/', CartController.getCart);
+router.post('/add', CartController.getAddItemValidation(), CartController.addItem);
+router.post('/merge', CartController.getMergeItemsValidation(), CartController.mergeItems);
+router.put('/update', CartController.getUpdateItemValidation(), CartController.updateItem);
+router.delete('/remove/:product_id', CartController.getRemoveItemValidation(), CartController.removeItem);
+router.delete('/clear', CartController.clearCart);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+// routes/categories.js
+const express = require('express');
+const CategoryController = require('../controllers/categoryController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Rutas públicas
+router.get('/', CategoryController.getCategories);
+router.get('/tree', CategoryController.getCategoryTree);
+router.get('/:id/attributes', CategoryController.getCategoryIdValidation(), CategoryController.getAttributes);
+
+// Rutas de administración
+router.post('/', authenticateToken, requireAdmin, CategoryController.getCategoryValidation(), CategoryController.createCategory);
+router.put('/order', authenticateToken, requireAdmin, CategoryController.getReorderValidation(), CategoryController.reorderCategories);
+router.put('/:id', authenticateToken, requireAdmin, CategoryController.getCategoryValidation(true), CategoryController.updateCategory);
+router.delete('/:id', authenticateToken, requireAdmin, CategoryController.getCategoryIdValidation(), CategoryController.deleteCategory);
+router.post('/:id/attributes', authenticateToken, requireAdmin, CategoryController.getAttributeValidation(), CategoryController.createAttribute);
+router.put('/:id/attributes/:attributeId', authenticateToken, requireAdmin, CategoryController.getAttributeValidation(true), CategoryController.updateAttribute);
+router.delete('/:id/attributes/:attributeId', authenticateToken, requireAdmin, CategoryController.getAttributeIdValidation(), CategoryController.deleteAttribute);
+
+module.exports = router;
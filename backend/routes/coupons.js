@@ -0,0 +1,20 @@
+// routes/coupons.js
+const express = require('express');
+const CouponController = require('../controllers/couponController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Rutas del cliente
+router.post('/validate', CouponController.getValidateCouponValidation(), CouponController.validateCoupon);
+
+// Rutas de administración
+router.get('/', requireAdmin, CouponController.getListCouponsValidation(), CouponController.getCoupons);
+router.post('/', requireAdmin, CouponController.getCreateCouponValidation(), CouponController.createCoupon);
+router.post('/generate', requireAdmin, CouponController.getGenerateCouponsValidation(), CouponController.generateCoupons);
+router.put('/:id', requireAdmin, CouponController.getUpdateCouponValidation(), CouponController.updateCoupon);
+router.delete('/:id', requireAdmin, CouponController.getCouponIdValidation(), CouponController.deleteCoupon);
+
+module.exports = router;
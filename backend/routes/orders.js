@@ -0,0 +1,26 @@
+// routes/orders.js
+const express = require('express');
+const OrderController = require('../controllers/orderController');
+const { authenticateToken, requireAdmin, requireVerifiedEmail } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Todas las rutas de órdenes requieren autenticación
+router.use(authenticateToken);
+
+// Rutas de administración
+router.get('/admin/all', requireAdmin, OrderController.getListOrdersValidation(), OrderController.getAllOrders);
+router.patch('/:id/status', requireAdmin, OrderController.getUpdateStatusValidation(), OrderController.updateOrderStatus);
+router.post('/:id/refund', requireAdmin, OrderController.getRefundValidation(), OrderController.refundOrder);
+router.post('/:id/shipment', requireAdmin, OrderController.getCreateShipmentValidation(), OrderController.createShipment);
+router.delete('/:id/shipment', requireAdmin, OrderController.getOrderIdValidation(), OrderController.cancelShipment);
+
+// Rutas del cliente
+router.post('/', requireVerifiedEmail('orders'), OrderController.getCreateOrderValidation(), OrderController.createOrder);
+router.get('/', OrderController.getMyOrders);
+router.get('/:id', OrderController.getOrderIdValidation(), OrderController.getOrderById);
+router.post('/:id/cancel', OrderController.getCancelOrderValidation(), OrderController.cancelOrder);
+router.get('/:id/tracking', OrderController.getOrderIdValidation(), OrderController.getTracking);
+router.get('/:id/invoice', OrderController.getOrderIdValidation(), OrderController.getInvoice);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+// routes/payments.js
+const express = require('express');
+const PaymentController = require('../controllers/paymentController');
+const { authenticateToken, requireVerifiedEmail } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Rutas públicas
+router.get('/methods', PaymentController.getPaymentMethods);
+router.post('/webhook', PaymentController.handleWebhook);
+
+// Rutas protegidas
+router.post('/preference', authenticateToken, PaymentController.createPaymentPreference);
+router.get('/status/:order_id', authenticateToken, PaymentController.checkPaymentStatus);
+router.post('/manual', authenticateToken, requireVerifiedEmail('manualPayments'), PaymentController.processManualPayment);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+// routes/products.js
+const express = require('express');
+const { ProductController, upload } = require('../controllers/productController');
+const ReviewController = require('../controllers/reviewController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { processProductImages } = require('../middleware/upload');
+
+const router = express.Router();
+
+// Rutas públicas
+router.get('/', ProductController.getListProductsValidation(), ProductController.getProducts);
+router.get('/categories', ProductController.getCategories);
+router.get('/suggest', ProductController.getSuggestValidation(), ProductController.suggestProducts);
+router.get('/compare', ProductController.getCompareValidation(), ProductController.compareProducts);
+router.get('/:id', ProductController.getProductIdValidation(), ProductController.getProductById);
+router.get('/:id/images', ProductController.getProductIdValidation(), ProductController.getProductImages);
+router.get('/:id/reviews', ReviewController.getProductReviewsValidation(), ReviewController.getProductReviews);
+
+// Rutas de clientes
+router.post('/:id/reviews', authenticateToken, ReviewController.getCreateReviewValidation(), ReviewController.createReview);
+
+// Rutas de administración
+router.post('/', authenticateToken, requireAdmin, upload.single('image'), processProductImages, ProductController.createProduct);
+router.put('/:id', authenticateToken, requireAdmin, upload.single('image'), processProductImages, ProductController.updateProduct);
+router.delete('/:id', authenticateToken, requireAdmin, ProductController.deleteProduct);
+router.post('/:id/images', authenticateToken, requireAdmin, upload.array('images', 10), processProductImages, ProductController.getUploadImagesValidation(), ProductController.uploadProductImages);
+router.put('/:id/images/order', authenticateToken, requireAdmin, ProductController.getReorderImagesValidation(), ProductController.reorderProductImages);
+router.patch('/:id/images/:imageId', authenticateToken, requireAdmin, ProductController.getUpdateImageValidation(), ProductController.updateProductImage);
+router.delete('/:id/images/:imageId', authenticateToken, requireAdmin, ProductController.getImageIdValidation(), ProductController.deleteProductImage);
+router.post('/:id/variants', authenticateToken, requireAdmin, ProductController.getVariantValidation(), ProductController.createVariant);
+router.put('/:id/variants/:variantId', authenticateToken, requireAdmin, ProductController.getVariantValidation(true), ProductController.updateVariant);
+router.delete('/:id/variants/:variantId', authenticateToken, requireAdmin, ProductController.getVariantIdValidation(), ProductController.deleteVariant);
+router.put('/:id/specs', authenticateToken, requireAdmin, ProductController.getSpecsValidation(), ProductController.setProductSpecs);
+router.put('/:id/components', authenticateToken, requireAdmin, ProductController.getBundleComponentsValidation(), ProductController.setBundleComponents);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+// routes/reviews.js
+const express = require('express');
+const ReviewController = require('../controllers/reviewController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Las reseñas de un producto están en /api/products/:id/reviews
+router.use(authenticateToken);
+
+// Rutas del cliente
+router.post('/:id/helpful', ReviewController.getReviewIdValidation(), ReviewController.toggleHelpful);
+
+// Rutas de administración
+router.get('/', requireAdmin, ReviewController.getListReviewsValidation(), ReviewController.getReviews);
+router.patch('/:id/status', requireAdmin, ReviewController.getReviewStatusValidation(), ReviewController.updateReviewStatus);
+router.put('/:id/reply', requireAdmin, ReviewController.getReplyValidation(), ReviewController.replyToReview);
+
+module.exports = router;
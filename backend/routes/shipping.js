@@ -0,0 +1,11 @@
+// routes/shipping.js
+const express = require('express');
+const ShippingController = require('../controllers/shippingController');
+const { optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.get('/provinces', ShippingController.getProvinces);
+router.post('/quote', optionalAuth, ShippingController.getQuoteValidation(), ShippingController.quote);
+
+module.exports = router;
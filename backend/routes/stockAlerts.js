@@ -0,0 +1,12 @@
+// routes/stockAlerts.js
+const express = require('express');
+const StockAlertController = require('../controllers/stockAlertController');
+const { optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Abiertas a visitantes sin cuenta; con sesión se usa el email del usuario
+router.post('/', optionalAuth, StockAlertController.getSubscribeValidation(), StockAlertController.subscribe);
+router.delete('/:token', StockAlertController.getUnsubscribeValidation(), StockAlertController.unsubscribe);
+
+module.exports = router;
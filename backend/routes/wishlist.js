@@ -0,0 +1,16 @@
+// routes/wishlist.js
+const express = require('express');
+const WishlistController = require('../controllers/wishlistController');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Los favoritos requieren autenticación
+router.use(authenticateToken);
+
+router.get('/', WishlistController.getWishlist);
+router.post('/', WishlistController.getAddItemValidation(), WishlistController.addItem);
+router.delete('/:product_id', WishlistController.getRemoveItemValidation(), WishlistController.removeItem);
+router.post('/:product_id/move-to-cart', WishlistController.getMoveToCartValidation(), WishlistController.moveToCart);
+
+module.exports = router;
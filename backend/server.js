@@ -11,9 +11,22 @@ const authRoutes = require('./routes/auth');
 const productRoutes = require('./routes/products');
 const orderRoutes = require('./routes/orders');
 const paymentRoutes = require('./routes/payments');
+const cartRoutes = require('./routes/cart');
+const shippingRoutes = require('./routes/shipping');
+const couponRoutes = require('./routes/coupons');
+const categoryRoutes = require('./routes/categories');
+const reviewRoutes = require('./routes/reviews');
+const wishlistRoutes = require('./routes/wishlist');
+const stockAlertRoutes = require('./routes/stockAlerts');
 
 // Import database connection
 const { connectDB } = require('./config/database');
+const config = require('./config/config');
+const StockReservation = require('./models/StockReservation');
+const Shipment = require('./models/Shipment');
+const Refund = require('./models/Refund');
+const StockAlert = require('./models/StockAlert');
+const EmailOutbox = require('./models/EmailOutbox');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -61,6 +74,13 @@ app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/wishlist', wishlistRoutes);
+app.use('/api/stock-alerts', stockAlertRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -112,6 +132,68 @@ process.on('SIGTERM', () => {
   });
 });
 
+// Liberar periódicamente las reservas de stock vencidas
+const reservationSweep = setInterval(async () => {
+  try {
+    const released = await StockReservation.releaseExpired();
+    if (released > 0) {
+      console.log(`🔓 Reservas de stock liberadas: ${released}`);
+    }
+  } catch (error) {
+    console.error('Error liberando reservas vencidas:', error);
+  }
+}, config.orders.reservationSweepMinutes * 60 * 1000);
+reservationSweep.unref();
+
+// Aplicar los reembolsos de MercadoPago que quedaron en proceso
+const refundSync = setInterval(async () => {
+  try {
+    const resolved = await Refund.reconcilePending();
+    if (resolved > 0) {
+      console.log(`💸 Reembolsos resueltos: ${resolved}`);
+    }
+  } catch (error) {
+    console.error('Error conciliando reembolsos:', error);
+  }
+}, config.orders.refundSyncMinutes * 60 * 1000);
+refundSync.unref();
+
+// Consultar periódicamente el seguimiento de los envíos en curso
+const trackingSync = setInterval(async () => {
+  try {
+    await Shipment.syncActive();
+  } catch (error) {
+    console.error('Error sincronizando envíos:', error);
+  }
+}, config.shipping.trackingSyncMinutes * 60 * 1000);
+trackingSync.unref();
+
+// Pasar los avisos de reposición a la cola de emails al reponer stock
+const stockAlertDispatch = setInterval(async () => {
+  try {
+    const queued = await StockAlert.dispatchPending();
+    if (queued > 0) {
+      console.log(`📬 Avisos de reposición encolados: ${queued}`);
+    }
+  } catch (error) {
+    console.error('Error encolando avisos de reposición:', error);
+  }
+}, config.stockAlerts.dispatchMinutes * 60 * 1000);
+stockAlertDispatch.unref();
+
+// Enviar los emails encolados y reintentar los fallidos
+const emailDispatch = setInterval(async () => {
+  try {
+    const { sent, failed } = await EmailOutbox.dispatchPending();
+    if (sent > 0 || failed > 0) {
+      console.log(`✉️  Emails enviados: ${sent}, fallidos definitivamente: ${failed}`);
+    }
+  } catch (error) {
+    console.error('Error enviando emails:', error);
+  }
+}, config.mail.dispatchMinutes * 60 * 1000);
+emailDispatch.unref();
+
 const server = app.listen(PORT, () => {
   console.log(`🚀 Servidor ejecutándose en puerto ${PORT}`);
   console.log(`🌍 Ambiente: ${process.env.NODE_ENV || 'development'}`);
@@ -0,0 +1,32 @@
+// tests/coupon.test.js
+const Coupon = require('../models/Coupon');
+
+const PARENT_ID = '11111111-1111-4111-8111-111111111111';
+const VARIANT_ID = '22222222-2222-4222-8222-222222222222';
+const OTHER_ID = '33333333-3333-4333-8333-333333333333';
+const CATEGORY_ID = '44444444-4444-4444-8444-444444444444';
+
+const lines = [
+  { product_id: VARIANT_ID, parent_id: PARENT_ID, category_id: CATEGORY_ID, total_price: 1000 },
+  { product_id: OTHER_ID, parent_id: null, category_id: null, total_price: 500 }
+];
+
+describe('Coupon.getEligibleLines', () => {
+  test('un cupón del producto padre aplica a la línea de su variante', () => {
+    const eligible = Coupon.getEligibleLines({ product_ids: [PARENT_ID], category_ids: [] }, lines);
+
+    expect(eligible.map(line => line.product_id)).toEqual([VARIANT_ID]);
+  });
+
+  test('un cupón de la variante aplica solo a esa variante', () => {
+    const eligible = Coupon.getEligibleLines({ product_ids: [VARIANT_ID], category_ids: [] }, lines);
+
+    expect(eligible.map(line => line.product_id)).toEqual([VARIANT_ID]);
+  });
+
+  test('sin restricciones aplica a todas las líneas', () => {
+    const eligible = Coupon.getEligibleLines({ product_ids: [], category_ids: [] }, lines);
+
+    expect(eligible).toHaveLength(2);
+  });
+});
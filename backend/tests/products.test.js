@@ -0,0 +1,39 @@
+// tests/products.test.js
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../models/ProductListing');
+
+const ProductListing = require('../models/ProductListing');
+const ProductFilters = require('../models/ProductFilters');
+const productRoutes = require('../routes/products');
+
+const app = express();
+app.use('/api/products', productRoutes);
+
+describe('GET /api/products', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(ProductFilters, 'getFacets').mockResolvedValue({});
+    ProductListing.list.mockResolvedValue({
+      products: [], total: 0, page: 1, limit: 20, sort: 'newest', nextCursor: null
+    });
+  });
+
+  test('rechaza un filtro de rango con valor no numérico sin consultar', async () => {
+    const response = await request(app).get('/api/products').query({ spec: 'vram>=abc' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.success).toBe(false);
+    expect(ProductListing.list).not.toHaveBeenCalled();
+    expect(ProductFilters.getFacets).not.toHaveBeenCalled();
+  });
+
+  test('acepta un filtro de rango numérico', async () => {
+    const response = await request(app).get('/api/products').query({ spec: 'vram>=12' });
+
+    expect(response.status).toBe(200);
+    expect(ProductListing.list).toHaveBeenCalledTimes(1);
+    expect(ProductFilters.getFacets).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,274 @@
+// utils/emailTemplates.js
+// Plantillas de los emails transaccionales. Cada una devuelve { subject, html, text }.
+const config = require('../config/config');
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatMoney = (amount) => `$${parseFloat(amount).toLocaleString('es-AR', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+// Número corto de orden para mostrar al cliente
+const orderNumber = (order) => order.id.slice(0, 8).toUpperCase();
+
+const PAYMENT_METHODS = {
+  mercadopago: 'MercadoPago',
+  transferencia: 'Transferencia bancaria',
+  efectivo: 'Efectivo'
+};
+
+// Estructura común del HTML. paragraphs y footer ya vienen escapados.
+const layout = ({ title, paragraphs, table = '', action = null, footer = '' }) => `<!DOCTYPE html>
+<html lang="es">
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body style="margin:0;padding:0;background:#f4f6f8;font-family:Arial,Helvetica,sans-serif;color:#2c3e50;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="background:#f4f6f8;padding:24px 0;">
+    <tr><td align="center">
+      <table width="600" cellpadding="0" cellspacing="0" style="background:#ffffff;border-radius:8px;overflow:hidden;">
+        <tr><td style="background:#667eea;color:#ffffff;padding:20px 24px;font-size:22px;font-weight:bold;">SlinkHard</td></tr>
+        <tr><td style="padding:24px;">
+          <h1 style="font-size:20px;margin:0 0 16px;">${escapeHtml(title)}</h1>
+          ${paragraphs.map(paragraph => `<p style="margin:0 0 12px;line-height:1.5;">${paragraph}</p>`).join('\n          ')}
+          ${table}
+          ${action ? `<p style="margin:24px 0;"><a href="${escapeHtml(action.url)}" style="background:#27ae60;color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;font-weight:bold;">${escapeHtml(action.label)}</a></p>` : ''}
+        </td></tr>
+        <tr><td style="padding:16px 24px;background:#f8f9fa;color:#7f8c8d;font-size:12px;">
+          ${footer || `${escapeHtml(config.invoices.store.legalName)} · ${escapeHtml(config.invoices.store.address)}`}
+        </td></tr>
+      </table>
+    </td></tr>
+  </table>
+</body>
+</html>`;
+
+// Detalle de la orden en HTML y en texto
+const orderItemsHtml = (order) => `
+  <table width="100%" cellpadding="6" cellspacing="0" style="border-collapse:collapse;margin:16px 0;font-size:14px;">
+    <tr style="background:#f8f9fa;"><th align="left">Producto</th><th align="center">Cant.</th><th align="right">Subtotal</th></tr>
+    ${order.items.map(item => `<tr style="border-top:1px solid #eee;"><td>${escapeHtml(item.name)}</td><td align="center">${item.quantity}</td><td align="right">${formatMoney(item.total_price)}</td></tr>`).join('\n    ')}
+    ${parseFloat(order.discount_amount) > 0 ? `<tr><td colspan="2">Descuento</td><td align="right">-${formatMoney(order.discount_amount)}</td></tr>` : ''}
+    <tr><td colspan="2">Envío</td><td align="right">${formatMoney(order.shipping_cost)}</td></tr>
+    <tr style="font-weight:bold;border-top:2px solid #2c3e50;"><td colspan="2">Total</td><td align="right">${formatMoney(order.total)}</td></tr>
+  </table>`;
+
+const orderItemsText = (order) => [
+  ...order.items.map(item => `- ${item.name} x${item.quantity}: ${formatMoney(item.total_price)}`),
+  ...(parseFloat(order.discount_amount) > 0 ? [`Descuento: -${formatMoney(order.discount_amount)}`] : []),
+  `Envío: ${formatMoney(order.shipping_cost)}`,
+  `Total: ${formatMoney(order.total)}`
+].join('\n');
+
+const ordersUrl = () => config.mail.storeUrl;
+
+const templates = {
+  welcome: ({ name, verifyUrl, expiresHours }) => ({
+    subject: '¡Bienvenido a SlinkHard!',
+    html: layout({
+      title: `¡Hola, ${name}!`,
+      paragraphs: [
+        'Tu cuenta en SlinkHard ya está creada.',
+        'Desde tu cuenta podés seguir tus pedidos, guardar favoritos y recibir avisos cuando vuelva el stock.',
+        `Confirmá tu email con el botón de abajo. El enlace vence en ${expiresHours} horas.`
+      ].map(escapeHtml),
+      action: { label: 'Verificar mi email', url: verifyUrl }
+    }),
+    text: [
+      `¡Hola, ${name}!`,
+      '',
+      'Tu cuenta en SlinkHard ya está creada.',
+      'Desde tu cuenta podés seguir tus pedidos, guardar favoritos y recibir avisos cuando vuelva el stock.',
+      '',
+      `Confirmá tu email abriendo este enlace (vence en ${expiresHours} horas):`,
+      verifyUrl
+    ].join('\n')
+  }),
+
+  email_verification: ({ name, verifyUrl, expiresHours }) => ({
+    subject: 'Verificá tu email en SlinkHard',
+    html: layout({
+      title: 'Verificá tu email',
+      paragraphs: [
+        `Hola, ${name}. Pediste un nuevo enlace para confirmar tu email.`,
+        `El enlace vence en ${expiresHours} horas. Si no lo pediste, podés ignorar este mensaje.`
+      ].map(escapeHtml),
+      action: { label: 'Verificar mi email', url: verifyUrl }
+    }),
+    text: [
+      `Hola, ${name}.`,
+      '',
+      'Pediste un nuevo enlace para confirmar tu email. Abrilo para verificarlo:',
+      verifyUrl,
+      '',
+      `El enlace vence en ${expiresHours} horas. Si no lo pediste, podés ignorar este mensaje.`
+    ].join('\n')
+  }),
+
+  order_created: ({ order }) => {
+    const method = PAYMENT_METHODS[order.payment_method] || order.payment_method;
+    const manual = ['transferencia', 'efectivo'].includes(order.payment_method);
+    const nextStep = manual
+      ? 'Cuando realices el pago, cargá el comprobante desde tu cuenta para que lo verifiquemos.'
+      : 'Te avisaremos apenas se acredite el pago.';
+
+    return {
+      subject: `Recibimos tu pedido #${orderNumber(order)}`,
+      html: layout({
+        title: `Pedido #${orderNumber(order)} recibido`,
+        paragraphs: [
+          `Hola, ${order.user_name}. Recibimos tu pedido y reservamos el stock mientras esperamos el pago.`,
+          `Medio de pago: ${method}.`,
+          nextStep
+        ].map(escapeHtml),
+        table: orderItemsHtml(order),
+        action: { label: 'Ver mi pedido', url: ordersUrl() }
+      }),
+      text: [
+        `Hola, ${order.user_name}.`,
+        '',
+        `Recibimos tu pedido #${orderNumber(order)} y reservamos el stock mientras esperamos el pago.`,
+        `Medio de pago: ${method}.`,
+        nextStep,
+        '',
+        orderItemsText(order),
+        '',
+        `Ver mi pedido: ${ordersUrl()}`
+      ].join('\n')
+    };
+  },
+
+  payment_approved: ({ order, paymentId }) => ({
+    subject: `Pago aprobado - Pedido #${orderNumber(order)}`,
+    html: layout({
+      title: '¡Tu pago fue aprobado!',
+      paragraphs: [
+        `Hola, ${order.user_name}. Acreditamos el pago de tu pedido #${orderNumber(order)}.`,
+        `Número de operación: ${paymentId}.`,
+        'Ya estamos preparando tu pedido. Te avisaremos cuando lo despachemos.'
+      ].map(escapeHtml),
+      table: orderItemsHtml(order),
+      action: { label: 'Ver mi pedido', url: ordersUrl() }
+    }),
+    text: [
+      `Hola, ${order.user_name}.`,
+      '',
+      `Acreditamos el pago de tu pedido #${orderNumber(order)}.`,
+      `Número de operación: ${paymentId}.`,
+      'Ya estamos preparando tu pedido. Te avisaremos cuando lo despachemos.',
+      '',
+      orderItemsText(order)
+    ].join('\n')
+  }),
+
+  payment_rejected: ({ order, paymentId }) => ({
+    subject: `Pago rechazado - Pedido #${orderNumber(order)}`,
+    html: layout({
+      title: 'No pudimos procesar tu pago',
+      paragraphs: [
+        `Hola, ${order.user_name}. El pago ${paymentId} de tu pedido #${orderNumber(order)} fue rechazado y el pedido se canceló.`,
+        'No se realizó ningún cobro. Podés volver a comprar con otro medio de pago.'
+      ].map(escapeHtml),
+      action: { label: 'Volver a la tienda', url: config.mail.storeUrl }
+    }),
+    text: [
+      `Hola, ${order.user_name}.`,
+      '',
+      `El pago ${paymentId} de tu pedido #${orderNumber(order)} fue rechazado y el pedido se canceló.`,
+      'No se realizó ningún cobro. Podés volver a comprar con otro medio de pago.',
+      '',
+      `Volver a la tienda: ${config.mail.storeUrl}`
+    ].join('\n')
+  }),
+
+  manual_payment_received: ({ order, paymentMethod }) => {
+    const method = PAYMENT_METHODS[paymentMethod] || paymentMethod;
+
+    return {
+      subject: `Recibimos tu comprobante - Pedido #${orderNumber(order)}`,
+      html: layout({
+        title: 'Recibimos tu comprobante de pago',
+        paragraphs: [
+          `Hola, ${order.user_name}. Recibimos el comprobante de ${method.toLowerCase()} por ${formatMoney(order.total)} del pedido #${orderNumber(order)}.`,
+          'Lo verificaremos dentro de las próximas 24 horas y te avisaremos cuando se acredite.'
+        ].map(escapeHtml),
+        action: { label: 'Ver mi pedido', url: ordersUrl() }
+      }),
+      text: [
+        `Hola, ${order.user_name}.`,
+        '',
+        `Recibimos el comprobante de ${method.toLowerCase()} por ${formatMoney(order.total)} del pedido #${orderNumber(order)}.`,
+        'Lo verificaremos dentro de las próximas 24 horas y te avisaremos cuando se acredite.'
+      ].join('\n')
+    };
+  },
+
+  order_shipped: ({ order }) => {
+    const tracking = order.tracking_number
+      ? `Número de seguimiento: ${order.tracking_number}.`
+      : 'Pronto vas a poder seguir el envío desde tu cuenta.';
+
+    return {
+      subject: `Tu pedido #${orderNumber(order)} está en camino`,
+      html: layout({
+        title: '¡Tu pedido está en camino!',
+        paragraphs: [
+          `Hola, ${order.user_name}. Despachamos tu pedido #${orderNumber(order)}.`,
+          tracking,
+          `Dirección de entrega: ${order.shipping_address}.`
+        ].map(escapeHtml),
+        table: orderItemsHtml(order),
+        action: { label: 'Seguir mi envío', url: ordersUrl() }
+      }),
+      text: [
+        `Hola, ${order.user_name}.`,
+        '',
+        `Despachamos tu pedido #${orderNumber(order)}.`,
+        tracking,
+        `Dirección de entrega: ${order.shipping_address}.`,
+        '',
+        orderItemsText(order),
+        '',
+        `Seguir mi envío: ${ordersUrl()}`
+      ].join('\n')
+    };
+  },
+
+  back_in_stock: ({ productName, price, unsubscribeUrl }) => ({
+    subject: `¡${productName} volvió a estar disponible!`,
+    html: layout({
+      title: `${productName} volvió a estar disponible`,
+      paragraphs: [
+        `${productName} ya tiene stock en SlinkHard.`,
+        `Precio actual: ${formatMoney(price)}.`
+      ].map(escapeHtml),
+      action: { label: 'Comprar ahora', url: config.mail.storeUrl },
+      footer: `Recibiste este aviso porque lo pediste en SlinkHard. <a href="${escapeHtml(unsubscribeUrl)}" style="color:#7f8c8d;">No quiero más avisos de este producto</a>`
+    }),
+    text: [
+      `${productName} ya tiene stock en SlinkHard.`,
+      `Precio actual: ${formatMoney(price)}.`,
+      `Compralo antes de que se agote: ${config.mail.storeUrl}`,
+      '',
+      `Si no querés recibir más avisos de este producto: ${unsubscribeUrl}`
+    ].join('\n')
+  })
+};
+
+// Armar un email a partir del nombre de la plantilla y sus datos
+const renderEmail = (template, data) => {
+  if (!templates[template]) {
+    throw new Error(`Plantilla de email desconocida: ${template}`);
+  }
+
+  return templates[template](data);
+};
+
+module.exports = {
+  renderEmail,
+  TEMPLATE_NAMES: Object.keys(templates)
+};
@@ -0,0 +1,14 @@
+// utils/httpError.js
+
+// Error con código HTTP asociado. Se lanza desde modelos y transacciones
+// para abortar la operación y que el controlador responda con ese código.
+class HttpError extends Error {
+  constructor(statusCode, message, details = null) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+module.exports = { HttpError };
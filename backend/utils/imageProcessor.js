@@ -0,0 +1,81 @@
+// utils/imageProcessor.js
+const path = require('path');
+const fs = require('fs').promises;
+const sharp = require('sharp');
+const config = require('../config/config');
+const { HttpError } = require('./httpError');
+
+// Formatos que se aceptan como entrada (SVG queda afuera por seguridad)
+const ACCEPTED_FORMATS = ['jpeg', 'png', 'webp', 'gif', 'avif', 'tiff'];
+
+// Decodificar la imagen completa para detectar archivos corruptos o que no son imágenes
+const readMetadata = async (filePath) => {
+  try {
+    const image = sharp(filePath, { failOn: 'error' });
+    const metadata = await image.metadata();
+    await image.stats();
+    return metadata;
+  } catch (error) {
+    throw new HttpError(400, 'El archivo no es una imagen válida');
+  }
+};
+
+// Generar los tamaños de una imagen subida en WebP y en un formato de respaldo
+// (JPEG, o PNG si tiene transparencia). Se aplica la orientación EXIF y se
+// descartan los metadatos. El archivo original se elimina al terminar.
+const processProductImage = async (filePath, publicDir) => {
+  const metadata = await readMetadata(filePath);
+
+  if (!ACCEPTED_FORMATS.includes(metadata.format)) {
+    throw new HttpError(400, 'Formato de imagen no soportado');
+  }
+
+  const directory = path.dirname(filePath);
+  const baseName = path.basename(filePath, path.extname(filePath));
+  const fallbackFormat = metadata.hasAlpha ? 'png' : 'jpeg';
+  const fallbackExtension = fallbackFormat === 'png' ? 'png' : 'jpg';
+  const written = [];
+  const variants = {};
+
+  try {
+    for (const [size, width] of Object.entries(config.images.sizes)) {
+      // rotate() sin argumentos endereza según EXIF; sharp no copia los metadatos a la salida
+      const pipeline = sharp(filePath, { failOn: 'error' })
+        .rotate()
+        .resize({ width, height: width, fit: 'inside', withoutEnlargement: true });
+
+      const webpName = `${baseName}-${size}.webp`;
+      const fallbackName = `${baseName}-${size}.${fallbackExtension}`;
+
+      written.push(path.join(directory, webpName));
+      const info = await pipeline.clone()
+        .webp({ quality: config.images.webpQuality })
+        .toFile(path.join(directory, webpName));
+
+      written.push(path.join(directory, fallbackName));
+      await (fallbackFormat === 'png'
+        ? pipeline.clone().png({ compressionLevel: 9 })
+        : pipeline.clone().jpeg({ quality: config.images.jpegQuality, mozjpeg: true }))
+        .toFile(path.join(directory, fallbackName));
+
+      variants[size] = {
+        width: info.width,
+        height: info.height,
+        webp: `${publicDir}/${webpName}`,
+        fallback: `${publicDir}/${fallbackName}`
+      };
+    }
+  } catch (error) {
+    await Promise.all(written.map(file => fs.unlink(file).catch(() => {})));
+    throw new HttpError(400, 'No se pudo procesar la imagen');
+  }
+
+  await fs.unlink(filePath);
+
+  return {
+    url: variants.detail.fallback,
+    variants
+  };
+};
+
+module.exports = { processProductImage };
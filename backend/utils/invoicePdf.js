@@ -0,0 +1,127 @@
+// utils/invoicePdf.js
+const PDFDocument = require('pdfkit');
+const config = require('../config/config');
+const Invoice = require('../models/Invoice');
+
+const PAYMENT_METHOD_LABELS = {
+  mercadopago: 'MercadoPago',
+  transferencia: 'Transferencia bancaria',
+  efectivo: 'Efectivo'
+};
+
+const formatCurrency = (amount) => `$ ${Number(amount).toLocaleString('es-AR', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('es-AR');
+
+// Columnas de la tabla de items: [título, x, ancho, alineación]
+const COLUMNS = [
+  ['Descripción', 50, 190, 'left'],
+  ['Cant.', 240, 35, 'right'],
+  ['P. unitario', 280, 70, 'right'],
+  ['IVA', 355, 35, 'right'],
+  ['Neto', 395, 70, 'right'],
+  ['Total', 470, 75, 'right']
+];
+
+// Escribir el PDF de un comprobante en un stream (por ejemplo, la respuesta HTTP)
+const renderInvoicePdf = (invoice, stream) => {
+  const { store } = config.invoices;
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  doc.pipe(stream);
+
+  // Encabezado: datos fiscales del comercio y del comprobante
+  doc.fontSize(18).font('Helvetica-Bold').text(store.legalName, 50, 50);
+  doc.fontSize(9).font('Helvetica')
+    .text(store.address)
+    .text(`CUIT: ${store.cuit}`)
+    .text(`Ingresos Brutos: ${store.grossIncome}`)
+    .text(`Inicio de actividades: ${store.activityStart}`)
+    .text(store.ivaCondition);
+
+  doc.fontSize(14).font('Helvetica-Bold')
+    .text(`Factura ${invoice.invoice_type}`, 350, 50, { width: 195, align: 'right' });
+  doc.fontSize(9).font('Helvetica')
+    .text(`N° ${Invoice.formatNumber(invoice)}`, 350, 72, { width: 195, align: 'right' })
+    .text(`Fecha: ${formatDate(invoice.issued_at)}`, { width: 195, align: 'right' })
+    .text(`Orden: ${invoice.order_id}`, { width: 195, align: 'right' });
+
+  doc.moveTo(50, 140).lineTo(545, 140).stroke();
+
+  // Datos del comprador y del pago
+  doc.fontSize(10).font('Helvetica-Bold').text('Cliente', 50, 152);
+  doc.fontSize(9).font('Helvetica')
+    .text(invoice.buyer_name)
+    .text(invoice.buyer_email)
+    .text(invoice.buyer_address || '', { width: 250 })
+    .text('Condición frente al IVA: Consumidor Final');
+
+  doc.fontSize(10).font('Helvetica-Bold').text('Pago', 330, 152);
+  doc.fontSize(9).font('Helvetica')
+    .text(`Medio: ${PAYMENT_METHOD_LABELS[invoice.payment_method] || invoice.payment_method}`, 330)
+    .text(`ID de pago: ${invoice.payment_reference || '-'}`, 330);
+
+  // Tabla de items
+  let y = 240;
+  doc.fontSize(9).font('Helvetica-Bold');
+  for (const [title, x, width, align] of COLUMNS) {
+    doc.text(title, x, y, { width, align });
+  }
+  doc.moveTo(50, y + 14).lineTo(545, y + 14).stroke();
+  y += 22;
+
+  doc.font('Helvetica');
+  for (const line of invoice.lines) {
+    if (y > 720) {
+      doc.addPage();
+      y = 50;
+    }
+
+    let description = line.sku ? `${line.description} (${line.sku})` : line.description;
+    if (line.discount > 0) {
+      description += `\nBonificación: -${formatCurrency(line.discount)}`;
+    }
+
+    const values = [
+      description,
+      String(line.quantity),
+      formatCurrency(line.unit_price),
+      `${line.iva_rate}%`,
+      formatCurrency(line.net),
+      formatCurrency(line.total)
+    ];
+
+    const rowHeight = doc.heightOfString(values[0], { width: COLUMNS[0][2] });
+    COLUMNS.forEach(([, x, width, align], index) => {
+      doc.text(values[index], x, y, { width, align });
+    });
+    y += Math.max(rowHeight, 12) + 6;
+  }
+
+  doc.moveTo(50, y).lineTo(545, y).stroke();
+  y += 12;
+
+  // Totales con el detalle de IVA por alícuota
+  const totalRow = (label, amount, bold = false) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica')
+      .text(label, 330, y, { width: 135, align: 'right' })
+      .text(formatCurrency(amount), 470, y, { width: 75, align: 'right' });
+    y += 16;
+  };
+
+  totalRow('Subtotal neto', invoice.net_total);
+  for (const rate of Invoice.getIvaBreakdown(invoice)) {
+    totalRow(`IVA ${rate.iva_rate}%`, rate.iva);
+  }
+  totalRow('Total', invoice.total, true);
+
+  doc.fontSize(8).font('Helvetica')
+    .text('Los precios incluyen IVA.', 50, y + 20)
+    .text('Comprobante generado por SlinkHard a partir de la orden pagada.', 50);
+
+  doc.end();
+};
+
+module.exports = { renderInvoicePdf };
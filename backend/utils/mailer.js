@@ -0,0 +1,53 @@
+// utils/mailer.js
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const config = require('../config/config');
+
+let transporter = null;
+
+// Transporte según config.mail.transport. El de archivos arma el mensaje
+// completo sin enviarlo para guardarlo como .eml.
+const getTransporter = () => {
+  if (transporter) return transporter;
+
+  if (config.mail.transport === 'smtp') {
+    const { host, port, secure, user, pass } = config.mail.smtp;
+    transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  } else if (config.mail.transport === 'file') {
+    transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  } else {
+    throw new Error(`Transporte de email desconocido: ${config.mail.transport}`);
+  }
+
+  return transporter;
+};
+
+// Enviar un email ya armado. Devuelve el id del mensaje y, en desarrollo, el archivo generado.
+const sendMail = async ({ to, subject, html, text }) => {
+  const info = await getTransporter().sendMail({
+    from: config.mail.from,
+    to,
+    subject,
+    html,
+    text
+  });
+
+  if (config.mail.transport !== 'file') {
+    return { messageId: info.messageId };
+  }
+
+  await fs.mkdir(config.mail.fileDir, { recursive: true });
+  const fileName = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.eml`;
+  const file = path.join(config.mail.fileDir, fileName);
+  await fs.writeFile(file, info.message);
+
+  return { messageId: info.messageId, file };
+};
+
+module.exports = { sendMail };
@@ -2,6 +2,19 @@
 -- Crear extensiones necesarias
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 CREATE EXTENSION IF NOT EXISTS "pgcrypto";
+CREATE EXTENSION IF NOT EXISTS "unaccent";
+CREATE EXTENSION IF NOT EXISTS "pg_trgm";
+
+-- Búsqueda en español sin distinguir acentos ("mecanico" encuentra "Mecánico")
+CREATE TEXT SEARCH CONFIGURATION es_unaccent (COPY = spanish);
+ALTER TEXT SEARCH CONFIGURATION es_unaccent
+    ALTER MAPPING FOR hword, hword_part, word WITH unaccent, spanish_stem;
+
+-- unaccent() no es IMMUTABLE; este envoltorio permite usarlo en índices
+CREATE OR REPLACE FUNCTION f_unaccent(text)
+RETURNS text AS $$
+    SELECT public.unaccent('public.unaccent', $1);
+$$ LANGUAGE sql IMMUTABLE PARALLEL SAFE STRICT;
 
 -- Tabla de usuarios
 CREATE TABLE users (
@@ -20,9 +33,11 @@ CREATE TABLE users (
 -- Tabla de categorías
 CREATE TABLE categories (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    name VARCHAR(50) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
     description TEXT,
-    slug VARCHAR(50) UNIQUE NOT NULL,
+    slug VARCHAR(100) UNIQUE NOT NULL,
+    parent_id UUID REFERENCES categories(id), -- NULL: categoría principal
+    sort_order INTEGER NOT NULL DEFAULT 0, -- orden entre categorías hermanas
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -38,13 +53,91 @@ CREATE TABLE products (
     product_type VARCHAR(20) DEFAULT 'normal' CHECK (product_type IN ('normal', 'oferta', 'nuevo', 'usado', 'unico')),
     stock INTEGER DEFAULT 0 CHECK (stock >= 0),
     sku VARCHAR(50) UNIQUE,
+    brand VARCHAR(100),
     weight DECIMAL(8, 2),
     dimensions JSONB,
+    iva_rate DECIMAL(4, 2) CHECK (iva_rate >= 0), -- NULL usa la alícuota general
+    is_bundle BOOLEAN DEFAULT FALSE, -- combo: el stock se deriva de bundle_items
+    parent_id UUID REFERENCES products(id) ON DELETE CASCADE, -- variante de otro producto
+    variant_options JSONB, -- en el padre: [{ name, values: [...] }]
+    option_values JSONB, -- en la variante: { "Capacidad": "16GB" }
+    price_override DECIMAL(12, 2) CHECK (price_override >= 0), -- NULL: precio del padre
     is_featured BOOLEAN DEFAULT FALSE,
+    search_vector TSVECTOR, -- mantenido por update_products_search_vector
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Galería de imágenes de productos. La primera según sort_order es la principal
+-- y se replica en products.image_url.
+CREATE TABLE product_images (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    -- Tamaños generados: { thumbnail|card|detail: { width, height, webp, fallback } }
+    variants JSONB,
+    alt_text VARCHAR(200),
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Atributos de la ficha técnica por categoría. Las subcategorías heredan los
+-- atributos de sus categorías padre.
+CREATE TABLE category_attributes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    category_id UUID NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+    key VARCHAR(50) NOT NULL, -- usada en los filtros: spec=vram>=12
+    label VARCHAR(100) NOT NULL,
+    data_type VARCHAR(20) NOT NULL CHECK (data_type IN ('number', 'text', 'boolean', 'enum')),
+    unit VARCHAR(20), -- GB, W, MHz
+    options JSONB, -- valores permitidos de los atributos enum
+    is_filterable BOOLEAN DEFAULT TRUE,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    UNIQUE(category_id, key)
+);
+
+-- Valores de la ficha técnica. Se usa la columna del tipo del atributo.
+CREATE TABLE product_specs (
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    attribute_id UUID NOT NULL REFERENCES category_attributes(id) ON DELETE CASCADE,
+    value_number DECIMAL(14, 4),
+    value_text VARCHAR(200),
+    value_boolean BOOLEAN,
+    PRIMARY KEY (product_id, attribute_id)
+);
+
+-- Componentes de productos combo
+CREATE TABLE bundle_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    bundle_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    component_id UUID NOT NULL REFERENCES products(id) ON DELETE RESTRICT,
+    quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity > 0),
+    UNIQUE(bundle_id, component_id),
+    CHECK (bundle_id <> component_id)
+);
+
+-- Cupones de descuento
+CREATE TABLE coupons (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(50) UNIQUE NOT NULL, -- siempre en mayúsculas
+    description TEXT,
+    discount_type VARCHAR(20) NOT NULL CHECK (discount_type IN ('percentage', 'fixed')),
+    discount_value DECIMAL(12, 2) NOT NULL CHECK (discount_value > 0),
+    max_discount DECIMAL(12, 2) CHECK (max_discount > 0), -- tope para descuentos porcentuales
+    min_order_amount DECIMAL(12, 2) NOT NULL DEFAULT 0 CHECK (min_order_amount >= 0),
+    category_ids UUID[], -- NULL: sin restricción de categoría
+    product_ids UUID[], -- NULL: sin restricción de producto
+    starts_at TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    usage_limit INTEGER CHECK (usage_limit > 0), -- NULL: usos ilimitados
+    usage_limit_per_user INTEGER CHECK (usage_limit_per_user > 0),
+    is_single_use BOOLEAN DEFAULT FALSE,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (discount_type <> 'percentage' OR discount_value <= 100)
+);
+
 -- Tabla de órdenes
 CREATE TABLE orders (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -55,6 +148,12 @@ CREATE TABLE orders (
     payment_method VARCHAR(50),
     payment_id VARCHAR(100),
     tracking_number VARCHAR(100),
+    shipping_method VARCHAR(20) DEFAULT 'envio' CHECK (shipping_method IN ('envio', 'retiro')),
+    shipping_cost DECIMAL(12, 2) NOT NULL DEFAULT 0 CHECK (shipping_cost >= 0),
+    shipping_province VARCHAR(100),
+    shipping_postal_code VARCHAR(10),
+    coupon_id UUID REFERENCES coupons(id) ON DELETE SET NULL,
+    discount_amount DECIMAL(12, 2) NOT NULL DEFAULT 0 CHECK (discount_amount >= 0),
     notes TEXT,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
@@ -68,6 +167,43 @@ CREATE TABLE order_items (
     quantity INTEGER NOT NULL CHECK (quantity > 0),
     unit_price DECIMAL(12, 2) NOT NULL CHECK (unit_price >= 0),
     total_price DECIMAL(12, 2) NOT NULL CHECK (total_price >= 0),
+    restocked_quantity INTEGER NOT NULL DEFAULT 0 CHECK (restocked_quantity >= 0),
+    discount_amount DECIMAL(12, 2) NOT NULL DEFAULT 0 CHECK (discount_amount >= 0), -- parte del cupón asignada a la línea
+    components JSONB, -- composición del combo al comprar: [{ product_id, quantity }]
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Usos de cupones por orden
+CREATE TABLE coupon_redemptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    coupon_id UUID NOT NULL REFERENCES coupons(id) ON DELETE CASCADE,
+    order_id UUID NOT NULL UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    discount_amount DECIMAL(12, 2) NOT NULL CHECK (discount_amount >= 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Historial de estados de órdenes
+CREATE TABLE order_status_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    actor_type VARCHAR(20) NOT NULL CHECK (actor_type IN ('customer', 'admin', 'system', 'mercadopago', 'carrier')),
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Reservas de stock de órdenes pendientes de pago
+CREATE TABLE stock_reservations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'released', 'consumed')),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    released_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -78,13 +214,109 @@ CREATE TABLE payments (
     payment_method VARCHAR(50) NOT NULL,
     amount DECIMAL(12, 2) NOT NULL CHECK (amount >= 0),
     currency VARCHAR(3) DEFAULT 'ARS',
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled', 'refunded', 'partially_refunded')),
+    external_id VARCHAR(100),
+    gateway_response JSONB,
+    refunded_amount DECIMAL(12, 2) NOT NULL DEFAULT 0 CHECK (refunded_amount >= 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tabla de reembolsos
+CREATE TABLE refunds (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    payment_id UUID NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+    amount DECIMAL(12, 2) NOT NULL CHECK (amount > 0),
+    is_total BOOLEAN NOT NULL DEFAULT FALSE,
+    items JSONB, -- items devueltos al stock en reembolsos parciales
     status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')),
+    reason TEXT,
     external_id VARCHAR(100),
     gateway_response JSONB,
+    requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Envíos generados con transportistas
+CREATE TABLE shipments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    carrier VARCHAR(50) NOT NULL,
+    tracking_number VARCHAR(100) NOT NULL,
+    label_url TEXT,
+    status VARCHAR(20) DEFAULT 'created' CHECK (status IN ('created', 'in_transit', 'delivered', 'exception', 'cancelled')),
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    last_synced_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Eventos de seguimiento informados por el transportista
+CREATE TABLE tracking_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    shipment_id UUID NOT NULL REFERENCES shipments(id) ON DELETE CASCADE,
+    status VARCHAR(30) NOT NULL,
+    description TEXT,
+    location VARCHAR(200),
+    occurred_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(shipment_id, status, occurred_at)
+);
+
+-- Numeración correlativa de comprobantes por punto de venta
+CREATE TABLE invoice_sequences (
+    point_of_sale INTEGER PRIMARY KEY,
+    last_number INTEGER NOT NULL DEFAULT 0
+);
+
+-- Comprobantes emitidos para órdenes pagadas
+CREATE TABLE invoices (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL UNIQUE REFERENCES orders(id) ON DELETE RESTRICT,
+    point_of_sale INTEGER NOT NULL,
+    number INTEGER NOT NULL,
+    invoice_type CHAR(1) NOT NULL CHECK (invoice_type IN ('A', 'B', 'C')),
+    buyer_name VARCHAR(100) NOT NULL,
+    buyer_email VARCHAR(255) NOT NULL,
+    buyer_address TEXT,
+    lines JSONB NOT NULL, -- [{ description, sku, quantity, unit_price, discount, total, iva_rate, net, iva }]
+    net_total DECIMAL(12, 2) NOT NULL,
+    iva_total DECIMAL(12, 2) NOT NULL,
+    total DECIMAL(12, 2) NOT NULL,
+    payment_method VARCHAR(50),
+    payment_reference VARCHAR(100),
+    issued_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(point_of_sale, number)
+);
+
+-- Reseñas de productos. Solo de compradores verificados y visibles una vez aprobadas.
+CREATE TABLE reviews (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE, -- producto padre, no la variante
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    order_id UUID REFERENCES orders(id) ON DELETE SET NULL, -- compra que habilitó la reseña
+    rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    title VARCHAR(100),
+    comment TEXT,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'hidden')),
+    helpful_count INTEGER NOT NULL DEFAULT 0, -- mantenido a partir de review_votes
+    admin_reply TEXT,
+    replied_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(product_id, user_id)
+);
+
+-- Votos de "me resultó útil" sobre reseñas
+CREATE TABLE review_votes (
+    review_id UUID NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (review_id, user_id)
+);
+
 -- Tabla de sesiones de usuario
 CREATE TABLE user_sessions (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -100,21 +332,100 @@ CREATE TABLE cart_items (
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
     quantity INTEGER NOT NULL CHECK (quantity > 0),
+    unit_price DECIMAL(12, 2) CHECK (unit_price >= 0), -- precio al momento de agregar
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(user_id, product_id)
 );
 
+-- Emails transaccionales encolados. Se envían fuera de la transacción que los
+-- origina y se reintentan con espera creciente hasta agotar los intentos.
+CREATE TABLE email_outbox (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    template VARCHAR(50) NOT NULL,
+    recipient VARCHAR(255) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    html TEXT NOT NULL,
+    text TEXT NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    locked_until TIMESTAMP WITH TIME ZONE, -- mientras un proceso lo está enviando
+    last_error TEXT,
+    message_id VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Suscripciones al aviso de reposición, de clientes o de visitantes sin cuenta
+CREATE TABLE stock_subscriptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    email VARCHAR(255) NOT NULL, -- guardado en minúsculas
+    unsubscribe_token VARCHAR(64) UNIQUE NOT NULL,
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'notified', 'unsubscribed')),
+    notified_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Avisos de reposición encolados por queue_stock_notifications
+CREATE TABLE stock_notifications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    subscription_id UUID NOT NULL REFERENCES stock_subscriptions(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'cancelled')),
+    email_id UUID REFERENCES email_outbox(id), -- email encolado con el aviso
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Productos guardados en favoritos
+CREATE TABLE wishlist_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    added_price DECIMAL(12, 2), -- precio mostrado al guardarlo ("desde" si tiene variantes), para avisar bajas
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, product_id)
+);
+
 -- Índices para optimización
 CREATE INDEX idx_users_email ON users(email);
+CREATE INDEX idx_categories_parent ON categories(parent_id, sort_order);
+-- Nombres únicos entre categorías hermanas
+CREATE UNIQUE INDEX idx_categories_sibling_name ON categories(COALESCE(parent_id, '00000000-0000-0000-0000-000000000000'), lower(name));
 CREATE INDEX idx_products_category ON products(category_id);
 CREATE INDEX idx_products_status ON products(status);
 CREATE INDEX idx_products_featured ON products(is_featured);
+CREATE INDEX idx_bundle_items_component ON bundle_items(component_id);
+CREATE INDEX idx_products_parent ON products(parent_id);
+CREATE INDEX idx_products_search ON products USING GIN(search_vector);
+CREATE INDEX idx_products_brand ON products(lower(brand));
+CREATE INDEX idx_products_name_trgm ON products USING GIN(f_unaccent(lower(name)) gin_trgm_ops);
+CREATE INDEX idx_product_images_product ON product_images(product_id, sort_order);
+CREATE INDEX idx_product_specs_number ON product_specs(attribute_id, value_number);
+CREATE INDEX idx_product_specs_text ON product_specs(attribute_id, lower(value_text));
+CREATE UNIQUE INDEX idx_products_variant_options ON products(parent_id, option_values) WHERE parent_id IS NOT NULL;
 CREATE INDEX idx_orders_user ON orders(user_id);
 CREATE INDEX idx_orders_status ON orders(status);
 CREATE INDEX idx_order_items_order ON order_items(order_id);
+CREATE INDEX idx_coupon_redemptions_coupon ON coupon_redemptions(coupon_id, user_id);
+CREATE INDEX idx_order_status_history_order ON order_status_history(order_id);
+CREATE INDEX idx_stock_reservations_order ON stock_reservations(order_id);
+CREATE INDEX idx_stock_reservations_active ON stock_reservations(product_id, expires_at) WHERE status = 'active';
 CREATE INDEX idx_payments_order ON payments(order_id);
+CREATE INDEX idx_refunds_order ON refunds(order_id);
+CREATE UNIQUE INDEX idx_shipments_active_order ON shipments(order_id) WHERE status <> 'cancelled';
+CREATE INDEX idx_tracking_events_shipment ON tracking_events(shipment_id);
 CREATE INDEX idx_cart_user ON cart_items(user_id);
+CREATE INDEX idx_wishlist_product ON wishlist_items(product_id);
+-- Una suscripción activa por email y producto
+CREATE UNIQUE INDEX idx_stock_subscriptions_active ON stock_subscriptions(product_id, email) WHERE status = 'active';
+CREATE INDEX idx_stock_notifications_pending ON stock_notifications(created_at) WHERE status = 'pending';
+CREATE INDEX idx_email_outbox_pending ON email_outbox(next_attempt_at) WHERE status IN ('pending', 'sending');
+CREATE INDEX idx_reviews_product ON reviews(product_id, status);
+CREATE INDEX idx_reviews_status ON reviews(status, created_at);
 
 -- Triggers para updated_at
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -137,35 +448,113 @@ CREATE TRIGGER update_orders_updated_at BEFORE UPDATE ON orders
 CREATE TRIGGER update_payments_updated_at BEFORE UPDATE ON payments
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_coupons_updated_at BEFORE UPDATE ON coupons
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_refunds_updated_at BEFORE UPDATE ON refunds
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_shipments_updated_at BEFORE UPDATE ON shipments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_cart_items_updated_at BEFORE UPDATE ON cart_items
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_reviews_updated_at BEFORE UPDATE ON reviews
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Vector de búsqueda de productos: nombre y SKU pesan más que la descripción
+CREATE OR REPLACE FUNCTION update_products_search_vector()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.search_vector =
+        setweight(to_tsvector('es_unaccent', COALESCE(NEW.name, '')), 'A') ||
+        setweight(to_tsvector('simple', COALESCE(NEW.sku, '')), 'A') ||
+        setweight(to_tsvector('es_unaccent', COALESCE(NEW.description, '')), 'C');
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER update_products_search_vector BEFORE INSERT OR UPDATE OF name, sku, description ON products
+    FOR EACH ROW EXECUTE FUNCTION update_products_search_vector();
+
+-- Aviso de reposición: cuando el stock pasa de 0 a positivo se encola un aviso
+-- por suscriptor activo. La reposición de una variante avisa a los suscriptos del padre.
+-- El stock que vuelve al liberarse una reserva lo encola StockAlert.queueAvailable.
+CREATE OR REPLACE FUNCTION queue_stock_notifications()
+RETURNS TRIGGER AS $$
+BEGIN
+    WITH notified AS (
+        UPDATE stock_subscriptions
+        SET status = 'notified', notified_at = CURRENT_TIMESTAMP
+        WHERE status = 'active' AND product_id IN (NEW.id, NEW.parent_id)
+        RETURNING id, product_id
+    )
+    INSERT INTO stock_notifications (subscription_id, product_id)
+    SELECT id, product_id FROM notified;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER queue_stock_notifications AFTER UPDATE OF stock ON products
+    FOR EACH ROW WHEN (OLD.stock = 0 AND NEW.stock > 0 AND NEW.status = 'disponible')
+    EXECUTE FUNCTION queue_stock_notifications();
+
 -- Insertar categorías iniciales
-INSERT INTO categories (name, description, slug) VALUES
-('Hardware', 'Componentes de hardware para PC', 'hardware'),
-('Periféricos', 'Teclados, mouse, monitores', 'perifericos'),
-('Parlantes', 'Sistemas de sonido y audio', 'parlantes'),
-('Consolas', 'Consolas de videojuegos', 'consolas'),
-('Juegos', 'Videojuegos para diferentes plataformas', 'juegos'),
-('Combos', 'Paquetes y ofertas especiales', 'combos');
+INSERT INTO categories (name, description, slug, sort_order) VALUES
+('Hardware', 'Componentes de hardware para PC', 'hardware', 0),
+('Periféricos', 'Teclados, mouse, monitores', 'perifericos', 1),
+('Parlantes', 'Sistemas de sonido y audio', 'parlantes', 2),
+('Consolas', 'Consolas de videojuegos', 'consolas', 3),
+('Juegos', 'Videojuegos para diferentes plataformas', 'juegos', 4),
+('Combos', 'Paquetes y ofertas especiales', 'combos', 5);
+
+INSERT INTO categories (name, description, slug, parent_id, sort_order) VALUES
+('Placas de video', 'Tarjetas gráficas', 'placas-de-video', (SELECT id FROM categories WHERE slug = 'hardware'), 0);
+
+INSERT INTO categories (name, description, slug, parent_id, sort_order) VALUES
+('NVIDIA', 'Placas de video NVIDIA GeForce', 'placas-de-video-nvidia', (SELECT id FROM categories WHERE slug = 'placas-de-video'), 0),
+('AMD', 'Placas de video AMD Radeon', 'placas-de-video-amd', (SELECT id FROM categories WHERE slug = 'placas-de-video'), 1);
+
+-- Fichas técnicas iniciales
+INSERT INTO category_attributes (category_id, key, label, data_type, unit, options, sort_order) VALUES
+((SELECT id FROM categories WHERE slug = 'placas-de-video'), 'vram', 'Memoria de video', 'number', 'GB', NULL, 0),
+((SELECT id FROM categories WHERE slug = 'placas-de-video'), 'memory_type', 'Tipo de memoria', 'enum', NULL, '["GDDR6", "GDDR6X", "GDDR7"]', 1),
+((SELECT id FROM categories WHERE slug = 'placas-de-video'), 'tdp', 'Consumo', 'number', 'W', NULL, 2),
+((SELECT id FROM categories WHERE slug = 'perifericos'), 'wireless', 'Inalámbrico', 'boolean', NULL, NULL, 0);
 
 -- Insertar usuario administrador
 INSERT INTO users (name, email, password, role) VALUES
 ('Administrador', 'admin@slinkhard.com', crypt('admin123', gen_salt('bf')), 'admin');
 
 -- Insertar productos de ejemplo
-INSERT INTO products (name, description, price, category_id, image_url, status, product_type, stock, sku) VALUES
+INSERT INTO products (name, description, price, category_id, image_url, status, product_type, stock, sku, brand) VALUES
 ('RTX 4090 Gaming X Trio', 'Tarjeta gráfica NVIDIA RTX 4090 MSI Gaming X Trio', 850000.00, 
- (SELECT id FROM categories WHERE slug = 'hardware'), 
+ (SELECT id FROM categories WHERE slug = 'placas-de-video-nvidia'), 
  'https://images.unsplash.com/photo-1591799264318-7e6ef8ddb7ea?w=400', 
- 'disponible', 'nuevo', 5, 'RTX4090-MSI-001'),
+ 'disponible', 'nuevo', 5, 'RTX4090-MSI-001', 'MSI'),
 
 ('Teclado Mecánico Logitech G915', 'Teclado mecánico inalámbrico con switches táctiles', 65000.00,
  (SELECT id FROM categories WHERE slug = 'perifericos'),
  'https://images.unsplash.com/photo-1587829741301-dc798b83add3?w=400',
- 'disponible', 'oferta', 10, 'LOG-G915-001'),
+ 'disponible', 'oferta', 10, 'LOG-G915-001', 'Logitech'),
 
 ('PlayStation 5', 'Consola de videojuegos Sony PlayStation 5', 420000.00,
  (SELECT id FROM categories WHERE slug = 'consolas'),
  'https://images.unsplash.com/photo-1606813907291-d86efa9b94db?w=400',
- 'disponible', 'normal', 3, 'PS5-SNY-001');
\ No newline at end of file
+ 'disponible', 'normal', 3, 'PS5-SNY-001', 'Sony');
+
+INSERT INTO product_specs (product_id, attribute_id, value_number, value_text, value_boolean)
+SELECT p.id, ca.id, spec.value_number, spec.value_text, spec.value_boolean
+FROM (VALUES
+    ('RTX4090-MSI-001', 'vram', 24::numeric, NULL, NULL::boolean),
+    ('RTX4090-MSI-001', 'memory_type', NULL, 'GDDR6X', NULL),
+    ('RTX4090-MSI-001', 'tdp', 450, NULL, NULL),
+    ('LOG-G915-001', 'wireless', NULL, NULL, TRUE)
+) AS spec(sku, key, value_number, value_text, value_boolean)
+JOIN products p ON p.sku = spec.sku
+JOIN category_attributes ca ON ca.key = spec.key;
+
+-- La imagen de cada producto de ejemplo inicia su galería
+INSERT INTO product_images (product_id, url, alt_text, sort_order)
+SELECT id, image_url, name, 0 FROM products WHERE image_url IS NOT NULL;
\ No newline at end of file
@@ -30,16 +30,19 @@ class ApiClient {
       
       return data;
     } catch (error) {
-      console.error('API Error:', error);
+      // Las búsquedas canceladas por una más nueva no son errores
+      if (error.name !== 'AbortError') {
+        console.error('API Error:', error);
+      }
       throw error;
     }
   }
 
   // Métodos de autenticación
-  async login(email, password) {
+  async login(email, password, guestCart = []) {
     const response = await this.request('/auth/login', {
       method: 'POST',
-      body: JSON.stringify({ email, password })
+      body: JSON.stringify({ email, password, guest_cart: guestCart })
     });
     
     if (response.success) {
@@ -51,10 +54,10 @@ class ApiClient {
     return response;
   }
 
-  async register(userData) {
+  async register(userData, guestCart = []) {
     const response = await this.request('/auth/register', {
       method: 'POST',
-      body: JSON.stringify(userData)
+      body: JSON.stringify({ ...userData, guest_cart: guestCart })
     });
     
     if (response.success) {
@@ -66,6 +69,19 @@ class ApiClient {
     return response;
   }
 
+  async verifyEmail(token) {
+    return await this.request('/auth/verify-email', {
+      method: 'POST',
+      body: JSON.stringify({ token })
+    });
+  }
+
+  async resendVerification() {
+    return await this.request('/auth/resend-verification', {
+      method: 'POST'
+    });
+  }
+
   async logout() {
     await this.request('/auth/logout', { method: 'POST' });
     this.token = null;
@@ -83,6 +99,69 @@ class ApiClient {
     return await this.request(`/products/${id}`);
   }
 
+  // Métodos de categorías
+  async getCategoryTree() {
+    return await this.request('/categories/tree');
+  }
+
+  async createCategory(categoryData) {
+    return await this.request('/categories', {
+      method: 'POST',
+      body: JSON.stringify(categoryData)
+    });
+  }
+
+  async updateCategory(id, categoryData) {
+    return await this.request(`/categories/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(categoryData)
+    });
+  }
+
+  async reorderCategories(parentId, categoryIds) {
+    return await this.request('/categories/order', {
+      method: 'PUT',
+      body: JSON.stringify({ parent_id: parentId, category_ids: categoryIds })
+    });
+  }
+
+  async deleteCategory(id) {
+    return await this.request(`/categories/${id}`, {
+      method: 'DELETE'
+    });
+  }
+
+  // Atributos de la ficha técnica de una categoría, incluidos los heredados
+  async getCategoryAttributes(categoryId) {
+    return await this.request(`/categories/${categoryId}/attributes`);
+  }
+
+  async createCategoryAttribute(categoryId, attributeData) {
+    return await this.request(`/categories/${categoryId}/attributes`, {
+      method: 'POST',
+      body: JSON.stringify(attributeData)
+    });
+  }
+
+  async updateCategoryAttribute(categoryId, attributeId, attributeData) {
+    return await this.request(`/categories/${categoryId}/attributes/${attributeId}`, {
+      method: 'PUT',
+      body: JSON.stringify(attributeData)
+    });
+  }
+
+  async deleteCategoryAttribute(categoryId, attributeId) {
+    return await this.request(`/categories/${categoryId}/attributes/${attributeId}`, {
+      method: 'DELETE'
+    });
+  }
+
+  // Sugerencias de búsqueda. signal permite cancelar la petición anterior.
+  async suggestProducts(term, signal) {
+    const params = new URLSearchParams({ q: term });
+    return await this.request(`/products/suggest?${params}`, { signal });
+  }
+
   async createProduct(productData) {
     return await this.request('/products', {
       method: 'POST',
@@ -103,6 +182,103 @@ class ApiClient {
     });
   }
 
+  // Métodos de la galería de imágenes
+  // Ficha técnica: { clave: valor }, null borra el valor
+  async updateProductSpecs(id, specs) {
+    return await this.request(`/products/${id}/specs`, {
+      method: 'PUT',
+      body: JSON.stringify({ specs })
+    });
+  }
+
+  // Métodos de reseñas
+  async getProductReviews(id, options = {}) {
+    const params = new URLSearchParams(options);
+    return await this.request(`/products/${id}/reviews?${params}`);
+  }
+
+  async createReview(id, reviewData) {
+    return await this.request(`/products/${id}/reviews`, {
+      method: 'POST',
+      body: JSON.stringify(reviewData)
+    });
+  }
+
+  async toggleReviewHelpful(reviewId) {
+    return await this.request(`/reviews/${reviewId}/helpful`, {
+      method: 'POST'
+    });
+  }
+
+  async getReviews(filters = {}) {
+    const params = new URLSearchParams(filters);
+    return await this.request(`/reviews?${params}`);
+  }
+
+  async updateReviewStatus(reviewId, status) {
+    return await this.request(`/reviews/${reviewId}/status`, {
+      method: 'PATCH',
+      body: JSON.stringify({ status })
+    });
+  }
+
+  async replyToReview(reviewId, reply) {
+    return await this.request(`/reviews/${reviewId}/reply`, {
+      method: 'PUT',
+      body: JSON.stringify({ reply })
+    });
+  }
+
+  // Comparativa lado a lado de 2 a 4 productos
+  async compareProducts(ids) {
+    const params = new URLSearchParams({ ids: ids.join(',') });
+    return await this.request(`/products/compare?${params}`);
+  }
+
+  async getProductImages(id) {
+    return await this.request(`/products/${id}/images`);
+  }
+
+  // Subir varias imágenes. Se envía multipart, sin el Content-Type JSON de request().
+  async uploadProductImages(id, files, altTexts = []) {
+    const formData = new FormData();
+    Array.from(files).forEach(file => formData.append('images', file));
+    altTexts.forEach(text => formData.append('alt_texts', text));
+
+    const response = await fetch(`${this.baseURL}/products/${id}/images`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${this.token}` },
+      body: formData
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || 'Error subiendo las imágenes');
+    }
+
+    return data;
+  }
+
+  async reorderProductImages(id, imageIds) {
+    return await this.request(`/products/${id}/images/order`, {
+      method: 'PUT',
+      body: JSON.stringify({ image_ids: imageIds })
+    });
+  }
+
+  async updateProductImage(id, imageId, altText) {
+    return await this.request(`/products/${id}/images/${imageId}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ alt_text: altText })
+    });
+  }
+
+  async deleteProductImage(id, imageId) {
+    return await this.request(`/products/${id}/images/${imageId}`, {
+      method: 'DELETE'
+    });
+  }
+
   // Métodos de órdenes
   async createOrder(orderData) {
     return await this.request('/orders', {
@@ -119,6 +295,110 @@ class ApiClient {
     return await this.request(`/orders/${id}`);
   }
 
+  async getAllOrders(filters = {}) {
+    const params = new URLSearchParams(filters);
+    return await this.request(`/orders/admin/all?${params}`);
+  }
+
+  async getOrderTracking(id) {
+    return await this.request(`/orders/${id}/tracking`);
+  }
+
+  // Descargar el comprobante PDF de una orden pagada
+  async downloadInvoice(id) {
+    const response = await fetch(`${this.baseURL}/orders/${id}/invoice`, {
+      headers: { Authorization: `Bearer ${this.token}` }
+    });
+
+    if (!response.ok) {
+      const data = await response.json();
+      throw new Error(data.message || 'Error descargando el comprobante');
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="(.+)"/);
+
+    return {
+      blob: await response.blob(),
+      filename: match ? match[1] : `comprobante-${id}.pdf`
+    };
+  }
+
+  // Métodos de cupones
+  async validateCoupon(code, items = []) {
+    return await this.request('/coupons/validate', {
+      method: 'POST',
+      body: JSON.stringify({ code, items })
+    });
+  }
+
+  async createShipment(id, carrier) {
+    return await this.request(`/orders/${id}/shipment`, {
+      method: 'POST',
+      body: JSON.stringify({ carrier })
+    });
+  }
+
+  async cancelOrder(id, reason) {
+    return await this.request(`/orders/${id}/cancel`, {
+      method: 'POST',
+      body: JSON.stringify({ reason })
+    });
+  }
+
+  async refundOrder(id, refundData = {}) {
+    return await this.request(`/orders/${id}/refund`, {
+      method: 'POST',
+      body: JSON.stringify(refundData)
+    });
+  }
+
+  async updateOrderStatus(id, status, details = {}) {
+    return await this.request(`/orders/${id}/status`, {
+      method: 'PATCH',
+      body: JSON.stringify({ status, ...details })
+    });
+  }
+
+  // Métodos de favoritos
+  async getWishlist() {
+    return await this.request('/wishlist');
+  }
+
+  async addToWishlist(productId) {
+    return await this.request('/wishlist', {
+      method: 'POST',
+      body: JSON.stringify({ product_id: productId })
+    });
+  }
+
+  async removeFromWishlist(productId) {
+    return await this.request(`/wishlist/${productId}`, {
+      method: 'DELETE'
+    });
+  }
+
+  async moveWishlistItemToCart(productId, quantity = 1, variantId = null) {
+    return await this.request(`/wishlist/${productId}/move-to-cart`, {
+      method: 'POST',
+      body: JSON.stringify({ quantity, variant_id: variantId })
+    });
+  }
+
+  // Avisos de reposición. Sin sesión se envía el email del visitante.
+  async subscribeStockAlert(productId, email = null) {
+    return await this.request('/stock-alerts', {
+      method: 'POST',
+      body: JSON.stringify(email ? { product_id: productId, email } : { product_id: productId })
+    });
+  }
+
+  async unsubscribeStockAlert(token) {
+    return await this.request(`/stock-alerts/${token}`, {
+      method: 'DELETE'
+    });
+  }
+
   // Métodos de carrito
   async getCart() {
     return await this.request('/cart');
@@ -131,6 +411,13 @@ class ApiClient {
     });
   }
 
+  async mergeCart(items) {
+    return await this.request('/cart/merge', {
+      method: 'POST',
+      body: JSON.stringify({ items })
+    });
+  }
+
   async updateCartItem(productId, quantity) {
     return await this.request('/cart/update', {
       method: 'PUT',
@@ -150,6 +437,18 @@ class ApiClient {
     });
   }
 
+  // Métodos de envío
+  async getShippingProvinces() {
+    return await this.request('/shipping/provinces');
+  }
+
+  async quoteShipping(quoteData) {
+    return await this.request('/shipping/quote', {
+      method: 'POST',
+      body: JSON.stringify(quoteData)
+    });
+  }
+
   // Métodos de pagos
   async createPaymentPreference(orderId) {
     return await this.request('/payments/preference', {
@@ -188,14 +487,32 @@ class SlinkHardApp {
     this.cart = [];
     this.currentUser = null;
     this.products = [];
+    this.pendingCheckout = false;
+    this.shippingQuote = null;
+    this.suggestions = [];
+    this.activeSuggestion = -1;
+    this.suggestTimer = null;
+    this.suggestController = null;
+    this.listingFilters = {};
+    this.listingTitle = '';
+    this.listingProducts = [];
+    this.listingCursor = null;
+    this.specAttributes = [];
+    this.wishlist = [];
+    this.wishlistIds = new Set();
+    this.stockAlertProductId = null;
     this.init();
   }
 
   async init() {
     this.loadUserFromStorage();
+    this.loadCategoryMenu();
     await this.loadProducts();
-    this.updateCartCount();
+    await this.loadCart();
+    await this.loadWishlist();
     this.setupEventListeners();
+    this.handleStockAlertUnsubscribe();
+    this.handleEmailVerification();
   }
 
   loadUserFromStorage() {
@@ -219,6 +536,158 @@ class SlinkHardApp {
     }
   }
 
+  // Menú de navegación armado con el árbol de categorías
+  async loadCategoryMenu() {
+    try {
+      const response = await api.getCategoryTree();
+      if (response.success) {
+        this.renderCategoryMenu(response.data);
+        this.renderCategoryOptions(response.data);
+      }
+    } catch (error) {
+      // Si falla se mantienen los enlaces fijos del HTML
+      console.error('Error cargando categorías:', error);
+    }
+  }
+
+  renderCategoryMenu(tree) {
+    const renderNode = (category) => `
+      <div class="nav-item">
+        <a href="#" class="nav-link" onclick="app.showCategory('${category.slug}', '${category.name}'); return false;">
+          ${category.name}
+        </a>
+        ${category.children.length > 0 ? `
+          <div class="nav-submenu">${category.children.map(renderNode).join('')}</div>` : ''}
+      </div>
+    `;
+
+    // Ofertas y usados son tipos de producto, no categorías
+    document.getElementById('categoryNav').innerHTML = `
+      ${tree.map(renderNode).join('')}
+      <a href="#" class="nav-link" onclick="app.showProductType('oferta', 'Ofertas Especiales'); return false;">Ofertas</a>
+      <a href="#" class="nav-link" onclick="app.showProductType('usado', 'Productos Usados'); return false;">Usados</a>
+    `;
+  }
+
+  // Categorías del formulario de productos, con sangría según su nivel
+  renderCategoryOptions(tree) {
+    const select = document.getElementById('productCategory');
+    if (!select) return;
+
+    const renderOption = (category, depth) => `
+      <option value="${category.slug}" data-id="${category.id}">${'— '.repeat(depth)}${category.name}</option>
+      ${category.children.map(child => renderOption(child, depth + 1)).join('')}
+    `;
+
+    select.innerHTML = tree.map(category => renderOption(category, 0)).join('');
+    this.loadSpecFields();
+  }
+
+  // Campos de la ficha técnica según los atributos de la categoría elegida
+  async loadSpecFields() {
+    const select = document.getElementById('productCategory');
+    const container = document.getElementById('productSpecFields');
+    const categoryId = select && select.selectedOptions[0] && select.selectedOptions[0].dataset.id;
+    if (!container) return;
+
+    this.specAttributes = [];
+    container.innerHTML = '';
+    if (!categoryId) return;
+
+    try {
+      const response = await api.getCategoryAttributes(categoryId);
+      if (response.success) {
+        this.specAttributes = response.data;
+        container.innerHTML = this.specAttributes.map(attribute => this.renderSpecField(attribute)).join('');
+      }
+    } catch (error) {
+      console.error('Error cargando atributos:', error);
+    }
+  }
+
+  renderSpecField(attribute) {
+    const id = `spec-${attribute.key}`;
+    const label = `${attribute.label}${attribute.unit ? ` (${attribute.unit})` : ''}`;
+    let input;
+
+    switch (attribute.data_type) {
+      case 'number':
+        input = `<input type="number" step="any" id="${id}">`;
+        break;
+      case 'boolean':
+        input = `
+          <select id="${id}">
+            <option value="">—</option>
+            <option value="true">Sí</option>
+            <option value="false">No</option>
+          </select>`;
+        break;
+      case 'enum':
+        input = `
+          <select id="${id}">
+            <option value="">—</option>
+            ${attribute.options.map(option => `<option value="${option}">${option}</option>`).join('')}
+          </select>`;
+        break;
+      default:
+        input = `<input type="text" id="${id}" maxlength="200">`;
+    }
+
+    return `
+      <div class="form-group">
+        <label for="${id}">${label}</label>
+        ${input}
+      </div>
+    `;
+  }
+
+  // Valores cargados en el formulario, listos para updateProductSpecs. Los vacíos se omiten.
+  getSpecValues() {
+    const specs = {};
+
+    for (const attribute of this.specAttributes) {
+      const value = document.getElementById(`spec-${attribute.key}`).value.trim();
+      if (value === '') continue;
+
+      if (attribute.data_type === 'number') {
+        specs[attribute.key] = parseFloat(value);
+      } else if (attribute.data_type === 'boolean') {
+        specs[attribute.key] = value === 'true';
+      } else {
+        specs[attribute.key] = value;
+      }
+    }
+
+    return specs;
+  }
+
+  // Crear un producto desde el panel y guardar su ficha técnica con el id creado
+  async createProduct(productData) {
+    const specs = this.getSpecValues();
+    const response = await api.createProduct(productData);
+    const product = response.data;
+
+    if (Object.keys(specs).length > 0) {
+      const specsResponse = await api.updateProductSpecs(product.id, specs);
+      product.specs = specsResponse.data;
+    }
+
+    return product;
+  }
+
+  // Productos de una categoría, incluidas sus subcategorías
+  async showCategory(slug, name) {
+    this.listingFilters = { category: slug };
+    this.listingTitle = name;
+    await this.loadListing();
+  }
+
+  async showProductType(type, title) {
+    this.listingFilters = { type };
+    this.listingTitle = title;
+    await this.loadListing();
+  }
+
   displayProducts() {
     this.displayProductsInContainer(this.products, 'featuredProducts');
     this.displayProductsInContainer(
@@ -237,31 +706,136 @@ class SlinkHardApp {
 
     container.innerHTML = productList.map(product => `
       <div class="product-card">
+        <button class="wishlist-toggle ${this.wishlistIds.has(product.id) ? 'active' : ''}"
+                data-wishlist-id="${product.id}"
+                aria-pressed="${this.wishlistIds.has(product.id)}"
+                title="Guardar en favoritos"
+                onclick="app.toggleWishlist('${product.id}')">♥</button>
         ${product.product_type !== 'normal' ? 
           `<div class="product-badge badge-${product.product_type}">
             ${this.getBadgeText(product.product_type)}
           </div>` : ''}
-        <img src="${product.image_url || 'https://via.placeholder.com/300x250?text=Sin+Imagen'}" 
-             alt="${product.name}" 
-             class="product-image"
-             onerror="this.src='https://via.placeholder.com/300x250?text=Imagen+No+Disponible'">
+        <picture>
+          ${product.image_srcset ? `
+            <source type="image/webp" srcset="${product.image_srcset.webp}" sizes="(max-width: 600px) 100vw, 300px">
+            <source srcset="${product.image_srcset.fallback}" sizes="(max-width: 600px) 100vw, 300px">` : ''}
+          <img src="${product.image_url || 'https://via.placeholder.com/300x250?text=Sin+Imagen'}" 
+               alt="${product.name}" 
+               class="product-image"
+               loading="lazy"
+               onerror="this.src='https://via.placeholder.com/300x250?text=Imagen+No+Disponible'">
+        </picture>
         <div class="product-info">
           <div class="product-title">${product.name}</div>
-          <div class="product-price">$${parseFloat(product.price).toLocaleString()}</div>
+          ${product.review_count > 0 ? this.renderRating(product.average_rating, product.review_count) : ''}
+          <div class="product-price">
+            ${product.variant_count > 0 && product.min_price
+              ? `Desde $${parseFloat(product.min_price).toLocaleString()}`
+              : `$${parseFloat(product.price).toLocaleString()}`}
+            ${this.getBundlePriceComparison(product)}
+          </div>
           <div class="product-status">
-            ${product.status === 'disponible' ? 'Disponible' : 'Agotado'}
-            ${product.stock > 0 ? ` (${product.stock} unidades)` : ''}
+            ${this.isProductAvailable(product) ? 'Disponible' : 'Agotado'}
+            ${product.available_stock > 0 ? ` (${product.available_stock} unidades)` : ''}
           </div>
-          <button class="add-to-cart" 
-                  onclick="app.addToCart('${product.id}')" 
-                  ${product.status !== 'disponible' ? 'disabled' : ''}>
-            ${product.status === 'disponible' ? 'Agregar al Carrito' : 'No Disponible'}
-          </button>
+          ${this.isProductAvailable(product) ? `
+            <button class="add-to-cart" 
+                    onclick="${product.variant_count > 0 ? `app.showVariantPicker('${product.id}')` : `app.addToCart('${product.id}')`}">
+              ${product.variant_count > 0 ? 'Elegir Opción' : 'Agregar al Carrito'}
+            </button>`
+            : product.status === 'descontinuado' ? `
+            <button class="add-to-cart" disabled>No Disponible</button>`
+            : `
+            <button class="add-to-cart notify-stock" onclick="app.showStockAlert('${product.id}')">
+              Avisarme cuando haya stock
+            </button>`}
         </div>
       </div>
     `).join('');
   }
 
+  // Los combos sin stock en algún componente y los productos sin variantes en stock no se pueden comprar
+  isProductAvailable(product) {
+    return product.status === 'disponible' &&
+      (!(product.is_bundle || product.variant_count > 0) || product.available_stock > 0);
+  }
+
+  // Mostrar las variantes de un producto para elegir cuál agregar al carrito
+  async showVariantPicker(productId) {
+    try {
+      const response = await api.getProduct(productId);
+      if (!response.success) return;
+
+      const product = response.data;
+      this.variantProduct = product;
+
+      document.getElementById('variantProductName').textContent = product.name;
+      document.getElementById('variantSelect').innerHTML = (product.variants || []).map(variant => {
+        const available = variant.status === 'disponible' && variant.available_stock > 0;
+        return `
+          <option value="${variant.id}" ${available ? '' : 'disabled'}>
+            ${Object.values(variant.option_values).join(' / ')} -
+            $${parseFloat(variant.price).toLocaleString()}
+            ${available ? '' : '(sin stock)'}
+          </option>
+        `;
+      }).join('');
+
+      this.showModal('variantModal');
+    } catch (error) {
+      console.error('Error cargando variantes:', error);
+      this.showNotification('Error cargando las opciones del producto', 'error');
+    }
+  }
+
+  // Agregar al carrito la variante elegida
+  async addSelectedVariant() {
+    const variantId = document.getElementById('variantSelect').value;
+    const variant = (this.variantProduct.variants || []).find(candidate => candidate.id === variantId);
+
+    if (!variant) {
+      this.showNotification('Elegí una opción', 'warning');
+      return;
+    }
+
+    await this.addToCart(variant.id, {
+      ...variant,
+      product_type: this.variantProduct.product_type
+    });
+    this.closeModal('variantModal');
+  }
+
+  // Precio del combo frente a la suma de sus componentes
+  getBundlePriceComparison(product) {
+    if (!product.is_bundle || !product.components_price) return '';
+
+    const componentsPrice = parseFloat(product.components_price);
+    const savings = componentsPrice - parseFloat(product.price);
+    if (savings <= 0) return '';
+
+    return `
+      <span style="text-decoration: line-through; color: #999; font-size: 0.8em;">
+        $${componentsPrice.toLocaleString()}
+      </span>
+      <div style="color: #27ae60; font-size: 0.8em;">
+        Ahorrás $${savings.toLocaleString()} comprando el combo
+      </div>
+    `;
+  }
+
+  // Estrellas de la calificación promedio; el valor exacto queda en el title
+  renderRating(average, count) {
+    const rounded = Math.round(parseFloat(average));
+    const stars = '★'.repeat(rounded) + '☆'.repeat(5 - rounded);
+
+    return `
+      <div class="product-rating" title="${parseFloat(average).toFixed(1)} de 5">
+        <span class="rating-stars">${stars}</span>
+        <span class="rating-count">(${count})</span>
+      </div>
+    `;
+  }
+
   getBadgeText(type) {
     const badges = {
       'oferta': 'OFERTA',
@@ -272,32 +846,119 @@ class SlinkHardApp {
     return badges[type] || '';
   }
 
-  async addToCart(productId) {
+  // Carrito de invitado guardado en localStorage
+  getGuestCart() {
+    const savedCart = localStorage.getItem('guestCart');
+    return savedCart ? JSON.parse(savedCart) : [];
+  }
+
+  saveGuestCart(cart) {
+    localStorage.setItem('guestCart', JSON.stringify(cart));
+  }
+
+  // Datos mínimos que el servidor necesita para fusionar el carrito
+  getGuestCartPayload() {
+    return this.getGuestCart().map(item => ({
+      product_id: item.product_id,
+      quantity: item.quantity
+    }));
+  }
+
+  // Aplicar localmente las mismas reglas de stock que el servidor
+  // productData permite agregar variantes, que no están en el listado de productos
+  setGuestCartItem(productId, quantity, increment = false, productData = null) {
+    const cart = this.getGuestCart();
+    const product = productData || this.products.find(p => p.id === productId);
+    const existing = cart.find(item => item.product_id === productId);
+
+    if (!product && !existing) {
+      this.showNotification('Producto no encontrado', 'error');
+      return;
+    }
+
+    const stock = product ? product.available_stock : existing.stock;
+    const productType = product ? product.product_type : existing.product_type;
+    const limit = productType === 'unico' ? 1 : stock;
+    const requested = increment && existing ? existing.quantity + quantity : quantity;
+    const finalQuantity = Math.min(requested, limit);
+
+    if (finalQuantity <= 0) {
+      this.showNotification('Producto no disponible', 'warning');
+      return;
+    }
+
+    if (existing) {
+      existing.quantity = finalQuantity;
+    } else {
+      cart.push({
+        product_id: product.id,
+        name: product.name,
+        image_url: product.image_url,
+        unit_price: parseFloat(product.price),
+        stock: product.available_stock,
+        product_type: product.product_type,
+        quantity: finalQuantity
+      });
+    }
+
+    this.saveGuestCart(cart);
+    this.cart = cart;
+    this.updateCartCount();
+
+    if (finalQuantity < requested) {
+      this.showNotification(`Solo hay ${finalQuantity} unidades disponibles`, 'warning');
+    } else if (increment) {
+      this.showNotification('Producto agregado al carrito', 'success');
+    }
+  }
+
+  // Informar los ajustes hechos al fusionar el carrito de invitado.
+  // Si la fusión falló el carrito queda guardado y se reintenta al cargar.
+  notifyCartMerge(cartMerge) {
+    if (!cartMerge) return;
+
+    localStorage.removeItem('guestCart');
+
+    if (cartMerge.adjusted.length > 0) {
+      this.showNotification('Algunas cantidades de tu carrito se ajustaron al stock disponible', 'warning');
+    }
+
+    if (cartMerge.skipped.length > 0) {
+      this.showNotification('Algunos productos de tu carrito ya no están disponibles', 'warning');
+    }
+  }
+
+  async addToCart(productId, productData = null) {
     try {
       if (!this.currentUser) {
-        this.showNotification('Debes iniciar sesión para agregar productos al carrito', 'warning');
-        this.showLogin();
+        this.setGuestCartItem(productId, 1, true, productData);
         return;
       }
 
       const response = await api.addToCart(productId);
       if (response.success) {
         await this.loadCart();
-        this.showNotification('Producto agregado al carrito', 'success');
+        this.showNotification(response.message, response.data.capped ? 'warning' : 'success');
       }
     } catch (error) {
       console.error('Error agregando al carrito:', error);
-      this.showNotification('Error agregando producto al carrito', 'error');
+      this.showNotification(error.message || 'Error agregando producto al carrito', 'error');
     }
   }
 
   async loadCart() {
     try {
-      if (!this.currentUser) return;
-      
+      if (!this.currentUser) {
+        this.cart = this.getGuestCart();
+        this.updateCartCount();
+        return;
+      }
+
+      await this.retryCartMerge();
+
       const response = await api.getCart();
       if (response.success) {
-        this.cart = response.data;
+        this.cart = response.data.items;
         this.updateCartCount();
       }
     } catch (error) {
@@ -305,11 +966,202 @@ class SlinkHardApp {
     }
   }
 
+  // Reintentar la fusión de un carrito de invitado que quedó pendiente
+  async retryCartMerge() {
+    const items = this.getGuestCartPayload();
+    if (items.length === 0) return;
+
+    try {
+      const response = await api.mergeCart(items);
+      if (response.success) {
+        this.notifyCartMerge(response.data);
+      }
+    } catch (error) {
+      console.error('Error fusionando carrito de invitado:', error);
+    }
+  }
+
   updateCartCount() {
     const totalItems = this.cart.reduce((sum, item) => sum + item.quantity, 0);
     document.getElementById('cartCount').textContent = totalItems;
   }
 
+  // Pedir el email para el aviso de reposición. Con sesión se usa el de la cuenta.
+  async showStockAlert(productId) {
+    if (this.currentUser) {
+      await this.subscribeStockAlert(productId);
+      return;
+    }
+
+    const product = [...this.products, ...this.listingProducts].find(candidate => candidate.id === productId);
+    this.stockAlertProductId = productId;
+    document.getElementById('stockAlertProductName').textContent = product ? product.name : '';
+    this.showModal('stockAlertModal');
+  }
+
+  async subscribeStockAlert(productId = this.stockAlertProductId) {
+    const email = this.currentUser ? null : document.getElementById('stockAlertEmail').value.trim();
+
+    if (!this.currentUser && !email) {
+      this.showNotification('Ingresá tu email', 'warning');
+      return;
+    }
+
+    try {
+      const response = await api.subscribeStockAlert(productId, email);
+      if (response.success) {
+        this.closeModal('stockAlertModal');
+        this.showNotification(response.message, 'success');
+      }
+    } catch (error) {
+      this.showNotification(error.message || 'No se pudo registrar el aviso', 'error');
+    }
+  }
+
+  // Baja desde el enlace del email de aviso: /?unsubscribe=<token>
+  async handleStockAlertUnsubscribe() {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('unsubscribe');
+    if (!token) return;
+
+    try {
+      const response = await api.unsubscribeStockAlert(token);
+      this.showNotification(response.message, 'success');
+    } catch (error) {
+      this.showNotification(error.message || 'No se pudo dar de baja el aviso', 'error');
+    }
+
+    params.delete('unsubscribe');
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+  }
+
+  // Verificación desde el enlace del email: /?verify=<token>
+  async handleEmailVerification() {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('verify');
+    if (!token) return;
+
+    try {
+      const response = await api.verifyEmail(token);
+      this.showNotification(response.message, 'success');
+
+      if (this.currentUser) {
+        this.currentUser.email_verified = true;
+        localStorage.setItem('currentUser', JSON.stringify(this.currentUser));
+        this.updateUserInterface();
+      }
+    } catch (error) {
+      this.showNotification(error.message || 'No se pudo verificar el email', 'error');
+    }
+
+    params.delete('verify');
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+  }
+
+  async resendVerification() {
+    try {
+      const response = await api.resendVerification();
+      this.showNotification(response.message, 'success');
+    } catch (error) {
+      this.showNotification(error.message || 'No se pudo reenviar el email', 'error');
+    }
+  }
+
+  // Favoritos de la cuenta. Los invitados no tienen favoritos.
+  async loadWishlist() {
+    this.wishlist = [];
+    this.wishlistIds = new Set();
+
+    try {
+      if (this.currentUser) {
+        const response = await api.getWishlist();
+        if (response.success) {
+          this.wishlist = response.data;
+          this.wishlistIds = new Set(this.wishlist.map(item => item.product_id));
+        }
+      }
+    } catch (error) {
+      console.error('Error cargando favoritos:', error);
+    }
+
+    this.refreshWishlistButtons();
+    this.displayWishlist();
+  }
+
+  // Actualizar los corazones ya dibujados sin volver a renderizar las tarjetas
+  refreshWishlistButtons() {
+    document.querySelectorAll('[data-wishlist-id]').forEach(button => {
+      const saved = this.wishlistIds.has(button.dataset.wishlistId);
+      button.classList.toggle('active', saved);
+      button.setAttribute('aria-pressed', saved);
+    });
+  }
+
+  async toggleWishlist(productId) {
+    if (!this.currentUser) {
+      this.showNotification('Inicia sesión para guardar favoritos', 'warning');
+      this.showLogin();
+      return;
+    }
+
+    try {
+      if (this.wishlistIds.has(productId)) {
+        await api.removeFromWishlist(productId);
+        this.showNotification('Producto eliminado de favoritos', 'success');
+      } else {
+        await api.addToWishlist(productId);
+        this.showNotification('Producto guardado en favoritos', 'success');
+      }
+      await this.loadWishlist();
+    } catch (error) {
+      this.showNotification(error.message || 'Error actualizando favoritos', 'error');
+    }
+  }
+
+  displayWishlist() {
+    const container = document.getElementById('wishlistContainer');
+    if (!container) return;
+
+    if (this.wishlist.length === 0) {
+      container.innerHTML = '<p style="text-align: center; color: #666;">No tienes productos en favoritos</p>';
+      return;
+    }
+
+    container.innerHTML = this.wishlist.map(item => `
+      <div class="wishlist-item">
+        <img src="${item.image_url || 'https://via.placeholder.com/80x80?text=Sin+Imagen'}" alt="${item.name}">
+        <div class="wishlist-item-info">
+          <strong>${item.name}</strong><br>
+          ${item.variant_count > 0 ? 'Desde ' : ''}$${item.price.toLocaleString()}
+          ${item.price_dropped ? `<span class="price-drop">Bajó de $${item.added_price.toLocaleString()}</span>` : ''}
+          <div class="product-status">${item.available ? `Disponible (${item.available_stock} unidades)` : 'Sin stock'}</div>
+        </div>
+        <div class="wishlist-item-actions">
+          <button class="btn" ${!item.available ? 'disabled' : ''}
+                  onclick="${item.variant_count > 0 ? `app.showVariantPicker('${item.product_id}')` : `app.moveWishlistItemToCart('${item.product_id}')`}">
+            ${item.variant_count > 0 ? 'Elegir Opción' : 'Mover al Carrito'}
+          </button>
+          <button class="btn" onclick="app.toggleWishlist('${item.product_id}')">Quitar</button>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  // Pasar un favorito al carrito con las reglas de stock del carrito
+  async moveWishlistItemToCart(productId) {
+    try {
+      const response = await api.moveWishlistItemToCart(productId);
+      if (response.success) {
+        this.showNotification(response.message, 'success');
+        await Promise.all([this.loadCart(), this.loadWishlist()]);
+      }
+    } catch (error) {
+      this.showNotification(error.message || 'No se pudo mover al carrito', 'error');
+    }
+  }
+
   async login() {
     const email = document.getElementById('loginEmail').value;
     const password = document.getElementById('loginPassword').value;
@@ -320,13 +1172,16 @@ class SlinkHardApp {
     }
 
     try {
-      const response = await api.login(email, password);
+      const response = await api.login(email, password, this.getGuestCartPayload());
       if (response.success) {
         this.currentUser = response.data.user;
         this.updateUserInterface();
         this.closeModal('loginModal');
+        this.notifyCartMerge(response.data.cart_merge);
         await this.loadCart();
+        await this.loadWishlist();
         this.showNotification('¡Bienvenido a SlinkHard!', 'success');
+        this.resumeCheckout();
       }
     } catch (error) {
       this.showNotification(error.message || 'Error al iniciar sesión', 'error');
@@ -344,13 +1199,16 @@ class SlinkHardApp {
     }
 
     try {
-      const response = await api.register({ name, email, password });
+      const response = await api.register({ name, email, password }, this.getGuestCartPayload());
       if (response.success) {
         this.currentUser = response.data.user;
         this.updateUserInterface();
         this.closeModal('registerModal');
+        this.notifyCartMerge(response.data.cart_merge);
         await this.loadCart();
+        await this.loadWishlist();
         this.showNotification('¡Cuenta creada exitosamente!', 'success');
+        this.resumeCheckout();
       }
     } catch (error) {
       this.showNotification(error.message || 'Error al crear cuenta', 'error');
@@ -364,6 +1222,7 @@ class SlinkHardApp {
       this.cart = [];
       this.updateUserInterface();
       this.updateCartCount();
+      await this.loadWishlist();
       this.showHome();
       this.showNotification('Sesión cerrada correctamente', 'success');
     } catch (error) {
@@ -373,7 +1232,10 @@ class SlinkHardApp {
 
   async checkout() {
     if (!this.currentUser) {
-      this.showNotification('Debes iniciar sesión para realizar una compra', 'warning');
+      // Al iniciar sesión se fusiona el carrito y se retoma el checkout
+      this.pendingCheckout = true;
+      this.closeModal('cartModal');
+      this.showNotification('Inicia sesión o regístrate para finalizar tu compra', 'warning');
       this.showLogin();
       return;
     }
@@ -384,14 +1246,120 @@ class SlinkHardApp {
     }
 
     this.closeModal('cartModal');
+    this.appliedCoupon = null;
+    document.getElementById('couponCode').value = '';
+    document.getElementById('couponSummary').innerHTML = '';
     this.showModal('checkoutModal');
+    await this.loadShippingProvinces();
+    await this.updateShippingQuote();
+  }
+
+  async loadShippingProvinces() {
+    const select = document.getElementById('shippingProvince');
+    if (select.options.length > 1) return;
+
+    try {
+      const response = await api.getShippingProvinces();
+      if (response.success) {
+        select.innerHTML += response.data
+          .map(province => `<option value="${province}">${province}</option>`)
+          .join('');
+      }
+    } catch (error) {
+      console.error('Error cargando provincias:', error);
+    }
+  }
+
+  // Cotizar el envío con la provincia y el código postal ingresados
+  async updateShippingQuote() {
+    const container = document.getElementById('shippingOptions');
+
+    try {
+      const response = await api.quoteShipping({
+        province: document.getElementById('shippingProvince').value || undefined,
+        postal_code: document.getElementById('shippingPostalCode').value || undefined,
+        discount: this.appliedCoupon ? this.appliedCoupon.discount : undefined
+      });
+
+      if (!response.success) return;
+
+      this.shippingQuote = response.data;
+      const selected = this.getSelectedShippingMethod() || response.data.options[0].id;
+
+      container.innerHTML = response.data.options.map(option => `
+        <label style="display: block; margin-bottom: 0.5rem;">
+          <input type="radio" name="shippingMethod" value="${option.id}"
+                 ${option.id === selected ? 'checked' : ''}>
+          ${option.name} -
+          ${option.free ? 'Gratis' : `$${parseFloat(option.cost).toLocaleString()}`}
+          ${option.estimated_days ? ` (${option.estimated_days} días hábiles)` : ''}
+          ${option.address ? ` - ${option.address}` : ''}
+        </label>
+      `).join('');
+
+      if (!response.data.zone) {
+        container.innerHTML += '<p style="color: #666;">Ingresá tu provincia o código postal para ver el costo de envío.</p>';
+      }
+    } catch (error) {
+      console.error('Error cotizando envío:', error);
+      container.innerHTML = '<p style="color: #e74c3c;">No se pudo cotizar el envío</p>';
+    }
+  }
+
+  // Validar el cupón ingresado y mostrar la línea de descuento
+  async applyCoupon() {
+    const code = document.getElementById('couponCode').value.trim();
+    const summary = document.getElementById('couponSummary');
+
+    if (!code) {
+      this.appliedCoupon = null;
+      summary.innerHTML = '';
+      return;
+    }
+
+    try {
+      const response = await api.validateCoupon(code, this.getCheckoutItems());
+      if (!response.success) return;
+
+      this.appliedCoupon = response.data;
+      summary.innerHTML = `
+        <p style="color: #27ae60; margin-top: 0.5rem;">
+          Descuento (${response.data.code}): -$${parseFloat(response.data.discount).toLocaleString()}
+          <br>Subtotal con descuento: $${parseFloat(response.data.total).toLocaleString()}
+        </p>
+      `;
+      // El envío gratis depende del monto con descuento
+      await this.updateShippingQuote();
+    } catch (error) {
+      this.appliedCoupon = null;
+      summary.innerHTML = `<p style="color: #e74c3c; margin-top: 0.5rem;">${error.message}</p>`;
+    }
+  }
+
+  getCheckoutItems() {
+    return this.cart
+      .filter(item => !item.unavailable)
+      .map(item => ({ product_id: item.product_id, quantity: item.quantity }));
+  }
+
+  getSelectedShippingMethod() {
+    const selected = document.querySelector('input[name="shippingMethod"]:checked');
+    return selected ? selected.value : null;
+  }
+
+  resumeCheckout() {
+    if (!this.pendingCheckout) return;
+
+    this.pendingCheckout = false;
+    this.checkout();
   }
 
   async finalizeOrder() {
     const address = document.getElementById('shippingAddress').value;
     const paymentMethod = document.getElementById('paymentMethod').value;
+    const shippingMethod = this.getSelectedShippingMethod() || 'envio';
 
-    if (!address) {
+    if (!address && shippingMethod === 'envio') {
       this.showNotification('Por favor ingresa tu dirección de envío', 'warning');
       return;
     }
@@ -399,9 +1367,13 @@ class SlinkHardApp {
     try {
       // Crear orden
       const orderResponse = await api.createOrder({
-        items: this.cart,
+        items: this.getCheckoutItems(),
         shipping_address: address,
-        payment_method: paymentMethod
+        payment_method: paymentMethod,
+        shipping_method: shippingMethod,
+        province: document.getElementById('shippingProvince').value || undefined,
+        postal_code: document.getElementById('shippingPostalCode').value || undefined,
+        coupon_code: this.appliedCoupon ? this.appliedCoupon.code : undefined
       });
 
       if (orderResponse.success) {
@@ -421,7 +1393,7 @@ class SlinkHardApp {
       }
     } catch (error) {
       console.error('Error finalizando orden:', error);
-      this.showNotification('Error procesando la orden', 'error');
+      this.showNotification(error.message || 'Error procesando la orden', 'error');
     }
   }
 
@@ -435,12 +1407,16 @@ class SlinkHardApp {
       if (this.currentUser.role === 'admin') {
         document.getElementById('adminBtn').style.display = 'inline-block';
       }
+
+      document.getElementById('verifyEmailBanner').style.display =
+        this.currentUser.email_verified ? 'none' : 'flex';
     } else {
       document.getElementById('loginBtn').style.display = 'inline-block';
       document.getElementById('registerBtn').style.display = 'inline-block';
       document.getElementById('accountBtn').style.display = 'none';
       document.getElementById('logoutBtn').style.display = 'none';
       document.getElementById('adminBtn').style.display = 'none';
+      document.getElementById('verifyEmailBanner').style.display = 'none';
     }
   }
 
@@ -469,11 +1445,46 @@ class SlinkHardApp {
   }
 
   setupEventListeners() {
-    // Enter key en search
-    document.getElementById('searchInput').addEventListener('keypress', (e) => {
-      if (e.key === 'Enter') {
-        this.searchProducts();
-      }
+    // Sugerencias mientras se tipea y navegación con el teclado
+    const searchInput = document.getElementById('searchInput');
+    searchInput.addEventListener('input', () => {
+      clearTimeout(this.suggestTimer);
+      this.suggestTimer = setTimeout(() => this.loadSuggestions(searchInput.value.trim()), 250);
+    });
+    searchInput.addEventListener('keydown', (e) => {
+      this.handleSearchKeydown(e);
+    });
+    searchInput.addEventListener('blur', () => {
+      this.hideSuggestions();
+    });
+
+    // Recotizar el envío al cambiar el destino
+    document.getElementById('shippingProvince').addEventListener('change', () => {
+      this.updateShippingQuote();
+    });
+    document.getElementById('shippingPostalCode').addEventListener('change', () => {
+      this.updateShippingQuote();
+    });
+
+    document.getElementById('applyCouponBtn').addEventListener('click', () => {
+      this.applyCoupon();
+    });
+
+    document.getElementById('addVariantBtn').addEventListener('click', () => {
+      this.addSelectedVariant();
+    });
+
+    document.getElementById('stockAlertBtn').addEventListener('click', () => {
+      this.subscribeStockAlert();
+    });
+
+    document.getElementById('resendVerificationBtn').addEventListener('click', () => {
+      this.resendVerification();
+    });
+
+    // La ficha técnica depende de la categoría del producto
+    document.getElementById('productCategory').addEventListener('change', () => {
+      this.loadSpecFields();
     });
 
     // Close modals on outside click
@@ -532,6 +1543,12 @@ class SlinkHardApp {
         <div class="cart-item-info">
           <div><strong>${item.name}</strong></div>
           <div>$${parseFloat(item.unit_price).toLocaleString()}</div>
+          ${item.price_changed ?
+            `<div class="cart-item-warning">Precio anterior: $${parseFloat(item.added_price).toLocaleString()}</div>` : ''}
+          ${item.unavailable ?
+            '<div class="cart-item-warning">Producto agotado</div>' : ''}
+          ${item.exceeds_stock ?
+            `<div class="cart-item-warning">Solo quedan ${item.stock} unidades</div>` : ''}
         </div>
         <div class="cart-item-controls">
           <button class="quantity-btn" onclick="app.updateCartQuantity('${item.product_id}', ${item.quantity - 1})">-</button>
@@ -545,7 +1562,9 @@ class SlinkHardApp {
       </div>
     `).join('');
 
-    const total = this.cart.reduce((sum, item) => sum + (item.unit_price * item.quantity), 0);
+    const total = this.cart
+      .filter(item => !item.unavailable)
+      .reduce((sum, item) => sum + (item.unit_price * item.quantity), 0);
     document.getElementById('cartTotal').textContent = `Total: $${total.toLocaleString()}`;
   }
 
@@ -555,19 +1574,37 @@ class SlinkHardApp {
       return;
     }
 
+    if (!this.currentUser) {
+      this.setGuestCartItem(productId, newQuantity);
+      this.displayCart();
+      return;
+    }
+
     try {
       const response = await api.updateCartItem(productId, newQuantity);
       if (response.success) {
         await this.loadCart();
         this.displayCart();
+        if (response.data.capped) {
+          this.showNotification(response.message, 'warning');
+        }
       }
     } catch (error) {
       console.error('Error actualizando carrito:', error);
-      this.showNotification('Error actualizando carrito', 'error');
+      this.showNotification(error.message || 'Error actualizando carrito', 'error');
     }
   }
 
   async removeFromCart(productId) {
+    if (!this.currentUser) {
+      this.cart = this.getGuestCart().filter(item => item.product_id !== productId);
+      this.saveGuestCart(this.cart);
+      this.updateCartCount();
+      this.displayCart();
+      this.showNotification('Producto eliminado del carrito', 'success');
+      return;
+    }
+
     try {
       const response = await api.removeFromCart(productId);
       if (response.success) {
@@ -581,12 +1618,187 @@ class SlinkHardApp {
     }
   }
 
+  // Mostrar la línea de tiempo del envío de una orden
+  async showTracking(orderId) {
+    const container = document.getElementById('trackingTimeline');
+
+    try {
+      const response = await api.getOrderTracking(orderId);
+      if (!response.success) return;
+
+      const { shipment, events, shipping_method } = response.data;
+
+      if (shipping_method === 'retiro') {
+        container.innerHTML = '<p>Este pedido se retira en el local.</p>';
+      } else if (!shipment) {
+        container.innerHTML = '<p>Tu pedido todavía no fue despachado.</p>';
+      } else {
+        container.innerHTML = `
+          <p><strong>Número de seguimiento:</strong> ${shipment.tracking_number}</p>
+          <ul class="tracking-timeline" style="list-style: none; padding: 0;">
+            ${events.slice().reverse().map(event => `
+              <li style="border-left: 3px solid #27ae60; padding: 0 0 1rem 1rem;">
+                <div><strong>${event.description}</strong></div>
+                <div style="color: #666;">
+                  ${new Date(event.occurred_at).toLocaleString()}
+                  ${event.location ? ` - ${event.location}` : ''}
+                </div>
+              </li>
+            `).join('')}
+          </ul>
+        `;
+      }
+
+      this.showModal('trackingModal');
+    } catch (error) {
+      console.error('Error obteniendo seguimiento:', error);
+      this.showNotification('Error obteniendo el seguimiento', 'error');
+    }
+  }
+
+  // Descargar el comprobante de una orden pagada
+  async downloadInvoice(orderId) {
+    try {
+      const { blob, filename } = await api.downloadInvoice(orderId);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error descargando comprobante:', error);
+      this.showNotification(error.message || 'Error descargando el comprobante', 'error');
+    }
+  }
+
+  async loadSuggestions(term) {
+    // Cancelar la petición anterior para que no pise resultados más nuevos
+    if (this.suggestController) {
+      this.suggestController.abort();
+    }
+
+    if (term.length < 2) {
+      this.hideSuggestions();
+      return;
+    }
+
+    const controller = new AbortController();
+    this.suggestController = controller;
+
+    try {
+      const response = await api.suggestProducts(term, controller.signal);
+      this.suggestController = null;
+      const { products, categories, skus } = response.data;
+
+      this.suggestions = [
+        ...products.map(product => ({ type: 'Producto', label: product.name, search: product.name })),
+        ...categories.map(category => ({ type: 'Categoría', label: category.name, category: category.slug })),
+        ...skus.map(item => ({ type: 'SKU', label: `${item.sku} · ${item.name}`, search: item.sku }))
+      ];
+      this.activeSuggestion = -1;
+      this.renderSuggestions();
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        this.hideSuggestions();
+      }
+    }
+  }
+
+  renderSuggestions() {
+    const container = document.getElementById('searchSuggestions');
+    const searchInput = document.getElementById('searchInput');
+
+    if (this.suggestions.length === 0) {
+      this.hideSuggestions();
+      return;
+    }
+
+    // mousedown en lugar de click: se dispara antes del blur del input
+    container.innerHTML = this.suggestions.map((suggestion, index) => `
+      <div class="suggestion-item ${index === this.activeSuggestion ? 'active' : ''}"
+           id="suggestion-${index}" role="option" aria-selected="${index === this.activeSuggestion}"
+           onmousedown="event.preventDefault(); app.selectSuggestion(${index})">
+        <span>${suggestion.label}</span>
+        <span class="suggestion-type">${suggestion.type}</span>
+      </div>
+    `).join('');
+    container.style.display = 'block';
+    searchInput.setAttribute('aria-expanded', 'true');
+    searchInput.setAttribute('aria-activedescendant', this.activeSuggestion >= 0 ? `suggestion-${this.activeSuggestion}` : '');
+  }
+
+  // Ocultar el desplegable y descartar sugerencias pendientes
+  hideSuggestions() {
+    clearTimeout(this.suggestTimer);
+    if (this.suggestController) {
+      this.suggestController.abort();
+      this.suggestController = null;
+    }
+
+    this.suggestions = [];
+    this.activeSuggestion = -1;
+    document.getElementById('searchSuggestions').style.display = 'none';
+    document.getElementById('searchInput').setAttribute('aria-expanded', 'false');
+  }
+
+  handleSearchKeydown(e) {
+    const count = this.suggestions.length;
+
+    if (e.key === 'ArrowDown' && count > 0) {
+      e.preventDefault();
+      this.activeSuggestion = (this.activeSuggestion + 1) % count;
+      this.renderSuggestions();
+    } else if (e.key === 'ArrowUp' && count > 0) {
+      e.preventDefault();
+      this.activeSuggestion = (this.activeSuggestion - 1 + count) % count;
+      this.renderSuggestions();
+    } else if (e.key === 'Escape') {
+      this.hideSuggestions();
+    } else if (e.key === 'Enter') {
+      if (this.activeSuggestion >= 0) {
+        this.selectSuggestion(this.activeSuggestion);
+      } else {
+        this.hideSuggestions();
+        this.searchProducts();
+      }
+    }
+  }
+
+  async selectSuggestion(index) {
+    const suggestion = this.suggestions[index];
+    if (!suggestion) return;
+
+    this.hideSuggestions();
+
+    if (suggestion.category) {
+      this.listingFilters = { category: suggestion.category };
+      this.listingTitle = suggestion.label;
+      await this.loadListing();
+      return;
+    }
+
+    document.getElementById('searchInput').value = suggestion.search;
+    this.searchProducts();
+  }
+
   async searchProducts() {
     const query = document.getElementById('searchInput').value;
+    this.listingFilters = { search: query };
+    this.listingTitle = query;
+    await this.loadListing();
+  }
+
+  // Cargar los resultados con los filtros actuales y sus conteos por faceta
+  async loadListing() {
     try {
-      const response = await api.getProducts({ search: query });
+      const response = await api.getProducts(this.listingFilters);
       if (response.success) {
-        this.displaySearchResults(response.data.products, query);
+        this.listingProducts = response.data.products;
+        this.listingCursor = response.data.cursor.next;
+        this.displaySearchResults(this.listingProducts, this.listingTitle, response.data.facets);
       }
     } catch (error) {
       console.error('Error buscando productos:', error);
@@ -594,15 +1806,123 @@ class SlinkHardApp {
     }
   }
 
-  displaySearchResults(products, query) {
+  displaySearchResults(products, query, facets = null) {
     document.getElementById('homeContent').innerHTML = `
       <section class="section">
         <h2 class="section-title">Resultados de búsqueda para: "${query}"</h2>
-        <div class="products-grid" id="searchResults"></div>
+        <div class="listing-layout">
+          ${facets ? `<aside class="filter-sidebar">${this.renderFacets(facets)}</aside>` : ''}
+          <div>
+            <div class="products-grid" id="searchResults"></div>
+            <button class="btn" id="loadMoreBtn" onclick="app.loadMoreResults()"
+                    style="display: ${this.listingCursor ? 'block' : 'none'}; margin: 1rem auto;">Ver más</button>
+          </div>
+        </div>
       </section>
     `;
     this.displayProductsInContainer(products, 'searchResults');
   }
+
+  // Siguiente tanda de resultados con el cursor de la anterior (sin repetir ni saltear productos)
+  async loadMoreResults() {
+    if (!this.listingCursor) return;
+
+    try {
+      const response = await api.getProducts({ ...this.listingFilters, cursor: this.listingCursor });
+      if (response.success) {
+        this.listingProducts = [...this.listingProducts, ...response.data.products];
+        this.listingCursor = response.data.cursor.next;
+        this.displayProductsInContainer(this.listingProducts, 'searchResults');
+        document.getElementById('loadMoreBtn').style.display = this.listingCursor ? 'block' : 'none';
+      }
+    } catch (error) {
+      console.error('Error cargando más productos:', error);
+      this.showNotification('Error cargando más productos', 'error');
+    }
+  }
+
+  // Barra lateral de filtros con la cantidad de resultados de cada opción
+  renderFacets(facets) {
+    const filters = this.listingFilters;
+    const selected = (key, value) => (filters[key] || '').split(',').includes(value);
+    const option = (label, count, active, onclick) => `
+      <div class="filter-option ${active ? 'active' : ''}" onclick="${onclick}">
+        <span>${label}</span><span class="filter-count">${count}</span>
+      </div>
+    `;
+    const formatPrice = (amount) => `$${amount.toLocaleString()}`;
+
+    return `
+      <div class="filter-group">
+        <h4>Categoría</h4>
+        ${facets.categories.map(category => option(
+          category.name, category.count, filters.category === category.slug,
+          `app.toggleFilter('category', '${category.slug}')`
+        )).join('')}
+      </div>
+      <div class="filter-group">
+        <h4>Tipo</h4>
+        ${facets.types.map(type => option(
+          this.getBadgeText(type.value) || 'Normal', type.count, selected('type', type.value),
+          `app.toggleFilter('type', '${type.value}', true)`
+        )).join('')}
+      </div>
+      ${facets.brands.length > 0 ? `
+        <div class="filter-group">
+          <h4>Marca</h4>
+          ${facets.brands.map(brand => option(
+            brand.value, brand.count, selected('brand', brand.value),
+            `app.toggleFilter('brand', '${brand.value}', true)`
+          )).join('')}
+        </div>` : ''}
+      <div class="filter-group">
+        <h4>Precio</h4>
+        ${facets.prices.filter(bucket => bucket.count > 0).map(bucket => option(
+          bucket.max === null ? `Más de ${formatPrice(bucket.min)}` : `${formatPrice(bucket.min)} a ${formatPrice(bucket.max)}`,
+          bucket.count,
+          filters.min_price === String(bucket.min),
+          `app.setPriceRange(${bucket.min}, ${bucket.max})`
+        )).join('')}
+      </div>
+      <label class="filter-option">
+        <input type="checkbox" ${filters.in_stock === 'true' ? 'checked' : ''}
+               onchange="app.toggleFilter('in_stock', 'true')"> Solo con stock
+      </label>
+    `;
+  }
+
+  // Activar o quitar un filtro. Los de selección múltiple se guardan separados por coma.
+  async toggleFilter(key, value, multiple = false) {
+    const current = (this.listingFilters[key] || '').split(',').filter(Boolean);
+    const next = current.includes(value)
+      ? current.filter(item => item !== value)
+      : multiple ? [...current, value] : [value];
+
+    if (next.length > 0) {
+      this.listingFilters[key] = next.join(',');
+    } else {
+      delete this.listingFilters[key];
+    }
+
+    await this.loadListing();
+  }
+
+  async setPriceRange(min, max) {
+    // Elegir de nuevo el mismo rango lo quita
+    if (this.listingFilters.min_price === String(min)) {
+      delete this.listingFilters.min_price;
+      delete this.listingFilters.max_price;
+    } else {
+      this.listingFilters.min_price = String(min);
+      if (max === null) {
+        delete this.listingFilters.max_price;
+      } else {
+        this.listingFilters.max_price = String(max);
+      }
+    }
+
+    await this.loadListing();
+  }
 }
 
 // Inicializar la aplicación